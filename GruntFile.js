@@ -199,6 +199,8 @@ module.exports = function (grunt) {
 
     // Register Mocha unit-tests as a Grunt task
     grunt.registerTask('run-unit-tests', function() {
+        // Replay the recorded search engine responses, unless the stand-in has been told to record them
+        process.env.STAND_IN = process.env.STAND_IN || 'replay';
         grunt.task.run('mocha-hack:all');
     });
 
@@ -13,6 +13,7 @@
  * permissions and limitations under the License.
  */
 
+var _ = require('underscore');
 var bunyan = require('bunyan');
 
 var config = module.exports = require('./config_private');
@@ -73,9 +74,38 @@ config.constants = {
     // The alphabet
     'alphabet': ['a','b','c','d','e','f','g','h','i','j','k','l','m','n','o','p','q','r','s','t','u','v','w','x','y','z'],
 
-    // Search API's
+    // Search API's. Every engine listed here is loaded from `lib/controllers/api/search/<engine>/api`,
+    // the first one that supports searching is used by default
     'engines': {
         'aquabrowser': {
+            'label': 'Books & Journals',
+            'cache': {
+                'ttl': 300000,
+                'staleTTL': 900000,
+                'availability': {
+                    'ttl': 60000,
+                    'staleTTL': 60000
+                }
+            },
+            // The branch names Aquabrowser uses for the collections of the libraries, by library code. They're the values
+            // of the `branch` refine dimension. The libraries that aren't listed are searched by their own name
+            'branches': {
+                'AFR': 'Centre of African Studies'
+            },
+            'circuitBreaker': {
+                'threshold': 5,
+                'cooldown': 30000
+            },
+            // The refine dimension that contains the publication years, they're counted in the buckets of the year facet
+            'facets': {
+                'yearField': 'year'
+            },
+            // The most results a page can contain and the most results that can be paged through. Aquabrowser pages
+            // through all the results, the limit only keeps crawlers from paging endlessly
+            'paging': {
+                'maxPageSize': 100,
+                'maxRecords': 10000
+            },
             'timeout': 5000,
             'uri': 'http://search.lib.cam.ac.uk/result.ashx',
             'uri_availability': 'http://search.lib.cam.ac.uk/availability.ashx',
@@ -83,12 +113,133 @@ config.constants = {
             'uri_suggestions': 'http://search.lib.cam.ac.uk/AquaServer.ashx'
         },
         'summon': {
+            'label': 'Articles',
+            'cache': {
+                'ttl': 600000,
+                'staleTTL': 1800000
+            },
+            'circuitBreaker': {
+                'threshold': 5,
+                'cooldown': 60000
+            },
+            // The facets that are requested with the results. The values of a field are filtered on with the field name
+            // in lowercase (e.g. `discipline=medicine`), the publication years are counted in the buckets of the year facet
+            'facets': {
+                'fields': ['Language', 'SubjectTerms', 'ContentType', 'Discipline', 'Author'],
+                'size': 100,
+                'yearField': 'PublicationDate'
+            },
+            // The filters that are shown as checkboxes on the results page (e.g. `peerreviewed=true`) and the facet value filter they apply
+            'filters': {
+                'fulltext': {'label': 'Full text online', 'filter': 'IsFullText,true,false'},
+                'peerreviewed': {'label': 'Peer-reviewed', 'filter': 'IsPeerReviewed,true,false'},
+                'scholarly': {'label': 'Scholarly', 'filter': 'IsScholarly,true,false'},
+                'nonewspapers': {'label': 'Exclude newspaper articles', 'filter': 'ContentType,Newspaper Article,true'}
+            },
+            // The most results a page can contain and the most results that can be paged through. Summon refuses
+            // requests for pages after that (`page.number.too.large`)
+            'paging': {
+                'maxPageSize': 50,
+                'maxRecords': 2500
+            },
             'timeout': 10000,
             'uri': 'api.summon.serialssolutions.com',
             'version': '/2.0.0/search'
         }
     },
 
+    // The OpenURL link resolver that finds the full text of articles and journals. The targets service answers
+    // a ContextObject with the full text targets as JSON (e.g. `{'targets': [{'name': 'Nature', 'url': '...', 'service': 'getFullTxt'}]}`).
+    // SFX doesn't offer such a service out of the box, so the full text targets aren't shown until `uri_targets` is set.
+    // The targets are cached and put behind a circuit breaker the same way the search engines are
+    'resolver': {
+        'timeout': 3000,
+        'uri': 'http://sfx.lib.cam.ac.uk/sfx_local',
+        'uri_targets': null,
+        'cache': {
+            'ttl': 3600000,
+            'staleTTL': 86400000
+        },
+        'circuitBreaker': {
+            'threshold': 5,
+            'cooldown': 60000
+        }
+    },
+
+    // Fields that can be searched using the `field:value` syntax (search) and their names in each engine. Engines without
+    // a name for a field search its values as free text instead
+    'fields': {
+        'title': {
+            'label': 'Title',
+            'aquabrowser': 'title',
+            'summon': 'Title'
+        },
+        'author': {
+            'label': 'Author',
+            'aquabrowser': 'author',
+            'summon': 'Author'
+        },
+        'subject': {
+            'label': 'Subject',
+            'aquabrowser': 'subject',
+            'summon': 'SubjectTerms'
+        },
+        'isbn': {
+            'label': 'ISBN',
+            'aquabrowser': 'isbn',
+            'summon': 'ISBN'
+        },
+        'issn': {
+            'label': 'ISSN',
+            'aquabrowser': 'issn',
+            'summon': 'ISSN'
+        },
+        'doi': {
+            'label': 'DOI',
+            'aquabrowser': null,
+            'summon': 'DOI'
+        },
+        'classmark': {
+            'label': 'Classmark',
+            'aquabrowser': 'classmark',
+            'summon': null
+        },
+        'year': {
+            'label': 'Year',
+            'aquabrowser': 'year',
+            'summon': 'PublicationDate'
+        }
+    },
+
+    // Sort options for the search results (search) and how each engine sorts. Engines without a value use their default order
+    'sortOptions': {
+        'relevance': {
+            'label': 'Relevance',
+            'aquabrowser': null,
+            'summon': null
+        },
+        'newest': {
+            'label': 'Newest first',
+            'aquabrowser': 'pubyear_desc',
+            'summon': 'PublicationDate:desc'
+        },
+        'oldest': {
+            'label': 'Oldest first',
+            'aquabrowser': 'pubyear_asc',
+            'summon': 'PublicationDate:asc'
+        },
+        'title': {
+            'label': 'Title',
+            'aquabrowser': 'title',
+            'summon': 'Title:asc'
+        },
+        'author': {
+            'label': 'Author',
+            'aquabrowser': 'author',
+            'summon': 'Author:asc'
+        }
+    },
+
     // Available formats (search)
     'formats': {
 
@@ -129,6 +280,44 @@ config.constants = {
     }
 };
 
+/**
+ * `config.standIn`
+ *
+ * A local server that stands in for the Aquabrowser and Summon APIs and the link resolver (see `tests/stand-in/server.js`).
+ * The stand-in is enabled by setting the `STAND_IN` environment variable to the mode it should run in (e.g. `STAND_IN=replay`),
+ * which is done by the unit tests. When enabled, the engine and resolver URIs are pointed at the stand-in server.
+ *
+ * @param  {Boolean}    enabled         Whether the search engines should use the stand-in server
+ * @param  {String}     mode            Whether recorded responses are replayed or real responses are recorded (replay|record)
+ * @param  {String}     host            The host the stand-in server listens on
+ * @param  {Number}     port            The network port the stand-in server listens on
+ * @param  {String}     fixtures        The directory containing the recorded responses
+ */
+config.standIn = {
+    'enabled': !!process.env.STAND_IN,
+    'mode': process.env.STAND_IN || 'replay',
+    'host': 'localhost',
+    'port': 5001,
+    'fixtures': __dirname + '/tests/stand-in/fixtures'
+};
+
+// Point the engines and the link resolver at the stand-in server. The original locations are kept so the stand-in can record their responses.
+if (config.standIn.enabled) {
+    config.standIn.upstream = {};
+    _.each(_.extend({'resolver': config.constants.resolver}, config.constants.engines), function(settings, engine) {
+        _.each(settings, function(value, key) {
+            if (key.indexOf('uri') !== 0 || !value) {
+                return;
+            }
+
+            // Aquabrowser URIs contain the protocol, the Summon URI is just the host
+            var match = value.match(/^(https?:\/\/)?([^\/]+)(.*)$/);
+            config.standIn.upstream[engine] = (match[1] || 'http://') + match[2];
+            settings[key] = (match[1] || '') + config.standIn.host + ':' + config.standIn.port + match[3];
+        });
+    });
+}
+
 /**
  * `config.nodes`
  */
@@ -153,10 +342,45 @@ config.nodes = {
         'link': 'find-a-resource',
         'inNavigation': true,
         'settings': {
+            'availability': {
+                'concurrency': 5,
+                'maxItems': 50
+            },
+            'cacheSize': 500,
+            'export': {
+                'concurrency': 5,
+                'maxItems': 50
+            },
+            'federatedSearch': {
+                'api': 'all',
+                'label': 'Everything'
+            },
             'minTagValue': 10,
+            'numberOfEditionsShown': 10,
             'numberOfHoldingsShown': 3,
-            'pageLimit': 40,
-            'parameters': ['api', 'author', 'contenttype', 'facet', 'format', 'id', 'language', 'page', 'mdtags', 'person', 'q', 'region', 'series', 'subject', 'subjectterms', 'timeperiod', 'uniformtitle']
+            // The number of results per page that can be chosen (`pagesize`). Engines that return fewer results per page show their maximum instead
+            'paging': {
+                'defaultSize': 25,
+                'sizes': [10, 25, 50, 100]
+            },
+            'parameters': ['api', 'author', 'branch', 'contenttype', 'discipline', 'facet', 'format', 'fulltext', 'group', 'id', 'language', 'page', 'pagesize', 'mdtags', 'nonewspapers', 'peerreviewed', 'person', 'q', 'region', 'scholarly', 'series', 'sort', 'subject', 'subjectterms', 'timeperiod', 'uniformtitle', 'yearfrom', 'yearto'],
+            'sru': {
+                'defaultRecords': 10,
+                'maximumRecords': 50
+            },
+            'suggestions': {
+                'limit': 8,
+                'minLength': 2,
+                'popularQueries': 1000,
+                'weights': {
+                    'aquabrowser': 1,
+                    'popular': 2,
+                    'summon': 1
+                }
+            },
+            'yearFacet': {
+                'from': 1800
+            }
         }
     },
 
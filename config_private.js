@@ -2,6 +2,9 @@ var config = module.exports = {};
 
 // Constants //
 config.secret = {
+    'admin': {
+        'token': ''
+    },
     'libraries': {
         'db': {
             'host': '',
@@ -0,0 +1,125 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var util = require('util');
+
+var config = require('../../../../config');
+var libUtil = require('../../../util/util');
+var log = require('../../../util/logger').logger();
+
+var SearchEngineRegistry = require('../search/registry');
+
+// The statuses of items that can be borrowed or consulted right away (e.g. `Available`, `On shelf`)
+var AVAILABLE_STATUS = /^\s*(available|on shelf|in library)/i;
+
+// The statuses of items that have been borrowed (e.g. `On loan`, `Due 12/05/2014`)
+var ON_LOAN_STATUS = /(on loan|due|checked out|recalled|overdue)/i;
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that returns the live availability of a resource
+ *
+ * @param  {String}     api                     The api (e.g. "aquabrowser")
+ * @param  {String}     extId                   The external ID of the resource (e.g. "|cambrdgedb|2099538")
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message
+ * @param  {Branches}   callback.branches       The branches that hold the resource
+ */
+var getAvailability = module.exports.getAvailability = function(api, extId, callback) {
+    api = String(api || '').toLowerCase();
+
+    // In case the engine doesn't exist or doesn't know the availability of its resources, we return an error
+    if (!SearchEngineRegistry.hasCapability(api, 'availability')) {
+        return callback({'code': 400, 'msg': 'Invalid API'});
+    } else if (!extId || !_.isString(extId)) {
+        return callback({'code': 400, 'msg': 'Invalid ID'});
+    }
+
+    SearchEngineRegistry.getEngine(api).availability(extId, function(err, branches) {
+        if (err) {
+            log().error({'err': err}, util.format('Error while fetching the availability of "%s"', extId));
+            return callback(err);
+        }
+        return callback(null, branches);
+    });
+};
+
+/**
+ * Function that returns the live availability of multiple resources. The resources are looked up concurrently,
+ * with at most `config.nodes['find-a-resource'].settings.availability.concurrency` requests at the same time.
+ *
+ * @param  {String}     api                     The api (e.g. "aquabrowser")
+ * @param  {String[]}   extIds                  The external IDs of the resources
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message
+ * @param  {Object[]}   callback.items          Collection of objects containing the `extId` and its `availability`, or the `error` that occurred while fetching it
+ */
+var getAvailabilityForItems = module.exports.getAvailabilityForItems = function(api, extIds, callback) {
+    var settings = config.nodes['find-a-resource'].settings.availability;
+
+    if (!SearchEngineRegistry.hasCapability(String(api || '').toLowerCase(), 'availability')) {
+        return callback({'code': 400, 'msg': 'Invalid API'});
+    } else if (!_.isArray(extIds) || !extIds.length) {
+        return callback({'code': 400, 'msg': 'No valid IDs given'});
+    }
+
+    extIds = _.uniq(extIds);
+    if (extIds.length > settings.maxItems) {
+        return callback({'code': 400, 'msg': util.format('No more than %s IDs can be requested at once', settings.maxItems)});
+    }
+
+    libUtil.mapLimit(extIds, settings.concurrency, function(extId, done) {
+        getAvailability(api, extId, done);
+    }, function(results) {
+
+        // A single resource that fails shouldn't prevent the other ones from being returned
+        var items = _.map(results, function(result, index) {
+            if (result.error) {
+                return {'extId': extIds[index], 'error': result.error};
+            }
+            return {'extId': extIds[index], 'availability': result.result, 'summary': summariseAvailability(result.result)};
+        });
+        return callback(null, items);
+    });
+};
+
+/**
+ * Function that summarises the availability of a resource, so it can be shown at a glance (e.g. in the search results)
+ *
+ * @param  {Branches}   branches        The branches that hold the resource
+ * @return {Object}                     Object containing the `status` (available|on-loan|unavailable|unknown), the number of libraries the resource is available at and a `label`
+ */
+var summariseAvailability = module.exports.summariseAvailability = function(branches) {
+    var holdings = (branches && branches.branches) || [];
+    if (!holdings.length) {
+        return {'status': 'unknown', 'libraries': 0, 'label': null};
+    }
+
+    var available = _.filter(holdings, function(branch) { return AVAILABLE_STATUS.test(branch.status); });
+    var libraries = _.uniq(_.pluck(available, 'location')).length;
+    if (libraries) {
+        return {'status': 'available', 'libraries': libraries, 'label': util.format('Available at %s %s', libraries, libraries === 1 ? 'library' : 'libraries')};
+    }
+
+    var onLoan = _.filter(holdings, function(branch) { return ON_LOAN_STATUS.test(branch.status); });
+    if (onLoan.length === holdings.length) {
+        return {'status': 'on-loan', 'libraries': 0, 'label': onLoan.length === 1 ? 'On loan' : 'All copies on loan'};
+    }
+    return {'status': 'unavailable', 'libraries': 0, 'label': 'Not available to borrow'};
+};
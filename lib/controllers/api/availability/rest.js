@@ -0,0 +1,61 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var libUtil = require('../../../util/util');
+
+var AvailabilityAPI = require('./index');
+var SearchEngineRegistry = require('../search/registry');
+
+/*!
+ * Returns the live availability of a resource
+ *
+ * _GET_ `/api/availability/:api/:extId`
+ *
+ * @param  {Request}    req     The REST request object
+ * @param  {Response}   res     The REST response object
+ */
+var getAvailability = exports.getAvailability = function(req, res) {
+    AvailabilityAPI.getAvailability(req.params.api, req.params.extId, function(err, branches) {
+        if (err) {
+            return libUtil.sendError(res, err);
+        }
+
+        return res.send(200, branches);
+    });
+};
+
+/*!
+ * Returns the live availability of multiple resources
+ *
+ * _POST_ `/api/availability`
+ *
+ * The request body should contain the external IDs of the resources and, optionally, the api
+ * (e.g. `{"api": "aquabrowser", "ids": ["|cambrdgedb|2099538", "|cambrdgedb|4116789"]}`)
+ *
+ * @param  {Request}    req     The REST request object
+ * @param  {Response}   res     The REST response object
+ */
+var getAvailabilityForItems = exports.getAvailabilityForItems = function(req, res) {
+    var body = req.body || {};
+    var api = body.api || SearchEngineRegistry.getEngineNames('availability')[0];
+
+    AvailabilityAPI.getAvailabilityForItems(api, body.ids, function(err, items) {
+        if (err) {
+            return libUtil.sendError(res, err);
+        }
+
+        return res.send(200, {'api': api, 'items': items});
+    });
+};
@@ -0,0 +1,91 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var querystring = require('querystring');
+var request = require('request');
+
+var config = require('../../../../config');
+var log = require('../../../util/logger').logger();
+var openurl = require('../../../util/openurl');
+
+var SearchBreaker = require('../search/breaker');
+var SearchCache = require('../search/cache');
+
+// The service type of the targets that provide the full text
+var FULL_TEXT_SERVICE = 'getFullTxt';
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that asks the link resolver where the full text of a resource is available
+ *
+ * @param  {Result}     result                  The resource
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message
+ * @param  {Object[]}   callback.targets        Collection of objects containing the `name`, `url` and `coverage` of each full text target. Empty when the resource can't be resolved
+ */
+var getFullTextTargets = module.exports.getFullTextTargets = function(result, callback) {
+    var resolver = config.constants.resolver;
+    if (!resolver || !resolver.uri_targets || !openurl.isResolvable(result)) {
+        return callback(null, []);
+    }
+    return _getTargets(_.extend({'url_ver': 'Z39.88-2004'}, openurl.getContextObjectParameters(result)), callback);
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that requests the full text targets of a ContextObject from the link resolver. The link resolver is
+ * cached and protected by a circuit breaker like the search engines, so a slow resolver doesn't hold up every detail page.
+ *
+ * @param  {Object}     parameters              The ContextObject parameters
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message
+ * @param  {Object[]}   callback.targets        Collection of objects containing the `name`, `url` and `coverage` of each full text target
+ * @api private
+ */
+var _getTargets = SearchCache.wrap('resolver', 'targets', SearchBreaker.wrap('resolver', 'targets', function(parameters, callback) {
+    var resolver = config.constants.resolver;
+    var options = {
+        'url': resolver.uri_targets + '?' + querystring.stringify(parameters),
+        'timeout': resolver.timeout,
+        'json': true
+    };
+    request(options, function(error, response, body) {
+        if (error) {
+            log().error(error);
+            return callback({'code': 500, 'msg': 'Error while fetching the full text targets'});
+        } else if (response.statusCode !== 200 || !body || !_.isArray(body.targets)) {
+            log().error({'statusCode': response.statusCode}, 'Invalid response from the link resolver');
+            return callback({'code': 500, 'msg': 'Error while fetching the full text targets'});
+        }
+
+        // Only keep the targets that provide the full text, once per provider
+        var targets = _.filter(body.targets, function(target) {
+            return target && target.name && target.url && (!target.service || target.service === FULL_TEXT_SERVICE);
+        });
+        targets = _.uniq(targets, false, function(target) {
+            return target.name;
+        });
+        return callback(null, _.map(targets, function(target) {
+            return {'name': target.name, 'url': target.url, 'coverage': target.coverage || null};
+        }));
+    });
+}));
@@ -21,6 +21,7 @@ var xml2js = require('xml2js');
 var apiUtil = require('./util/util');
 var config = require('../../../../../config');
 var log = require('../../../../util/logger').logger();
+var queryNormaliser = require('../../../../util/query-normaliser');
 var searchUtil = require('../../../../util/search');
 
 var FacetModel = require('../../../../models/search/facet');
@@ -28,6 +29,7 @@ var ResultModel = require('../../../../models/search/result');
 var ResultsModel = require('../../../../models/search/results');
 
 var ResourceModelFactory = require('../../../../factories/api/search/ResourceModelFactory');
+var SearchEngineRegistry = require('../registry');
 
 ////////////////////////
 //  PUBLIC FUNCTIONS  //
@@ -303,6 +305,40 @@ var getResults = module.exports.getResults = function(isAquabrowser, parameters,
     });
 };
 
+/**
+ * Function that returns the Aquabrowser suggestions for a (partial) query
+ *
+ * @param  {Object}       parameters              The query parameters
+ * @param  {String}       parameters.q            The entered query (e.g. darw)
+ * @param  {Function}     callback                Standard callback function
+ * @param  {Error}        callback.error          Error object to be send with the callback function
+ * @param  {Suggestions}  callback.suggestions    Collection of suggestions to be send with the callback function
+ */
+var getSuggestions = module.exports.getSuggestions = function(parameters, callback) {
+    _getSuggestions(parameters, callback);
+};
+
+/**
+ * Function that returns the live availability of a resource in every branch that holds it
+ *
+ * @param  {String}    extId                The external ID of the resource item (e.g. |cambrdgedb|2099538)
+ * @param  {Function}  callback             The callback function
+ * @param  {Error}     callback.error       Error object to be send with the callback function
+ * @param  {Branches}  callback.branches    The branches that hold the resource
+ */
+var getAvailability = module.exports.getAvailability = function(extId, callback) {
+    _getItemAvailability(extId, callback);
+};
+
+// Register Aquabrowser as a search engine
+SearchEngineRegistry.registerEngine('aquabrowser', {
+    'search': getResults,
+    'detail': getResults,
+    'facets': getFacetsFromResults,
+    'suggestions': getSuggestions,
+    'availability': getAvailability
+});
+
 //////////////////////////
 //  INTERNAL FUNCTIONS  //
 //////////////////////////
@@ -310,7 +346,7 @@ var getResults = module.exports.getResults = function(isAquabrowser, parameters,
 /**
  * TODO: Put this in a model factory!
  *
- * Function that creates an availability model
+ * Function that creates an availability model. The number of items is returned as a number.
  *
  * @param  {Object}       availability            The availability information for a specific branch
  * @return {Branch}                               The returned branch
@@ -320,7 +356,7 @@ var _createAvailabilityModel = function(availability) {
     var location = availability.location;
     var sublocation = availability.sublocation;
     var status = availability.status;
-    var itemCount = availability.itemcount;
+    var itemCount = parseInt(availability.itemcount, 10) || 0;
     var externalDatasourceName = availability.externalDatasourceName || null;
     var nativeId = availability.nativeId || null;
     var placeHoldUrl = availability.placeHoldUrl || null;
@@ -364,7 +400,10 @@ var _createResourceModel = function(isDetailRequest, record, callback) {
             'thumbnails': apiUtil.getResourceThumbnails(record),
             'eResource': apiUtil.getEResource(record),
             'links': apiUtil.getResourceLinks(record),
-            'availability': apiUtil.getResourceBranches(record)
+            'availability': apiUtil.getResourceBranches(record),
+            'engine': 'aquabrowser',
+            'doi': null,
+            'uniformTitle': apiUtil.getResourceUniformTitle(record)
         };
 
         if (!modelData.id) {
@@ -408,12 +447,26 @@ var _getFacets = function(results, parameters, callback) {
         // Initialize facets collection
         var facetsCollection = [];
 
+        // The publication year facet is added after the other facets
+        var yearFacet = null;
+
         // Loop the facets
         _.each(results, function(facetType) {
 
             // Pick all the necessary properties from the facetType
             var facetTypeLabel = facetType.lbl;
             var facetTypeRawLabel = facetType.rawlbl;
+
+            // Count the publication years in the buckets of the year facet
+            if (String(facetTypeRawLabel).toLowerCase() === config.constants.engines.aquabrowser.facets.yearField) {
+                yearFacet = _createYearFacet(facetType, parameters);
+                return;
+            }
+
+            var isBranch = String(facetTypeRawLabel).toLowerCase() === apiUtil.BRANCH_FACET;
+            if (isBranch) {
+                facetTypeLabel = 'Library';
+            }
             var facetTypeAmount = facetType.t;
             var more = facetType.more;
             var moreUrl = searchUtil.createFacetMoreUrl(parameters, facetTypeRawLabel);
@@ -430,10 +483,13 @@ var _getFacets = function(results, parameters, callback) {
                 // Pick all the necessary properties from the facet
                 var facetLabel = facet.lbl;
                 var facetAmount = parseInt(facet.c, 10);
-                var facetUrl = searchUtil.createFacetUrl(parameters, facetTypeRawLabel, facetLabel);
+                // Only a single library can be searched at once, so choosing a library replaces the one that was chosen before
+                // and it can't be excluded
+                var facetUrl = searchUtil.createFacetUrl(isBranch ? _.omit(parameters, apiUtil.BRANCH_FACET) : parameters, facetTypeRawLabel, facetLabel);
+                var facetExcludeUrl = isBranch ? null : searchUtil.createFacetExcludeUrl(parameters, facetTypeRawLabel, facetLabel);
 
                 // Create a new facet model
-                var facetModel = new FacetModel.Facet(facetLabel, facetAmount, facetUrl);
+                var facetModel = new FacetModel.Facet(facetLabel, facetAmount, facetUrl, facetExcludeUrl);
                 facets.push(facetModel);
             });
 
@@ -442,6 +498,10 @@ var _getFacets = function(results, parameters, callback) {
             facetsCollection.push(facetTypeModel);
         });
 
+        if (yearFacet) {
+            facetsCollection.push(yearFacet);
+        }
+
         // Return as a null object if the collection doesn't contain results
         if (facetsCollection && !facetsCollection.length) facetsCollection = null;
         return callback(null, facetsCollection);
@@ -451,6 +511,31 @@ var _getFacets = function(results, parameters, callback) {
     }
 };
 
+/**
+ * Function that creates the publication year facet from the years in the refine data
+ *
+ * @param  {Object}      facetType     The refine dimension containing the publication years
+ * @param  {Object}      parameters    The query parameters
+ * @return {FacetType}                 The publication year facet, `null` if none of the years could be counted
+ * @api private
+ */
+var _createYearFacet = function(facetType, parameters) {
+    var buckets = searchUtil.getYearBuckets();
+    var counts = _.map(buckets, function() { return 0; });
+
+    // Add the number of results of every year to the count of the bucket it falls in
+    _.each(_.compact(_.flatten([facetType.kw])), function(facet) {
+        var year = parseInt(facet.lbl, 10);
+        var index = _.indexOf(buckets, _.find(buckets, function(bucket) {
+            return year >= bucket.from && year <= bucket.to;
+        }));
+        if (index > -1) {
+            counts[index] += parseInt(facet.c, 10) || 0;
+        }
+    });
+    return searchUtil.createYearFacet(_.clone(parameters), counts);
+};
+
 /**
  * Function that fetches the resource availibility
  *
@@ -469,7 +554,8 @@ var _getItemAvailability = function(extID, callback) {
 
         // Request options object
         var options = {
-            'url': config.constants.engines.aquabrowser.uri_availability + '?hreciid=' + extID + '&output=xml'
+            'url': config.constants.engines.aquabrowser.uri_availability + '?hreciid=' + encodeURIComponent(extID) + '&output=xml',
+            'timeout': config.constants.engines.aquabrowser.timeout
         };
 
         // Perform a request to the availability API
@@ -488,7 +574,12 @@ var _getItemAvailability = function(extID, callback) {
                     'mergeAttrs': true
                 };
 
+                var parseError = null;
                 xml2js.parseString(body, parseOpts, function(error, results) {
+                    if (error || !results) {
+                        parseError = error || 'Empty availability response';
+                        return;
+                    }
                     _.each(results.root, function(database) {
 
                         // If the availability information is returned as an array
@@ -498,12 +589,17 @@ var _getItemAvailability = function(extID, callback) {
                             });
 
                         // When the availability information contains only one object
-                        } else {
+                        } else if (database.availability) {
                             branches.push(_createAvailabilityModel(database.availability));
                         }
                     });
                 });
 
+                if (parseError) {
+                    log().error(parseError);
+                    return callback({'code': 500, 'msg': 'Error while fetching availability information'});
+                }
+
                 // Return a collection of branches where the items are available
                 var totalBranches = branches.length;
                 if (branches && !branches.length) branches = null;
@@ -556,14 +652,12 @@ var _getPagination = function(results, parameters, callback) {
 
             pageNumber = parseInt(pager.currentpage, 10);
 
-            // We only support the first 50 pages of the results
-            pageCount = parseInt(pager.totalpages, 10);
-            if (pageCount > config.nodes['find-a-resource'].settings.pageLimit) pageCount = config.nodes['find-a-resource'].settings.pageLimit;
+            // We only support the pages Aquabrowser can page through
+            pageCount = Math.min(parseInt(pager.totalpages, 10), searchUtil.getPageLimit(parameters, 'aquabrowser'));
 
             firstPage = 1;
 
-            lastPage = parseInt(pager.totalpages, 10);
-            if (lastPage > config.nodes['find-a-resource'].settings.pageLimit) lastPage = config.nodes['find-a-resource'].settings.pageLimit;
+            lastPage = pageCount;
 
         // If no pager information is available, but standard feedback is provided
         } else if (results.root.feedbacks.standard) {
@@ -603,10 +697,10 @@ var _getSuggestions = function(parameters, callback) {
     var suggestedItems = [];
 
     // Construct the request url
-    var url = config.constants.engines.aquabrowser.uri_suggestions + '?q=' + parameters.q;
+    var url = config.constants.engines.aquabrowser.uri_suggestions + '?q=' + encodeURIComponent(queryNormaliser.normalise(parameters.q));
 
     // Do a request to the Aquabrowser API
-    request({'url': url}, function(error, results, body) {
+    request({'url': url, 'timeout': config.constants.engines.aquabrowser.timeout}, function(error, results, body) {
         if (error) {
             log().error(error);
             return callback({'code': 500, 'msg': 'An error occurred while fetching Aquabrowser data'});
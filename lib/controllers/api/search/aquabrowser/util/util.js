@@ -18,6 +18,8 @@ var _ = require('underscore');
 var config = require('../../../../../../config');
 var libUtil = require('../../../../../util/util');
 var log = require('../../../../../util/logger').logger();
+var queryNormaliser = require('../../../../../util/query-normaliser');
+var queryParser = require('../../../../../util/query-parser');
 
 var searchUtil = require('../../../../../util/search');
 
@@ -27,6 +29,12 @@ var ResourceModelFactory = require('../../../../../factories/api/search/Resource
 
 var keys = config.constants.alphabet;
 
+// The facets that can be used to refine the results (e.g. `format`, `author`, `language`,...)
+var FACETS = ['format', 'author', 'language', 'mdtags', 'person', 'region', 'series', 'subject', 'timeperiod', 'uniformtitle'];
+
+// The facet that scopes the results to the collection of a library, it's sent as the `branch` of the search instead of a query clause
+var BRANCH_FACET = module.exports.BRANCH_FACET = 'branch';
+
 ////////////////////////
 //  PUBLIC FUNCTIONS  //
 ////////////////////////
@@ -53,7 +61,18 @@ var constructRequestOptions = module.exports.constructRequestOptions = function(
 
         // Check if a query is set (e.g. Darwin)
         if (parameters['q']) {
-            queryString.push(parameters['q']);
+            queryString.push(_translateQuery(parameters['q']));
+        }
+
+        // Check if a sort is set (e.g. newest)
+        if (parameters['sort'] && config.constants.sortOptions[parameters['sort']].aquabrowser) {
+            extraParams.push('hardsort=' + config.constants.sortOptions[parameters['sort']].aquabrowser);
+        }
+
+        // Check if a publication year range is set (e.g. 1850 - 1900)
+        var yearRange = searchUtil.getYearRange(parameters);
+        if (yearRange) {
+            queryString.push('year:[' + yearRange.from + ' TO ' + yearRange.to + ']');
         }
 
         // Parameters which can only be added if the API is specified in the UI (facets)
@@ -61,9 +80,10 @@ var constructRequestOptions = module.exports.constructRequestOptions = function(
 
             // Aquabrowser additional search parameters
 
-            // Check if the branch is set (e.g. University Main Library)
-            if (parameters['branch']) {
-                extraParams.push('branch="' + parameters['branch'] + '"');
+            // Check if the branch is set (e.g. University Main Library). Aquabrowser searches a single branch, so it can't be excluded
+            var branch = _.first(searchUtil.getFacetValues(parameters, BRANCH_FACET).include);
+            if (branch) {
+                extraParams.push('branch=' + encodeURIComponent('"' + queryNormaliser.escapeAquabrowser(branch, true) + '"'));
             }
 
             // Check if the current page is set (e.g. 2)
@@ -71,57 +91,16 @@ var constructRequestOptions = module.exports.constructRequestOptions = function(
                 extraParams.push('curpage=' + parameters['page']);
             }
 
-            // Aquabrowser query parameters
-
-            // Check if the format is set (e.g. `books`, `journals`,...)
-            if (parameters['format'] && parameters['format'] !== 'all') {
-                queryString.push('format:"' + parameters['format'] + '"');
-            }
-
-            // Check if the author is set (e.g.`Charles Darwin`)
-            if (parameters['author']) {
-                queryString.push('author:"' + parameters['author'] + '"');
-            }
-
-            // Check if the language is set (e.g. `English`, `German`,...)
-            if (parameters['language']) {
-                 queryString.push('language:"' + parameters['language'] + '"');
-            }
-
-            // Check if the MDTags are set (e.g. `evolution`, `science`, `darwin`,...)
-            if (parameters['mdtags']) {
-                 queryString.push('mdtags:"' + parameters['mdtags'] + '"');
-            }
+            // Set the number of results per page (e.g. 25)
+            extraParams.push('pagesize=' + searchUtil.getPageSize(parameters, 'aquabrowser'));
 
-            // Check if the person is set (e.g. `Darwin, Charles`, `Huxley, Thomas Henry`,...)
-            if (parameters['person']) {
-                 queryString.push('person:"' + parameters['person'] + '"');
-            }
-
-            // Check if the region is set (e.g. `England`, `Great Britain`,...)
-            if (parameters['region']) {
-                 queryString.push('region:"' + parameters['region'] + '"');
-            }
-
-            // Check if the series parameter is set (e.g. `The Pickering masters`,`The works of Charles Darwin`,...)
-            if (parameters['series']) {
-                 queryString.push('series:"' + parameters['series'] + '"');
-            }
-
-            // Check if the subject is set (e.g. `Evolution`, `Natural selection`,...)
-            if (parameters['subject']) {
-                 queryString.push('subject:"' + parameters['subject'] + '"');
-            }
-
-            // Check if the timeperiod is set (e.g. `19th century`, `20th century`,...)
-            if (parameters['timeperiod']) {
-                 queryString.push('timeperiod:"' + parameters['timeperiod'] + '"');
-            }
+            // Aquabrowser query parameters
 
-            // Check if the uniform title is set (e.g. `On the origin of species`,...)
-            if (parameters['uniformtitle']) {
-                 queryString.push('uniformtitle:"' + parameters['uniformtitle'] + '"');
-            }
+            // Check if any facet values are selected or excluded (e.g. `format=books&language=-German`)
+            _.each(FACETS, function(facet) {
+                var clauses = _createFacetClauses(facet, searchUtil.getFacetValues(parameters, facet));
+                queryString.push.apply(queryString, clauses);
+            });
         }
     }
 
@@ -194,6 +173,19 @@ var getResourceAuthors = module.exports.getResourceAuthors = function(record) {
     }
 };
 
+/**
+ * Function that returns the branch name Aquabrowser uses for the collection of a library
+ *
+ * @param  {Library}  library    The library (e.g. `{'code': 'UL', 'name': 'University Library', 'dbase': 'cambrdgedb'}`)
+ * @return {String}              The branch name (e.g. `University Library`), `null` if the library doesn't have a catalogued collection
+ */
+var getBranchName = module.exports.getBranchName = function(library) {
+    if (!library || !library.dbase) {
+        return null;
+    }
+    return config.constants.engines.aquabrowser.branches[library.code] || library.name || null;
+};
+
 /**
  * Function that returns the resouce's holding branches
  *
@@ -472,6 +464,40 @@ var getResourceTitles = module.exports.getResourceTitles = function(record) {
     }
 };
 
+/**
+ * Function that returns the resource's uniform title(s), the title all the editions and translations of a work share
+ * MARC21: df130, df240
+ *
+ * @param  {Object}  record    Object containing record data
+ * @return {Array}             Collection of uniform titles
+ */
+var getResourceUniformTitle = module.exports.getResourceUniformTitle = function(record) {
+    try {
+        var uniformTitles = [];
+        if (record.d && record.d[0]) {
+            var data = record.d[0];
+            _.each(['df130', 'df240'], function(marc) {
+                _.each(data[marc], function(row) {
+                    // Only the title itself (subfield a), the language and the version are left out
+                    var title = _.find(row, function(item) {
+                        return item.key === 'a' && item._;
+                    });
+                    if (title) {
+                        uniformTitles.push(title._);
+                    }
+                });
+            });
+        }
+        if (!uniformTitles.length) {
+            uniformTitles = null;
+        }
+        return uniformTitles;
+    } catch(error) {
+        log().error(error);
+        return null;
+    }
+};
+
 /**
  * Function that returns the resource's publication data
  * MARC21: df260
@@ -706,6 +732,33 @@ var getResourceThumbnails = module.exports.getResourceThumbnails = function(reco
 //  INTERNAL FUNCTIONS  //
 //////////////////////////
 
+/**
+ * Function that creates the query clauses for the selected values of a facet. Multiple selected values
+ * of the same facet are combined using `OR`, excluded values are negated using `NOT`.
+ *
+ * @param  {String}     facet       The facet name (e.g. `language`)
+ * @param  {Object}     values      Object containing the `include`d and the `exclude`d values of the facet
+ * @return {String[]}               Collection of query clauses (e.g. `(language:"English" OR language:"French")`, `NOT language:"German"`)
+ * @api private
+ */
+var _createFacetClauses = function(facet, values) {
+    var clauses = [];
+
+    var included = _.map(values.include, function(value) {
+        return facet + ':"' + queryNormaliser.escapeAquabrowser(value, true) + '"';
+    });
+    if (included.length === 1) {
+        clauses.push(included[0]);
+    } else if (included.length > 1) {
+        clauses.push('(' + included.join(' OR ') + ')');
+    }
+
+    _.each(values.exclude, function(value) {
+        clauses.push('NOT ' + facet + ':"' + queryNormaliser.escapeAquabrowser(value, true) + '"');
+    });
+    return clauses;
+};
+
 /**
  * Function that gets d/field properties of the item record
  *
@@ -769,3 +822,46 @@ var _getItemProperty = function(record, property, separator) {
         return null;
     }
 };
+
+/**
+ * Function that translates a query into the Aquabrowser syntax (e.g. `title:"origin of species" author:darwin`).
+ * Terms in a non-Latin script or with diacritics are searched in their romanised form as well (e.g. `(Толстой OR Tolstoi)`).
+ *
+ * @param  {String}  query     The engine-neutral query (e.g. `title:"origin of species" AND author:darwin`)
+ * @return {String}            The Aquabrowser query, between parentheses if it consists of multiple terms
+ * @api private
+ */
+var _translateQuery = function(query) {
+    var tree = queryParser.parse(queryNormaliser.normalise(query));
+    var translated = queryParser.serialize(tree, function(term) {
+        var values = _.uniq(_.compact(_.map(queryNormaliser.getVariants(term.value), function(value) {
+            return _formatValue(value, term.isPhrase);
+        })));
+        if (!values.length) {
+            return '';
+        }
+        var value = values.length > 1 ? '(' + values.join(' OR ') + ')' : values[0];
+        if (term.field && config.constants.fields[term.field].aquabrowser) {
+            return config.constants.fields[term.field].aquabrowser + ':' + value;
+        }
+        return value;
+    });
+
+    // The facet, year and branch clauses are added to the query, so an `OR` can't take them along
+    return tree && tree.type === 'operator' && translated ? '(' + translated + ')' : translated;
+};
+
+/**
+ * Function that writes the value of a term without the characters that have a special meaning in Aquabrowser
+ *
+ * @param  {String}  value     The value of the term (e.g. `Nature(London)`)
+ * @param  {Boolean} isPhrase  Whether the value is a phrase
+ * @return {String}            The Aquabrowser value (e.g. `"Nature London"`), an empty string if nothing remains
+ * @api private
+ */
+var _formatValue = function(value, isPhrase) {
+    value = queryNormaliser.escapeAquabrowser(value, isPhrase);
+
+    // Words that were split by the removed characters are searched as a phrase, so a field still applies to all of them
+    return value && (isPhrase || _.contains(value, ' ')) ? '"' + value + '"' : value;
+};
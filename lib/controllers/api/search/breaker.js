@@ -0,0 +1,151 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var util = require('util');
+
+var config = require('../../../../config');
+var log = require('../../../util/logger').logger();
+
+var CircuitBreaker = require('../../../util/circuit-breaker').CircuitBreaker;
+
+// The capabilities that are put behind the circuit breaker. Suggestions are requested on every keystroke, so their
+// failures shouldn't take the searches of an engine down with them
+var PROTECTED_CAPABILITIES = ['search', 'detail', 'facets', 'availability', 'targets'];
+
+// The number of seconds after which a request can be retried when none of the engines gave a hint
+var DEFAULT_RETRY_AFTER = 30;
+
+// Keeps track of the circuit breaker of each engine
+var breakers = {};
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that puts the circuit breaker of an engine in front of the handler of one of its capabilities.
+ * Only engines that have a `circuitBreaker` setting in `config.constants.engines` (or `config.constants` for the link resolver)
+ * get a breaker, suggestions are never protected.
+ * While the breaker is open, the handler returns a 503 error with the number of seconds after which it can be retried.
+ *
+ * @param  {String}     engine          The name of the engine (e.g. 'aquabrowser')
+ * @param  {String}     capability      The capability (e.g. 'search')
+ * @param  {Function}   handler         The handler of the capability. The last argument should be a standard callback function
+ * @return {Function}                   The protected handler, or the original handler if the engine or capability doesn't have a breaker
+ */
+var wrap = module.exports.wrap = function(engine, capability, handler) {
+    var breaker = _.contains(PROTECTED_CAPABILITIES, capability) ? _getBreaker(engine) : null;
+    if (!breaker) {
+        return handler;
+    }
+
+    return function() {
+        var args = _.toArray(arguments);
+        var callback = args.pop();
+
+        // Don't bother the engine while the breaker is open
+        if (breaker.isOpen()) {
+            return callback(_createUnavailableError(engine, breaker));
+        }
+
+        handler.apply(null, args.concat(function(error, results) {
+            if (error && (!error.code || error.code >= 500)) {
+                breaker.recordFailure();
+                if (breaker.isOpen()) {
+                    log().warn(util.format('The circuit breaker of engine "%s" opened for %s seconds', engine, breaker.getRetryAfter()));
+                }
+            } else if (!error) {
+                breaker.recordSuccess();
+            }
+            return callback(error, results);
+        }));
+    };
+};
+
+/**
+ * Function that creates the error that is returned when none of the engines were able to answer a request
+ *
+ * @param  {Object[]}   errors      The errors the engines returned
+ * @return {Object}                 Object containing the error code, the error message and the number of seconds after which the request can be retried
+ */
+var createUnavailableError = module.exports.createUnavailableError = function(errors) {
+    var retryAfter = _.min(_.compact(_.pluck(errors, 'retryAfter')));
+    return {
+        'code': 503,
+        'msg': 'None of the search engines are available',
+        'retryAfter': _.isFinite(retryAfter) ? retryAfter : DEFAULT_RETRY_AFTER
+    };
+};
+
+/**
+ * Function that checks if an engine can currently be queried
+ *
+ * @param  {String}     engine      The name of the engine (e.g. 'summon')
+ * @return {Boolean}                Whether the circuit breaker of the engine is closed
+ */
+var isAvailable = module.exports.isAvailable = function(engine) {
+    var breaker = _getBreaker(engine);
+    return !breaker || !breaker.isOpen();
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that creates the error that is returned while a breaker is open
+ *
+ * @param  {String}             engine      The name of the engine
+ * @param  {CircuitBreaker}     breaker     The circuit breaker of the engine
+ * @return {Object}                         Object containing the error code, the error message and the number of seconds after which the engine can be retried
+ * @api private
+ */
+var _createUnavailableError = function(engine, breaker) {
+    return {
+        'code': 503,
+        'msg': util.format('The %s search is temporarily unavailable', _getSettings(engine).label || engine),
+        'retryAfter': breaker.getRetryAfter()
+    };
+};
+
+/**
+ * Function that returns the circuit breaker of an engine, creating it when it doesn't exist yet
+ *
+ * @param  {String}             engine      The name of the engine
+ * @return {CircuitBreaker}                 The circuit breaker, or `null` if the engine doesn't have any breaker settings
+ * @api private
+ */
+var _getBreaker = function(engine) {
+    var settings = _getSettings(engine).circuitBreaker;
+    if (!settings) {
+        return null;
+    }
+    if (!breakers[engine]) {
+        breakers[engine] = new CircuitBreaker(settings.threshold, settings.cooldown);
+    }
+    return breakers[engine];
+};
+
+/**
+ * Function that returns the settings of an engine
+ *
+ * @param  {String}     engine      The name of the engine (e.g. 'summon' or 'resolver')
+ * @return {Object}                 The settings of the engine, or an empty object if the engine isn't configured
+ * @api private
+ */
+var _getSettings = function(engine) {
+    return config.constants.engines[engine] || config.constants[engine] || {};
+};
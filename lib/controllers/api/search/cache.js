@@ -0,0 +1,188 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+var config = require('../../../../config');
+var log = require('../../../util/logger').logger();
+
+var Cache = require('../../../util/cache').Cache;
+
+// The capabilities whose responses are cached. The full text targets of the link resolver are cached as well
+var CACHED_CAPABILITIES = ['search', 'detail', 'facets', 'suggestions', 'availability', 'targets'];
+
+// The cache that is shared by all the engines
+var cache = new Cache(config.nodes['find-a-resource'].settings.cacheSize);
+
+// Keeps track of the requests that are in progress, so identical requests only hit the engine once
+var pending = {};
+
+// Keeps track of the hit and miss counters per engine
+var counters = {};
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that puts a cache in front of the handler of an engine capability. Only engines that have a `cache` setting in
+ * `config.constants.engines` (or `config.constants` for the link resolver) and capabilities that return search results,
+ * suggestions, availability or full text targets are cached.
+ * A capability can override the settings of its engine (e.g. `cache.availability.ttl`).
+ *
+ * @param  {String}     engine          The name of the engine (e.g. 'aquabrowser')
+ * @param  {String}     capability      The capability (e.g. 'search')
+ * @param  {Function}   handler         The handler of the capability. The last argument should be a standard callback function
+ * @return {Function}                   The cached handler, or the original handler if it shouldn't be cached
+ */
+var wrap = module.exports.wrap = function(engine, capability, handler) {
+    var settings = (config.constants.engines[engine] || config.constants[engine] || {}).cache;
+    if (!settings || !_.contains(CACHED_CAPABILITIES, capability)) {
+        return handler;
+    }
+    settings = _.extend(_.omit(settings, CACHED_CAPABILITIES), settings[capability]);
+
+    return function() {
+        var args = _.toArray(arguments);
+        var callback = args.pop();
+        var key = _createKey(engine, capability, args);
+        var entry = cache.get(key);
+
+        // Serve the cached results. If they are stale, they are refreshed in the background
+        if (entry) {
+            _count(engine, entry.stale ? 'stale' : 'hits');
+            if (entry.stale) {
+                _fetch(key, settings, handler, args, function() {});
+            }
+            return callback(null, entry.value);
+        }
+
+        _count(engine, 'misses');
+        return _fetch(key, settings, handler, args, callback);
+    };
+};
+
+/**
+ * Function that returns the cache statistics
+ *
+ * @return {Object}         Object containing the number of cached `entries` and the hit/miss counters per engine
+ */
+var getStats = module.exports.getStats = function() {
+    return {
+        'entries': cache.size(),
+        'engines': counters
+    };
+};
+
+/**
+ * Function that removes the cached results
+ *
+ * @param  {String}     [engine]    Only remove the results of this engine (e.g. 'summon')
+ * @return {Number}                 The number of removed entries
+ */
+var purge = module.exports.purge = function(engine) {
+    var purged = cache.purge(engine ? engine + ':' : null);
+    log().info({'engine': engine || 'all', 'purged': purged}, 'Purged the search cache');
+    return purged;
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that increments one of the counters of an engine
+ *
+ * @param  {String}     engine      The name of the engine
+ * @param  {String}     counter     The counter (hits|stale|misses)
+ * @api private
+ */
+var _count = function(engine, counter) {
+    counters[engine] = counters[engine] || {'hits': 0, 'stale': 0, 'misses': 0};
+    counters[engine][counter]++;
+};
+
+/**
+ * Function that creates a cache key from the arguments of a handler. The query parameters are normalised,
+ * so the same query always results in the same key, regardless of the order or whitespace of the parameters.
+ *
+ * @param  {String}     engine          The name of the engine
+ * @param  {String}     capability      The capability
+ * @param  {Array}      args            The arguments that are passed to the handler, without the callback
+ * @return {String}                     The cache key
+ * @api private
+ */
+var _createKey = function(engine, capability, args) {
+    var normalised = _.map(args, function(arg) {
+        if (!_.isObject(arg)) {
+            return arg;
+        }
+        return _.chain(arg)
+            .pairs()
+            .filter(function(pair) { return pair[1] !== undefined && pair[1] !== null && pair[1] !== ''; })
+            .map(function(pair) {
+                var value = _.isArray(pair[1]) ? _.map(pair[1], _normaliseValue).sort() : _normaliseValue(pair[1]);
+                return [pair[0].toLowerCase(), value];
+            })
+            .sortBy(function(pair) { return pair[0]; })
+            .value();
+    });
+    return engine + ':' + capability + ':' + JSON.stringify(normalised);
+};
+
+/**
+ * Function that normalises the whitespace of a query parameter value
+ *
+ * @param  {String}     value       The value of the query parameter
+ * @return {String}                 The normalised value
+ * @api private
+ */
+var _normaliseValue = function(value) {
+    return String(value).replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Function that calls the handler and caches its results. Identical requests that come in while the
+ * handler is busy are queued, so they don't hit the engine again.
+ *
+ * @param  {String}     key                 The cache key
+ * @param  {Object}     settings            The cache settings of the engine
+ * @param  {Function}   handler             The handler of the capability
+ * @param  {Array}      args                The arguments that are passed to the handler, without the callback
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Error}      callback.error      Error object to be send with the callback function
+ * @param  {Object}     callback.results    The results of the handler
+ * @api private
+ */
+var _fetch = function(key, settings, handler, args, callback) {
+    if (pending[key]) {
+        return pending[key].push(callback);
+    }
+    pending[key] = [callback];
+
+    handler.apply(null, args.concat(function(error, results) {
+
+        // Errors are never cached
+        if (!error) {
+            cache.set(key, results, settings.ttl, settings.staleTTL);
+        }
+
+        var callbacks = pending[key];
+        delete pending[key];
+        _.each(callbacks, function(cb) {
+            cb(error, results);
+        });
+    }));
+};
@@ -0,0 +1,342 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var util = require('util');
+
+var config = require('../../../../config');
+var log = require('../../../util/logger').logger();
+var searchUtil = require('../../../util/search');
+
+var FacetModel = require('../../../models/search/facet');
+var ResultsModel = require('../../../models/search/results');
+
+var SearchBreaker = require('./breaker');
+var SearchEngineRegistry = require('./registry');
+
+// The name under which the federated search is registered (e.g. `?api=all`)
+var FEDERATED_API = module.exports.FEDERATED_API = config.nodes['find-a-resource'].settings.federatedSearch.api;
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that queries all the search engines in parallel and merges their results into a single results model.
+ * Results are interleaved, records that share an ISBN, EISBN or ISSN are only returned once and the facet counts are combined.
+ *
+ * @param  {Boolean}    isExplicit          Indicates if the federated search has been specified explicitly
+ * @param  {Object}     parameters          The query parameters
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Error}      callback.error      Error object to be send with the callback function
+ * @param  {Results}    callback.results    The merged results model
+ */
+var getResults = module.exports.getResults = function(isExplicit, parameters, callback) {
+    _queryEngines('search', parameters, function(isExplicit, engine, params, done) {
+        engine.search(isExplicit, params, done);
+    }, function(error, responses) {
+        if (error) {
+            return callback(error);
+        }
+
+        try {
+            var merged = _mergeItems(_.pluck(responses, 'results'));
+
+            // Every engine sorted its own results, the merged page needs to be sorted again
+            if (parameters.sort && parameters.sort !== 'relevance') {
+                merged.items = _sortItems(merged.items, parameters.sort);
+            }
+
+            // Sum up the number of results, minus the duplicates we've removed
+            var rowCount = _.reduce(responses, function(memo, response) {
+                return memo + (parseInt(response.results.rowCount, 10) || 0);
+            }, 0) - merged.duplicates;
+
+            var facets = _mergeFacets(parameters, _.map(responses, function(response) { return response.results.facets; }));
+            var facetsOverview = isExplicit ? searchUtil.createFacetOverview(parameters) : [];
+            var pagination = _createPagination(parameters, _.pluck(responses, 'results'));
+
+            // Use the suggestions of the first engine that returned any
+            var suggestions = _.find(_.map(responses, function(response) { return response.results.suggestions; }), _.identity) || null;
+
+            return callback(null, new ResultsModel.Results(rowCount, facets, facetsOverview, merged.items, pagination, suggestions));
+
+        } catch (err) {
+            log().error(err);
+            return callback({'code': 500, 'msg': 'An error occurred while merging the search results'});
+        }
+    });
+};
+
+/**
+ * Function that returns the combined facets from all the search engines
+ *
+ * @param  {Object}     parameters          The query parameters
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Error}      callback.error      Error object to be send with the callback function
+ * @param  {Facet[]}    callback.results    The merged facets
+ */
+var getFacetsFromResults = module.exports.getFacetsFromResults = function(parameters, callback) {
+    _queryEngines('facets', parameters, function(isExplicit, engine, params, done) {
+        engine.facets(params, done);
+    }, function(error, responses) {
+        if (error) {
+            return callback(error);
+        }
+        return callback(null, _mergeFacets(parameters, _.pluck(responses, 'results')));
+    });
+};
+
+// Register the federated search as a search engine. Since it isn't listed in the config, it
+// won't be picked as the default engine and won't show up when the engines are listed.
+SearchEngineRegistry.registerEngine(FEDERATED_API, {
+    'search': getResults,
+    'facets': getFacetsFromResults
+});
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that executes a request against every engine that supports a capability, in parallel
+ *
+ * @param  {String}     capability              The capability every engine should support (e.g. 'search')
+ * @param  {Object}     parameters              The query parameters
+ * @param  {Function}   executor                Function that performs the request for a single engine
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.error          Error object, only set when none of the engines returned results (503)
+ * @param  {Object[]}   callback.responses      Collection of `{'engine': name, 'results': results}` objects, in engine order
+ * @api private
+ */
+var _queryEngines = function(capability, parameters, executor, callback) {
+    var engineNames = SearchEngineRegistry.getEngineNames(capability);
+    if (!engineNames.length) {
+        return callback({'code': 500, 'msg': 'No search engines available'});
+    }
+
+    var responses = new Array(engineNames.length);
+    var errors = [];
+    var pending = engineNames.length;
+
+    _.each(engineNames, function(name, index) {
+
+        // Every engine gets its own copy of the parameters, so it can't influence the other requests
+        var params = _.clone(parameters);
+        params.api = FEDERATED_API;
+
+        executor(true, SearchEngineRegistry.getEngine(name), params, function(error, results) {
+            if (error) {
+                log().error({'err': error}, util.format('Engine "%s" failed during a federated search', name));
+                errors.push(error);
+            } else {
+                responses[index] = {'engine': name, 'results': results};
+            }
+
+            pending--;
+            if (pending === 0) {
+
+                // Only return an error if none of the engines were able to answer
+                responses = _.compact(responses);
+                if (!responses.length) {
+                    return callback(SearchBreaker.createUnavailableError(errors));
+                }
+                return callback(null, responses);
+            }
+        });
+    });
+};
+
+/**
+ * Function that creates a pagination model that spans the pages of all the engines
+ *
+ * @param  {Object}         parameters      The query parameters
+ * @param  {Results[]}      collections     The results of every engine
+ * @return {Pagination}                     The created pagination model
+ * @api private
+ */
+var _createPagination = function(parameters, collections) {
+    var params = _.clone(parameters);
+    params.api = FEDERATED_API;
+
+    var pageCount = _.max(_.map(collections, function(results) {
+        return (results.pagination && parseInt(results.pagination.pageCount, 10)) || 0;
+    }));
+    var pageNumber = pageCount ? (parseInt(parameters.page, 10) || 1) : 0;
+    var firstPage = pageCount ? 1 : 0;
+
+    return searchUtil.createPaginationModel(params, pageNumber, pageCount, firstPage, pageCount);
+};
+
+/**
+ * Function that returns the normalised identifiers (ISBN, EISBN and ISSN) of a resource
+ *
+ * @param  {Result}     item        The resource
+ * @return {String[]}               Collection of normalised identifiers (e.g. `9780521825887`)
+ * @api private
+ */
+var _getIdentifiers = function(item) {
+    var identifiers = [];
+    _.each(['isbn', 'eisbn', 'issn'], function(key) {
+        _.each(item[key], function(value) {
+
+            // Aquabrowser returns all the identifiers of a record in a single string, often with a qualifier (e.g. `0521825881 (hbk.), 9780521825887`)
+            _.each(String(value).match(/[0-9][0-9\-]{5,}[0-9xX]/g), function(identifier) {
+                identifiers.push(key.replace('eisbn', 'isbn') + ':' + identifier.replace(/-/g, '').toUpperCase());
+            });
+        });
+    });
+    return _.uniq(identifiers);
+};
+
+/**
+ * Function that sorts the merged items. Items that don't have a value to sort on are put last.
+ *
+ * @param  {Result[]}   items       The merged items
+ * @param  {String}     sort        The sort option (e.g. newest)
+ * @return {Result[]}               The sorted items
+ * @api private
+ */
+var _sortItems = function(items, sort) {
+    var withValue = [];
+    var withoutValue = [];
+
+    _.each(items, function(item) {
+        var value = null;
+        if (sort === 'newest' || sort === 'oldest') {
+            value = item.published && item.published.publicationDate && parseInt(item.published.publicationDate.year, 10);
+        } else if (sort === 'title') {
+            value = item.titles && item.titles[0] && String(item.titles[0]).toLowerCase();
+        } else if (sort === 'author') {
+            value = item.authors && item.authors[0] && String(item.authors[0].fullname).toLowerCase();
+        }
+
+        if (value || value === 0) {
+            withValue.push({'item': item, 'value': value});
+        } else {
+            withoutValue.push(item);
+        }
+    });
+
+    // `sortBy` is stable, so items with the same value keep the order of the engines
+    var sorted = _.sortBy(withValue, function(entry) {
+        return sort === 'newest' ? -entry.value : entry.value;
+    });
+    return _.pluck(sorted, 'item').concat(withoutValue);
+};
+
+/**
+ * Function that interleaves the items of multiple result sets and removes the duplicates
+ *
+ * @param  {Results[]}  collections     The results of every engine
+ * @return {Object}                     Object containing the merged `items` and the number of removed `duplicates`
+ * @api private
+ */
+var _mergeItems = function(collections) {
+    var items = [];
+    var duplicates = 0;
+    var seen = {};
+
+    var lists = _.map(collections, function(results) { return results.items || []; });
+    var length = _.max(_.pluck(lists, 'length'));
+
+    _.each(_.range(length), function(i) {
+        _.each(lists, function(list) {
+            var item = list[i];
+            if (!item) {
+                return;
+            }
+
+            // Skip the item if one of its identifiers has already been seen
+            var identifiers = _getIdentifiers(item);
+            if (_.find(identifiers, function(identifier) { return seen[identifier]; })) {
+                duplicates++;
+                return;
+            }
+
+            _.each(identifiers, function(identifier) {
+                seen[identifier] = true;
+            });
+            items.push(item);
+        });
+    });
+
+    return {'items': items, 'duplicates': duplicates};
+};
+
+/**
+ * Function that combines the facets of multiple engines. Facet types with the same raw label are merged and
+ * the counts of facets with the same label are added up.
+ *
+ * @param  {Object}         parameters      The query parameters
+ * @param  {FacetType[][]}  collections     The facets of every engine
+ * @return {FacetType[]}                    The combined facets
+ * @api private
+ */
+var _mergeFacets = function(parameters, collections) {
+    var params = _.clone(parameters);
+    params.api = FEDERATED_API;
+
+    var facetTypes = {};
+    var order = [];
+
+    _.each(collections, function(facetsCollection) {
+        _.each(facetsCollection, function(facetType) {
+            var key = String(facetType.rawLabel).toLowerCase();
+            if (!facetTypes[key]) {
+                facetTypes[key] = {'label': facetType.label, 'rawLabel': facetType.rawLabel, 'more': 0, 'facets': {}};
+                order.push(key);
+            }
+
+            var merged = facetTypes[key];
+            merged.more += parseInt(facetType.more, 10) || 0;
+
+            _.each(facetType.facets, function(facet) {
+                var facetKey = String(facet.label).toLowerCase();
+                if (merged.facets[facetKey]) {
+                    merged.facets[facetKey].numItems += facet.numItems;
+                } else {
+
+                    // The urls of the publication year facet select a range rather than a value
+                    if (facetType.rawLabel === searchUtil.YEAR_FACET) {
+                        merged.facets[facetKey] = new FacetModel.Facet(facet.label, facet.numItems, facet.url, null);
+                    } else {
+                        // Only the values the engine allows to be excluded get an exclude url (e.g. not the library)
+                        var url = searchUtil.createFacetUrl(params, facetType.rawLabel, facet.label);
+                        var excludeUrl = facet.excludeUrl ? searchUtil.createFacetExcludeUrl(params, facetType.rawLabel, facet.label) : null;
+                        merged.facets[facetKey] = new FacetModel.Facet(facet.label, facet.numItems, url, excludeUrl);
+                    }
+                }
+            });
+        });
+    });
+
+    var facets = _.map(order, function(key) {
+        var merged = facetTypes[key];
+
+        // The publication year buckets stay in chronological order, the other facets are sorted by their number of results
+        var values = _.values(merged.facets);
+        if (merged.rawLabel === searchUtil.YEAR_FACET) {
+            var buckets = _.pluck(searchUtil.getYearBuckets(), 'label');
+            values = _.sortBy(values, function(facet) { return _.indexOf(buckets, facet.label); });
+        } else {
+            values = _.sortBy(values, function(facet) { return -facet.numItems; });
+        }
+        var moreUrl = searchUtil.createFacetMoreUrl(params, merged.rawLabel);
+        return new FacetModel.FacetType(merged.label, merged.rawLabel, values.length, merged.more, moreUrl, values);
+    });
+
+    return facets.length ? facets : null;
+};
@@ -14,12 +14,25 @@
  */
 
 var _ = require('underscore');
+var util = require('util');
 
 var config = require('../../../../config');
+var citationStyles = require('../../../util/citation-styles');
+var editions = require('../../../util/editions');
+var identifiers = require('../../../util/identifiers');
 var log = require('../../../util/logger').logger();
+var searchUtil = require('../../../util/search');
 
-var AquabrowserAPI = require('./aquabrowser/api');
-var SummonAPI = require('./summon/api');
+var FederatedSearch = require('./federated');
+var SearchBreaker = require('./breaker');
+var SearchEngineRegistry = require('./registry');
+var SearchSuggestions = require('./suggestions');
+
+// The query parameters that can only have a single value
+var SINGLE_VALUE_PARAMETERS = ['api', 'facet', 'group', 'id', 'page', 'pagesize', 'q', 'sort', 'yearfrom', 'yearto'];
+
+// The cursor that points to the first page of results
+var FIRST_CURSOR = '*';
 
 ////////////////////////
 //  PUBLIC FUNCTIONS  //
@@ -27,37 +40,57 @@ var SummonAPI = require('./summon/api');
 
 /**
  * Function that fetches the results from an external API.
+ * When the engine fails or is unavailable, the results are fetched from the next available engine instead and a notice is added.
+ * Queries that consist of a single identifier (e.g. `0-521-82588-1`) are searched in the identifier field, or as free text when nothing matches.
  *
  * @param  {Object}     opts                    Object containing search parameters
  * @param  {String}     opts.q                  The query (e.g. 'darwin')
- * @param  {String}     [opts.api]              The api (e.g. "aquabrowser"). Optional, default `aquabrowser`
+ * @param  {String}     [opts.api]              The api (e.g. "aquabrowser" or "all"). Optional, defaults to the first engine in the config
  * @param  {String}     [opts.author]           The resource author
+ * @param  {String}     [opts.branch]           The library the results are held by, as Aquabrowser names it (e.g. 'University Library'). (Aquabrowser)
  * @param  {String}     [opts.contenttype]      The resource's format (Summon)
+ * @param  {String}     [opts.discipline]       The resource's discipline (e.g. 'medicine'). (Summon)
  * @param  {String}     [opts.format]           The resource's format (Aquabrowser)
+ * @param  {String}     [opts.fulltext]         Only return the resources that are available in full text online when `true` (Summon)
+ * @param  {String}     [opts.group]            Group the editions and formats of the same work on the page when `editions`
  * @param  {String}     [opts.language]         The resource language
  * @param  {String}     [opts.mdtags]           The user tags (e.g. 'science', 'darwin'). (Aquabrowser)
+ * @param  {String}     [opts.nonewspapers]     Leave out the newspaper articles when `true` (Summon)
  * @param  {Number}     [opts.page]             The current page. Optional
+ * @param  {Number}     [opts.pagesize]         The number of results per page, one of the page sizes in the config. Optional
+ * @param  {String}     [opts.peerreviewed]     Only return the peer-reviewed resources when `true` (Summon)
  * @param  {String}     [opts.person]           The resource person subject (about a person)
  * @param  {String}     [opts.region]           The resource region subject (about a region)
+ * @param  {String}     [opts.scholarly]        Only return the scholarly resources when `true` (Summon)
  * @param  {String}     [opts.series]           The title of the series the resource is part of
+ * @param  {String}     [opts.sort]             The order of the results (e.g. 'newest'), one of `config.constants.sortOptions`
  * @param  {String}     [opts.subject]          The resource subject
  * @param  {String}     [opts.subjectterms]     The resource subjectterms (e.g. 'evolution', 'article'). (Summon)
  * @param  {String}     [opts.timeperiod]       The resource time period
  * @param  {String}     [opts.uniformtitle]     The resource's uniform title
+ * @param  {Number}     [opts.yearfrom]         The first publication year of the results (e.g. 1850)
+ * @param  {Number}     [opts.yearto]           The last publication year of the results (e.g. 1900)
  * @param  {Function}   callback                Standard callback function
  * @param  {Error}      callback.err            Object containing the error code and the error message
- * @param  {Result[]}   callback.results        Collection of search results
+ * @param  {Object}     callback.results        Object containing the `results`, the `query`, an optional `notice`, the `identifier` that was searched, if any, and the `limit` when not all the results can be paged through
  */
 var getResults = exports.getResults = function(opts, callback) {
 
-    // Default the API to Aquabrowser if no API has been specified
-    if (!opts.api || opts.api !== 'summon') {
-        opts.api = 'aquabrowser';
+    // Default the API to the default engine if no valid API has been specified
+    if (!SearchEngineRegistry.hasCapability(opts.api, 'search')) {
+        opts.api = SearchEngineRegistry.getDefaultEngineName();
     }
 
     // Sanitize the request options
     opts = _sanitizeQuery(opts);
 
+    // Search identifiers (e.g. an ISBN with hyphens) in their field, the query is still shown as it was entered
+    var query = opts.q;
+    var identifier = identifiers.detectIdentifier(query ? query.replace(/%26/g, '&') : null);
+    if (identifier) {
+        opts.q = identifiers.createQuery(identifier).replace(/&/g, '%26');
+    }
+
     /**
      * Internal function that represents a callback for each engine
      *
@@ -65,16 +98,17 @@ var getResults = exports.getResults = function(opts, callback) {
      * @param  {Object}     results     Object containing the results from the API
      * @api private
      */
-    var _resultsCallback = function(err, results) {
+    var _resultsCallback = function(err, results, notice) {
         if (err) {
             log().error({'err': err});
             return callback(err);
         }
+        opts.q = query;
 
         // Unescape the query properties
         _.each(opts, function(value, key) {
             try {
-                opts[key] = decodeURIComponent(value);
+                opts[key] = _.isArray(value) ? _.map(value, decodeURIComponent) : decodeURIComponent(value);
 
             } catch (err) {
                 log().error(err);
@@ -82,21 +116,128 @@ var getResults = exports.getResults = function(opts, callback) {
             }
         });
 
+        // Remember the queries that returned results, so they can be suggested to other users
+        if (results.rowCount > 0 && (!opts.page || parseInt(opts.page, 10) === 1)) {
+            SearchSuggestions.recordQuery(opts.q);
+        }
+
         // Replace the ampersands by the HTML entity
         opts.q = opts.q.replace(/&/g, '%26');
 
+        // Show every work once, with its other editions and formats. The results might be cached, so they're copied
+        if (opts.group === editions.GROUP) {
+            results = _.extend({}, results, {'items': editions.groupEditions(results.items)});
+        }
+
         // Return the results
-        return callback(null, {'results': results, 'query': opts});
+        return callback(null, {'results': results, 'query': opts, 'notice': notice || null, 'identifier': identifier, 'limit': _getResultsLimit(opts, results)});
     };
 
-    // Get the results from the correct API
-    var getResultsFunc = opts.api === 'aquabrowser' ? AquabrowserAPI.getResults : SummonAPI.getResults;
-    getResultsFunc(true, opts, function(err, results) {
+    /**
+     * Internal function that fetches the results from the correct API
+     *
+     * @api private
+     */
+    var _search = function() {
+        var engine = SearchEngineRegistry.getEngine(opts.api);
+        engine.search(true, opts, function(err, results) {
+            if (err) {
+                log().error(err);
+
+                // The federated search already falls back on the engines that are available
+                if (opts.api === FederatedSearch.FEDERATED_API || (err.code && err.code < 500)) {
+                    return _resultsCallback(err);
+                }
+                return _getFallbackResults(opts, err, _resultsCallback);
+            }
+
+            // The query might only look like an identifier (e.g. the year range `1801-1802` has a valid ISSN check digit), so search it as free text
+            if (identifier && Number(results.rowCount) === 0) {
+                identifier = null;
+                opts.q = query;
+                return _search();
+            }
+            return _resultsCallback(null, results);
+        });
+    };
+
+    _search();
+};
+
+/**
+ * Function that fetches the next page of results for a cursor, so the results can be loaded while scrolling
+ *
+ * @param  {Object}     opts                    Object containing the search parameters, see `getResults`
+ * @param  {String}     opts.cursor             The cursor that was returned with the previous page, `*` for the first page
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message
+ * @param  {Object}     callback.results        Object containing the `items`, the `rowCount`, the `cursor` of the next page (`null` when there are no more pages), the `limit` and the `query`
+ */
+var getMoreResults = exports.getMoreResults = function(opts, callback) {
+    var cursor = _parseCursor(opts.cursor);
+    if (!cursor) {
+        return callback({'code': 400, 'msg': 'Invalid cursor'});
+    }
+
+    var params = _.extend(_.omit(opts, 'cursor'), _.pick(cursor, 'page', 'pagesize'));
+    getResults(params, function(err, response) {
+        if (err) {
+            return callback(err);
+        }
+
+        // Only hand out a cursor when the engine can return the next page
+        var pagination = response.results.pagination || {};
+        var pageNumber = parseInt(pagination.pageNumber, 10) || 1;
+        var nextCursor = null;
+        if (pageNumber < parseInt(pagination.pageCount, 10)) {
+            nextCursor = createCursor(pageNumber + 1, searchUtil.getPageSize(response.query, response.query.api));
+        }
+
+        return callback(null, {
+            'items': response.results.items,
+            'rowCount': response.results.rowCount,
+            'cursor': nextCursor,
+            'limit': response.limit,
+            'query': response.query
+        });
+    });
+};
+
+/**
+ * Function that creates the cursor that points to a page of results
+ *
+ * @param  {Number}     page            The page the cursor points to (e.g. 2)
+ * @param  {Number}     pageSize        The number of results per page (e.g. 25)
+ * @return {String}                     The cursor (e.g. 'eyJwYWdlIjoyLCJwYWdlc2l6ZSI6MjV9')
+ */
+var createCursor = exports.createCursor = function(page, pageSize) {
+    return Buffer.from(JSON.stringify({'page': page, 'pagesize': pageSize})).toString('base64');
+};
+
+/**
+ * Function that fetches the other editions and formats of a resource from all the engines (e.g. the ebook of a printed book).
+ * The engines are searched through their cache and circuit breaker, so showing the editions doesn't add to the load of a failing engine
+ *
+ * @param  {Result}     resource                The resource
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message
+ * @param  {Result[]}   callback.editions       Collection of the other editions and formats of the resource, most relevant first
+ */
+var getOtherEditions = exports.getOtherEditions = function(resource, callback) {
+    var query = editions.createQuery(resource);
+    if (!query) {
+        return callback(null, []);
+    }
+
+    var opts = _sanitizeQuery({'api': FederatedSearch.FEDERATED_API, 'q': query.replace(/&/g, '%26')});
+    SearchEngineRegistry.getEngine(opts.api).search(true, opts, function(err, results) {
         if (err) {
             log().error(err);
-            return _resultsCallback(err);
+            return callback(err);
         }
-        return _resultsCallback(null, results);
+
+        var otherEditions = editions.findEditions(resource, results.items);
+        return callback(null, _.first(otherEditions, config.nodes['find-a-resource'].settings.numberOfEditionsShown));
     });
 };
 
@@ -115,18 +256,14 @@ var getResultById = exports.getResultById = function(opts, callback) {
     // Sanitize the query
     opts = _sanitizeQuery(opts);
 
-    // Keep track of the specified API
-    var isAquabrowser = (opts.api === 'aquabrowser');
-    var isSummon = (opts.api === 'summon');
-
-    // In case the engine doesn't exist, we return an error
-    if (!isAquabrowser && !isSummon) {
+    // In case the engine doesn't exist or can't fetch a resource by its ID, we return an error
+    if (!SearchEngineRegistry.hasCapability(opts.api, 'detail')) {
         return callback({'code': 400, 'msg': 'Invalid API'});
     }
 
     // Get the results from the correct API
-    var getResultsFunc = opts.api === 'aquabrowser' ? AquabrowserAPI.getResults : SummonAPI.getResults;
-    getResultsFunc(true, opts, function(err, results) {
+    var engine = SearchEngineRegistry.getEngine(opts.api);
+    engine.detail(true, opts, function(err, results) {
         if (err) {
             log().error({'err': err});
             return callback(err);
@@ -135,6 +272,72 @@ var getResultById = exports.getResultById = function(opts, callback) {
     });
 };
 
+/**
+ * Function that fetches a single resource by the engine it belongs to and its ID
+ *
+ * @param  {Object}     opts                    Object containing search parameters
+ * @param  {String}     opts.api                The api (e.g. "aquabrowser")
+ * @param  {String}     opts.id                 The resource ID
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message, a 404 when the resource couldn't be found
+ * @param  {Result}     callback.resource       A copy of the resource that knows its engine, see `copyResource`
+ */
+var getResource = exports.getResource = function(opts, callback) {
+    getResultById(opts, function(err, results) {
+        if (err) {
+            return callback(err);
+        } else if (results.error) {
+            return callback({'code': 500, 'msg': results.error});
+        } else if (Number(results.rowCount) === 0 || !results.items || !results.items[0]) {
+            return callback({'code': 404, 'msg': 'Resource not found'});
+        }
+        return callback(null, copyResource(results.items[0], opts.api));
+    });
+};
+
+/**
+ * Function that returns a copy of a resource that knows the engine it belongs to. The engine is needed to link back to
+ * the resource, but the resource might be a cached result which is shared by every request and can't be changed.
+ *
+ * @param  {Result}     resource                The resource
+ * @param  {String}     api                     The engine that returned the resource, used when the resource doesn't know its engine (e.g. "aquabrowser")
+ * @return {Result}                             The copy of the resource
+ */
+var copyResource = exports.copyResource = function(resource, api) {
+    return _.extend({}, resource, {'engine': resource.engine || String(api).toLowerCase()});
+};
+
+/**
+ * Function that returns the formatted citations of a resource
+ *
+ * @param  {Object}     opts                    Object containing search parameters
+ * @param  {String}     opts.api                The api (e.g. "aquabrowser")
+ * @param  {String}     opts.id                 The resource ID
+ * @param  {String}     [opts.style]            The citation style (e.g. "apa"). Optional, the resource is formatted in every style when omitted
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message
+ * @param  {Object}     callback.citations      Object containing the `api`, the `id` and the formatted `citations` of the resource
+ */
+var getCitations = exports.getCitations = function(opts, callback) {
+
+    // The style isn't a search parameter, so it needs to be taken out before the query is sanitized
+    var style = opts.style;
+    if (style && !_.has(citationStyles.STYLES, style)) {
+        return callback({'code': 400, 'msg': 'Invalid style'});
+    } else if (!opts.id) {
+        return callback({'code': 400, 'msg': 'Invalid ID'});
+    }
+
+    getResource(_.omit(opts, 'style'), function(err, resource) {
+        if (err) {
+            return callback(err);
+        }
+
+        var citations = style ? [citationStyles.formatCitation(resource, style)] : citationStyles.formatCitations(resource);
+        return callback(null, {'api': resource.engine, 'id': resource.id, 'citations': citations});
+    });
+};
+
 /**
  * Function that returns a collection of facets from LibrarySearch OR LibrarySearch+
  *
@@ -152,7 +355,7 @@ var getFacetsForResults = exports.getFacetsForResults = function(opts, callback)
     opts = _sanitizeQuery(opts);
 
     // Check if a valid query is set
-    if (!opts.api) {
+    if (!SearchEngineRegistry.hasCapability(opts.api, 'facets')) {
         return callback({'code': 400, 'msg': 'Invalid API'});
     } else if (!opts.facet) {
         return callback({'code': 400, 'msg': 'Invalid facet'});
@@ -163,10 +366,6 @@ var getFacetsForResults = exports.getFacetsForResults = function(opts, callback)
     // Fetch the facets from the specified API
     try {
 
-        // Keep track of the specified API
-        var isAquabrowser = (opts.api === 'aquabrowser');
-        var isSummon = (opts.api === 'summon');
-
         /**
          * Callback function when facets are retrieved from the specified API
          *
@@ -183,12 +382,8 @@ var getFacetsForResults = exports.getFacetsForResults = function(opts, callback)
             return callback(null, results);
         };
 
-        // Determine which API should be addressed
-        if (isAquabrowser) {
-            AquabrowserAPI.getFacetsFromResults(opts, _parseFacets);
-        } else if (isSummon) {
-            SummonAPI.getFacetsFromResults(opts, _parseFacets);
-        }
+        // Let the specified API fetch the facets
+        SearchEngineRegistry.getEngine(opts.api).facets(opts, _parseFacets);
 
     } catch (err) {
         log().error({'err': err});
@@ -196,10 +391,143 @@ var getFacetsForResults = exports.getFacetsForResults = function(opts, callback)
     }
 };
 
+/**
+ * Function that returns the type-ahead suggestions for a (partial) query
+ *
+ * @param  {Object}         opts                    Object containing search parameters
+ * @param  {String}         opts.q                  The entered query (e.g. "darw")
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Error}          callback.err            Object containing the error code and the error message
+ * @param  {Suggestions}    callback.suggestions    The ranked suggestions
+ */
+var getSuggestions = exports.getSuggestions = function(opts, callback) {
+
+    // Sanitize the query
+    opts = _sanitizeQuery(opts);
+
+    // Check if a valid query is set
+    if (!opts.q) {
+        return callback({'code': 400, 'msg': 'Invalid query'});
+    }
+
+    SearchSuggestions.getSuggestions(opts, callback);
+};
+
 //////////////////////////
 //  INTERNAL FUNCTIONS  //
 //////////////////////////
 
+/**
+ * Function that fetches the results from the other engines, one by one, until one of them answers
+ *
+ * @param  {Object}     opts                    Object containing the sanitized search parameters
+ * @param  {Object}     err                     The error that was returned by the requested engine
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message, a 503 when none of the engines answered
+ * @param  {Results}    callback.results        The results of the fallback engine
+ * @param  {String}     callback.notice         The notice that explains why the results come from another engine
+ * @api private
+ */
+var _getFallbackResults = function(opts, err, callback) {
+    var requestedApi = opts.api;
+    var errors = [err];
+
+    // Only try the engines that aren't known to be down
+    var fallbacks = _.filter(SearchEngineRegistry.getEngineNames('search'), function(name) {
+        return name !== requestedApi && SearchBreaker.isAvailable(name);
+    });
+
+    /**
+     * Internal function that tries the next fallback engine
+     *
+     * @api private
+     */
+    var _tryNext = function() {
+        var name = fallbacks.shift();
+        if (!name) {
+            return callback(SearchBreaker.createUnavailableError(errors));
+        }
+
+        var params = _.clone(opts);
+        params.api = name;
+        SearchEngineRegistry.getEngine(name).search(true, params, function(err, results) {
+            if (err) {
+                log().error(err);
+                errors.push(err);
+                return _tryNext();
+            }
+
+            // Show the results as coming from the fallback engine
+            var notice = util.format('The %s search is temporarily unavailable, showing results from %s instead.', _getEngineLabel(requestedApi), _getEngineLabel(name));
+            opts.api = name;
+            return callback(null, results, notice);
+        });
+    };
+
+    _tryNext();
+};
+
+/**
+ * Function that parses a cursor
+ *
+ * @param  {String}     cursor          The cursor that was returned with the previous page, `*` for the first page
+ * @return {Object}                     Object containing the `page` and optionally the `pagesize`, `null` if the cursor is invalid
+ * @api private
+ */
+var _parseCursor = function(cursor) {
+    if (cursor === FIRST_CURSOR) {
+        return {'page': 1};
+    }
+
+    try {
+        var parsed = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+        var page = parseInt(parsed.page, 10);
+        if (page > 0) {
+            return _.extend({'page': page}, _.pick(parsed, 'pagesize'));
+        }
+    } catch (err) {
+        log().warn({'cursor': cursor}, 'Invalid cursor');
+    }
+    return null;
+};
+
+/**
+ * Function that returns a notice when the query has more results than the engine can page through
+ *
+ * @param  {Object}     query       Object containing the sanitized query parameters
+ * @param  {Results}    results     The results of the engine
+ * @return {Object}                 Object containing the number of results that can be shown (`maxRecords`) and the `msg` that suggests narrowing the search, `null` if all the results can be shown
+ * @api private
+ */
+var _getResultsLimit = function(query, results) {
+    var rowCount = parseInt(results.rowCount, 10) || 0;
+
+    // The federated search pages through every engine at the same time
+    var maxRecords = searchUtil.getPageLimit(query, query.api) * searchUtil.getPageSize(query, query.api);
+    if (query.api === FederatedSearch.FEDERATED_API) {
+        maxRecords *= SearchEngineRegistry.getEngineNames('search').length;
+    }
+
+    if (rowCount <= maxRecords) {
+        return null;
+    }
+    return {
+        'maxRecords': maxRecords,
+        'msg': util.format('Only the first %d of %d results can be shown. Use the filters to narrow your search.', maxRecords, rowCount)
+    };
+};
+
+/**
+ * Function that returns the label of an engine
+ *
+ * @param  {String}     name        The name of the engine (e.g. 'summon')
+ * @return {String}                 The label of the engine (e.g. 'Articles')
+ * @api private
+ */
+var _getEngineLabel = function(name) {
+    return (config.constants.engines[name] && config.constants.engines[name].label) || name;
+};
+
 /**
  * Function that sanitizes the query
  *
@@ -214,6 +542,10 @@ var _sanitizeQuery = function(query) {
         // First check if the parameter is valid
         if (config.nodes['find-a-resource'].settings.parameters.indexOf(key) < 0) {
             delete query[key];
+
+        // Only the facets can have multiple values (e.g. `language=English&language=French`)
+        } else if (_.isArray(value) && _.contains(SINGLE_VALUE_PARAMETERS, key)) {
+            query[key] = _.last(value);
         }
     });
 
@@ -222,13 +554,46 @@ var _sanitizeQuery = function(query) {
         query.api = query.api.toLowerCase();
     }
 
-    // If a page is set, make sure it is numeric, not a decimal and not negative
+    // Only keep the sort if it's one of the sort options
+    if (query.sort && !_.has(config.constants.sortOptions, query.sort)) {
+        delete query.sort;
+    }
+
+    // Make sure the publication years are numeric and in the right order
+    _.each(['yearfrom', 'yearto'], function(key) {
+        if (query[key]) {
+            query[key] = parseInt(query[key], 10);
+            if (isNaN(query[key]) || query[key] < 1) {
+                delete query[key];
+            }
+        }
+    });
+    if (query.yearfrom && query.yearto && query.yearfrom > query.yearto) {
+        var yearfrom = query.yearto;
+        query.yearto = query.yearfrom;
+        query.yearfrom = yearfrom;
+    }
+
+    // Only keep the grouping if it's supported
+    if (query.group && query.group !== editions.GROUP) {
+        delete query.group;
+    }
+
+    // Only keep the page size if it's one of the page sizes
+    if (query.pagesize) {
+        query.pagesize = parseInt(query.pagesize, 10);
+        if (!_.contains(config.nodes['find-a-resource'].settings.paging.sizes, query.pagesize)) {
+            delete query.pagesize;
+        }
+    }
+
+    // If a page is set, make sure it is numeric, not a decimal, not negative and a page the engine can return
     if (query.page) {
         query.page = parseInt(query.page, 10);
         if (isNaN(query.page) || query.page < 1) {
             query.page = 1;
-        } else if (query.page > config.nodes['find-a-resource'].settings.pageLimit) {
-            query.page = config.nodes['find-a-resource'].settings.pageLimit;
+        } else {
+            query.page = Math.min(query.page, searchUtil.getPageLimit(query, query.api));
         }
     }
 
@@ -0,0 +1,144 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var util = require('util');
+
+var config = require('../../../../config');
+var log = require('../../../util/logger').logger();
+
+var SearchBreaker = require('./breaker');
+var SearchCache = require('./cache');
+
+// The capabilities a search engine adapter can declare
+var CAPABILITIES = module.exports.CAPABILITIES = ['search', 'detail', 'facets', 'availability', 'suggestions'];
+
+// Keeps track of all the registered engines
+var engines = {};
+
+// Indicates whether the engines listed in the config have been loaded
+var enginesLoaded = false;
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that registers a search engine adapter. The handlers are put behind the circuit breaker and the cache of
+ * the engine, if it has any settings for them. Suggestions are only cached. Cached results can still be served while the breaker is open.
+ *
+ * @param  {String}     name                            The name of the engine (e.g. 'aquabrowser')
+ * @param  {Object}     capabilities                    Object containing a handler for each capability the engine supports
+ * @param  {Function}   [capabilities.search]           Function that returns a collection of results for a query
+ * @param  {Function}   [capabilities.detail]           Function that returns a resource by its ID
+ * @param  {Function}   [capabilities.facets]           Function that returns the facets for a query
+ * @param  {Function}   [capabilities.availability]     Function that returns the availability of a resource
+ * @param  {Function}   [capabilities.suggestions]      Function that returns suggestions for a query
+ */
+var registerEngine = module.exports.registerEngine = function(name, capabilities) {
+    if (!name || !_.isString(name)) {
+        throw new Error('A search engine needs a name to be registered');
+    }
+
+    // Only keep the capabilities we know about
+    var handlers = {};
+    _.each(capabilities, function(handler, capability) {
+        if (!_.contains(CAPABILITIES, capability)) {
+            return log().warn(util.format('Ignoring unknown capability "%s" for engine "%s"', capability, name));
+        } else if (!_.isFunction(handler)) {
+            throw new Error(util.format('The "%s" capability of engine "%s" should be a function', capability, name));
+        }
+        var engine = name.toLowerCase();
+        handlers[capability] = SearchCache.wrap(engine, capability, SearchBreaker.wrap(engine, capability, handler));
+    });
+
+    engines[name.toLowerCase()] = handlers;
+};
+
+/**
+ * Function that returns a registered search engine
+ *
+ * @param  {String}     name        The name of the engine (e.g. 'aquabrowser')
+ * @return {Object}                 Object containing the handlers of the engine, or `null` if the engine isn't registered
+ */
+var getEngine = module.exports.getEngine = function(name) {
+    _loadEngines();
+    if (!name || !_.isString(name)) {
+        return null;
+    }
+    return engines[name.toLowerCase()] || null;
+};
+
+/**
+ * Function that returns the names of the registered engines, in the order they are listed in the config
+ *
+ * @param  {String}     [capability]    Only return the engines that support this capability (e.g. 'facets')
+ * @return {String[]}                   Collection of engine names
+ */
+var getEngineNames = module.exports.getEngineNames = function(capability) {
+    _loadEngines();
+    return _.filter(_.keys(config.constants.engines), function(name) {
+        if (!engines[name]) {
+            return false;
+        }
+        return !capability || hasCapability(name, capability);
+    });
+};
+
+/**
+ * Function that returns the name of the engine that should be used when no (valid) engine has been specified
+ *
+ * @return {String}             The name of the default engine (e.g. 'aquabrowser')
+ */
+var getDefaultEngineName = module.exports.getDefaultEngineName = function() {
+    return getEngineNames('search')[0] || null;
+};
+
+/**
+ * Function that checks if an engine supports a specific capability
+ *
+ * @param  {String}     name            The name of the engine (e.g. 'summon')
+ * @param  {String}     capability      The capability (e.g. 'detail')
+ * @return {Boolean}                    Whether the engine is registered and supports the capability
+ */
+var hasCapability = module.exports.hasCapability = function(name, capability) {
+    var engine = getEngine(name);
+    return !!(engine && engine[capability]);
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that loads the adapters of all the engines that are listed in the config.
+ * Each adapter lives in a directory with the same name as the engine and registers itself when it is required.
+ *
+ * @api private
+ */
+var _loadEngines = function() {
+    if (enginesLoaded) {
+        return;
+    }
+    enginesLoaded = true;
+
+    _.each(config.constants.engines, function(settings, name) {
+        try {
+            require('./' + name + '/api');
+        } catch (err) {
+            log().error({'err': err}, util.format('Could not load search engine "%s"', name));
+        }
+    });
+};
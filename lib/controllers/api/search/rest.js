@@ -13,12 +13,20 @@
  * permissions and limitations under the License.
  */
 
+var _ = require('underscore');
+
+var config = require('../../../../config');
+var libUtil = require('../../../util/util');
+
 var SearchAPI = require('./index');
+var SearchCache = require('./cache');
 
 /*!
- * Returns a collection of search results from LibrarySearch OR LibrarySearch+
+ * Returns a collection of search results from LibrarySearch OR LibrarySearch+.
+ * When a cursor is specified, a single page of results is returned together with the cursor of the next page (`*` for the first page)
  *
  * _GET_ `/api/search`
+ * _GET_ `/api/search?cursor=:cursor`
  *
  * @param  {Request}    req     The REST request object
  * @param  {Response}   res     The REST response object
@@ -31,9 +39,10 @@ var getResults = exports.getResults = function(req, res) {
     }
 
     // Fetch the results
-    SearchAPI.getResults(req.query, function(err, response) {
+    var fetchResults = req.query.cursor ? SearchAPI.getMoreResults : SearchAPI.getResults;
+    fetchResults(req.query, function(err, response) {
         if (err) {
-            return res.send(err.code, err.msg);
+            return libUtil.sendError(res, err);
         }
 
         return res.send(200, response);
@@ -43,7 +52,7 @@ var getResults = exports.getResults = function(req, res) {
 /*!
  * Returns a resource item by its ID
  *
- * _GET_ `/api/search/:api/:id`
+ * _GET_ `/api/search/:api?id=:id`
  *
  * @param  {Request}    req     The REST request object
  * @param  {Response}   res     The REST response object
@@ -60,10 +69,38 @@ var getResultById = exports.getResultById = function(req, res) {
         return res.send(400, 'No valid ID given');
     }
 
-    // Fetch the resource
-    SearchAPI.getResultById(req.query, function(err, response) {
+    // Fetch the resource from the engine specified in the path
+    var opts = _.extend({}, req.query, {'api': req.params.api});
+    SearchAPI.getResultById(opts, function(err, response) {
         if (err) {
-            return res.send(err.code, err.msg);
+            return libUtil.sendError(res, err);
+        }
+
+        return res.send(200, response);
+    });
+};
+
+
+/*!
+ * Returns the formatted citations of a resource, optionally in a single style
+ *
+ * _GET_ `/api/search/:api/cite?id=:id&style=:style`
+ *
+ * @param  {Request}    req     The REST request object
+ * @param  {Response}   res     The REST response object
+ */
+var getCitations = exports.getCitations = function(req, res) {
+
+    // Check if an ID was specified
+    if (!req.query.id) {
+        return res.send(400, 'No valid ID given');
+    }
+
+    // Format the resource from the engine specified in the path
+    var opts = {'api': req.params.api, 'id': req.query.id, 'style': req.query.style};
+    SearchAPI.getCitations(opts, function(err, response) {
+        if (err) {
+            return libUtil.sendError(res, err);
         }
 
         return res.send(200, response);
@@ -84,9 +121,79 @@ var getFacetsForResults = exports.getFacetsForResults = function(req, res) {
     // Fetch the facets
     SearchAPI.getFacetsForResults(req.query, function(err, response) {
         if (err) {
-            return res.send(err.code, err.msg);
+            return libUtil.sendError(res, err);
         }
 
         return res.send(200, response);
     });
 };
+
+/*!
+ * Returns the type-ahead suggestions for a (partial) query
+ *
+ * _GET_ `/api/search/suggest?q=:q`
+ *
+ * @param  {Request}    req     The REST request object
+ * @param  {Response}   res     The REST response object
+ */
+var getSuggestions = exports.getSuggestions = function(req, res) {
+
+    // Check if a query was specified
+    if (!req.query.q) {
+        return res.send(400, 'No valid query given');
+    }
+
+    // Fetch the suggestions
+    SearchAPI.getSuggestions(req.query, function(err, response) {
+        if (err) {
+            return libUtil.sendError(res, err);
+        }
+
+        return res.send(200, response);
+    });
+};
+
+/*!
+ * Returns the search cache statistics
+ *
+ * _GET_ `/api/search/cache`
+ *
+ * @param  {Request}    req     The REST request object
+ * @param  {Response}   res     The REST response object
+ */
+var getCacheStats = exports.getCacheStats = function(req, res) {
+    if (!_isAdmin(req)) {
+        return res.send(403, 'Invalid admin token');
+    }
+    return res.send(200, SearchCache.getStats());
+};
+
+/*!
+ * Purges the search cache, optionally for a single engine (e.g. `?api=summon`)
+ *
+ * _DELETE_ `/api/search/cache`
+ *
+ * @param  {Request}    req     The REST request object
+ * @param  {Response}   res     The REST response object
+ */
+var purgeCache = exports.purgeCache = function(req, res) {
+    if (!_isAdmin(req)) {
+        return res.send(403, 'Invalid admin token');
+    }
+    return res.send(200, {'purged': SearchCache.purge(req.query.api)});
+};
+
+/**
+ * Function that checks if the request contains the admin token, either in the `x-admin-token` header or in the `token` parameter
+ *
+ * @param  {Request}    req     The REST request object
+ * @return {Boolean}            Whether the request was made by an admin
+ * @api private
+ */
+var _isAdmin = function(req) {
+    var token = config.secret.admin && config.secret.admin.token;
+    if (!token) {
+        return false;
+    }
+    return (req.headers['x-admin-token'] || req.query.token) === token;
+};
@@ -0,0 +1,182 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var querystring = require('querystring');
+var util = require('util');
+
+var config = require('../../../../config');
+var log = require('../../../util/logger').logger();
+
+var ResultsModel = require('../../../models/search/results');
+
+var SearchEngineRegistry = require('./registry');
+
+// The name under which the popular queries are weighted in the suggestion settings
+var POPULAR = 'popular';
+
+// Keeps track of how many times each query has been searched for
+var popularQueries = {};
+var popularQueriesCount = 0;
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that returns the suggestions for a (partial) query. The suggestions of every engine that supports them
+ * are blended with the popular queries and ranked using the weights in `config.nodes['find-a-resource'].settings.suggestions`.
+ *
+ * @param  {Object}         parameters              The sanitized query parameters
+ * @param  {String}         parameters.q            The entered query (e.g. darw)
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Error}          callback.error          Error object to be send with the callback function
+ * @param  {Suggestions}    callback.suggestions    The ranked suggestions
+ */
+var getSuggestions = module.exports.getSuggestions = function(parameters, callback) {
+    var settings = config.nodes['find-a-resource'].settings.suggestions;
+    var query = _normaliseQuery(parameters.q);
+
+    // Don't bother the engines with queries that are too short to complete
+    if (query.length < settings.minLength) {
+        return callback(null, new ResultsModel.Suggestions(parameters.q, []));
+    }
+
+    var engineNames = SearchEngineRegistry.getEngineNames('suggestions');
+    var sources = {};
+    sources[POPULAR] = getPopularQueries(query);
+
+    var pending = engineNames.length;
+    if (!pending) {
+        return callback(null, _rankSuggestions(parameters, sources, settings));
+    }
+
+    _.each(engineNames, function(name) {
+        SearchEngineRegistry.getEngine(name).suggestions({'q': query}, function(error, suggestions) {
+
+            // An engine that fails shouldn't prevent the other suggestions from being shown
+            if (error) {
+                log().warn({'err': error}, util.format('Engine "%s" failed to return suggestions', name));
+            } else if (suggestions) {
+                sources[name] = _.pluck(suggestions.suggestedItems, 'label');
+            }
+
+            pending--;
+            if (pending === 0) {
+                return callback(null, _rankSuggestions(parameters, sources, settings));
+            }
+        });
+    });
+};
+
+/**
+ * Function that returns the popular queries that complete a (partial) query
+ *
+ * @param  {String}     query       The entered query (e.g. darw)
+ * @return {Object[]}               Collection of objects containing the `query` and the number of times it has been searched for (`count`), most popular first
+ */
+var getPopularQueries = module.exports.getPopularQueries = function(query) {
+    query = _normaliseQuery(query);
+    var matches = _.filter(_.keys(popularQueries), function(popularQuery) {
+        return popularQuery !== query && (popularQuery.indexOf(query) === 0 || popularQuery.indexOf(' ' + query) > -1);
+    });
+    matches = _.map(matches, function(popularQuery) {
+        return {'query': popularQuery, 'count': popularQueries[popularQuery]};
+    });
+    return _.sortBy(matches, function(match) { return -match.count; });
+};
+
+/**
+ * Function that records a query that has been searched for, so it can be suggested to other users.
+ * When the maximum number of queries is reached, the least popular query is forgotten.
+ *
+ * @param  {String}     query       The query (e.g. Charles Darwin)
+ */
+var recordQuery = module.exports.recordQuery = function(query) {
+    query = _normaliseQuery(query);
+    if (!query) {
+        return;
+    }
+
+    if (!popularQueries[query]) {
+        var max = config.nodes['find-a-resource'].settings.suggestions.popularQueries;
+        if (popularQueriesCount >= max) {
+            var leastPopular = _.min(_.keys(popularQueries), function(popularQuery) { return popularQueries[popularQuery]; });
+            delete popularQueries[leastPopular];
+            popularQueriesCount--;
+        }
+        popularQueries[query] = 0;
+        popularQueriesCount++;
+    }
+    popularQueries[query]++;
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that normalises a query, so the same query is always recorded and suggested once
+ *
+ * @param  {String}     query       The query (e.g. `  Charles   Darwin`)
+ * @return {String}                 The normalised query (e.g. `charles darwin`)
+ * @api private
+ */
+var _normaliseQuery = function(query) {
+    return String(query || '').replace(/\s+/g, ' ').trim().toLowerCase();
+};
+
+/**
+ * Function that blends the suggestions of all the sources and ranks them. Every source adds its weight to a
+ * suggestion, scaled by the position of the suggestion in that source.
+ *
+ * @param  {Object}         parameters      The sanitized query parameters
+ * @param  {Object}         sources         Object containing the suggestions of each source (e.g. `{'summon': ['darwin']}`)
+ * @param  {Object}         settings        The suggestion settings
+ * @return {Suggestions}                    The ranked suggestions
+ * @api private
+ */
+var _rankSuggestions = function(parameters, sources, settings) {
+    var query = _normaliseQuery(parameters.q);
+    var candidates = {};
+
+    _.each(sources, function(suggestions, source) {
+        var weight = settings.weights[source] || 1;
+        var labels = (source === POPULAR) ? _.pluck(suggestions, 'query') : suggestions;
+
+        _.each(labels, function(label, index) {
+            var key = _normaliseQuery(label);
+            if (!key || key === query) {
+                return;
+            }
+
+            candidates[key] = candidates[key] || {'label': label, 'score': 0};
+            candidates[key].score += weight * (labels.length - index) / labels.length;
+        });
+    });
+
+    // Suggestions that complete the query are shown before the ones that replace it
+    var ranked = _.sortBy(_.values(candidates), function(candidate) { return -candidate.score; });
+    var completions = _.partition(ranked, function(candidate) {
+        return _normaliseQuery(candidate.label).indexOf(query) === 0;
+    });
+    ranked = completions[0].concat(completions[1]);
+
+    var suggestedItems = _.map(ranked.slice(0, settings.limit), function(candidate) {
+        var url = querystring.stringify(_.extend(_.omit(parameters, 'page', 'facet'), {'q': candidate.label}));
+        return new ResultsModel.Suggestion(candidate.label, url);
+    });
+    return new ResultsModel.Suggestions(parameters.q, suggestedItems);
+};
@@ -27,6 +27,7 @@ var ResultModel = require('../../../../models/search/result');
 var ResultsModel = require('../../../../models/search/results');
 
 var ResourceModelFactory = require('../../../../factories/api/search/ResourceModelFactory');
+var SearchEngineRegistry = require('../registry');
 
 ////////////////////////
 //  PUBLIC FUNCTIONS  //
@@ -47,7 +48,7 @@ var getFacetsFromResults = module.exports.getFacetsFromResults = function(parame
     // Determine if Summon has been specified
     var isSummon = true;
     // Create a collection of facets
-    var facetsCollection = ['s.ff=Language,or,1,100','s.ff=SubjectTerms,or,1,100','s.ff=ContentType,or,1,100'];
+    var facetsCollection = apiUtil.getFacetParameters('or');
     // Predefine some queryString elements
     var queryString = ['s.ps=25', 's.dym=true', 's.debug=true', 's.ho=true'];
     queryString = queryString.concat(facetsCollection);
@@ -60,8 +61,13 @@ var getFacetsFromResults = module.exports.getFacetsFromResults = function(parame
         // Parse the response body
         body = JSON.parse(body);
 
-        // Return the generated facets
-        return callback(null, _createFacets(body, parameters));
+        // Return the generated facets, including the publication year facet
+        var facets = _createFacets(body, parameters);
+        var yearFacet = _createYearFacet(body, parameters);
+        if (yearFacet) {
+            facets.push(yearFacet);
+        }
+        return callback(null, facets);
     });
 };
 
@@ -84,9 +90,9 @@ var getResults = module.exports.getResults = function(isSummon, parameters, call
     // Check if we're looking for a specific resource (ID)
     var isDetailRequest = _.has(parameters, 'id');
     // Create a collection of facets
-    var facetsCollection = ['s.ff=Language,and,1,100','s.ff=SubjectTerms,and,1,100','s.ff=ContentType,and,1,100'];
+    var facetsCollection = apiUtil.getFacetParameters('and');
     // Predefine some queryString elements
-    var queryString = ['s.ps=25', 's.dym=true', 's.debug=true', 's.ho=true'];
+    var queryString = ['s.ps=' + search.getPageSize(parameters, 'summon'), 's.dym=true', 's.debug=true', 's.ho=true'];
     queryString = queryString.concat(facetsCollection);
     // Construct the request options ojbect
     var options = apiUtil.constructRequestOptions(null, isSummon, parameters, extraParams, queryString);
@@ -110,10 +116,11 @@ var getResults = module.exports.getResults = function(isSummon, parameters, call
             log().error(error);
             return callback({'code': 500, 'msg': 'An error occurred while fetching Summon data'});
 
-        // Since Summon doesn't seem to be able to handle strange characters in the query parameters, a 401 error is thrown.
-        // We still want to display the results object.
+        // Summon refuses requests of which the signature doesn't match. Since the query string is signed the way Summon
+        // decodes it, this means the credentials are wrong and the results should come from another engine
         } else if (response.statusCode === 401) {
-            return callback(null, resultsModel);
+            log().error({'body': body}, 'Summon refused the request');
+            return callback({'code': 500, 'msg': 'Summon refused the request'});
 
         } else {
 
@@ -150,6 +157,12 @@ var getResults = module.exports.getResults = function(isSummon, parameters, call
                     facetType.facets = facetType.facets.slice(0, 5);
                 });
 
+                // Add the publication year facet, all of its buckets are shown
+                var yearFacet = _createYearFacet(body, parameters);
+                if (yearFacet) {
+                    facets.push(yearFacet);
+                }
+
                 // Create a new results model
                 resultsModel = new ResultsModel.Results(recordCount, facets, facetsOverview, results, pagination, suggestions);
                 return callback(null, resultsModel);
@@ -163,10 +176,85 @@ var getResults = module.exports.getResults = function(isSummon, parameters, call
     });
 };
 
+/**
+ * Function that returns the Summon query suggestions ("did you mean") for a (partial) query
+ *
+ * @param  {Object}       parameters              The query parameters
+ * @param  {String}       parameters.q            The entered query (e.g. darwn)
+ * @param  {Function}     callback                The callback function
+ * @param  {Error}        callback.error          Error object to be send with the callback function
+ * @param  {Suggestions}  callback.suggestions    The created suggestions model
+ */
+var getSuggestions = module.exports.getSuggestions = function(parameters, callback) {
+
+    // We're only interested in the suggestions, not in the results
+    var params = {'q': parameters.q};
+    var queryString = ['s.ps=1', 's.dym=true', 's.ho=true'];
+    var options = apiUtil.constructRequestOptions(null, false, params, [], queryString);
+
+    // Do a request to the Summon API
+    request(options, function(error, response, body) {
+        if (error) {
+            log().error(error);
+            return callback({'code': 500, 'msg': 'An error occurred while fetching Summon data'});
+        }
+
+        try {
+            body = JSON.parse(body);
+            if (body.errors) {
+                log().error(body.errors);
+                return callback({'code': 500, 'msg': 'An error occurred while fetching Summon data'});
+            }
+
+            // Summon only returns suggestions for queries it doesn't recognise
+            var suggestions = _createSuggestions(body, params, callback);
+            return callback(null, suggestions || new ResultsModel.Suggestions(params.q, []));
+
+        } catch(error) {
+            log().error(error);
+            return callback({'code': 500, 'msg': 'An error occurred while fetching Summon data'});
+        }
+    });
+};
+
+// Register Summon as a search engine
+SearchEngineRegistry.registerEngine('summon', {
+    'search': getResults,
+    'detail': getResults,
+    'facets': getFacetsFromResults,
+    'suggestions': getSuggestions
+});
+
 //////////////////////////
 //  INTERNAL FUNCTIONS  //
 //////////////////////////
 
+/**
+ * Function that creates the publication year facet from the range facet in the response body
+ *
+ * @param  {Object}      body          The response body
+ * @param  {Object}      parameters    The query parameters
+ * @return {FacetType}                 The publication year facet, `null` if Summon didn't return any counts
+ * @api private
+ */
+var _createYearFacet = function(body, parameters) {
+    var rangeFacet = _.find(body.rangeFacetFields, function(rangeFacet) {
+        return rangeFacet.fieldName === config.constants.engines.summon.facets.yearField;
+    });
+    if (!rangeFacet) {
+        return null;
+    }
+
+    // Match the counts with the buckets by the first year of their range
+    var counts = _.map(search.getYearBuckets(), function(bucket) {
+        var range = _.find(rangeFacet.counts, function(count) {
+            return count.range && parseInt(count.range.minValue, 10) === bucket.from;
+        });
+        return range ? range.count : 0;
+    });
+    return search.createYearFacet(_.clone(parameters), counts);
+};
+
 /**
  * Function that creates a facet collection
  *
@@ -202,8 +290,9 @@ var _createFacets = function(body, parameters, callback) {
                     var facetLabel = facet.value;
                     var facetAmount = facet.count;
                     var url = search.createFacetUrl(params, facetTypeRawLabel, facetLabel);
+                    var excludeUrl = search.createFacetExcludeUrl(params, facetTypeRawLabel, facetLabel);
 
-                    var facetModel = new FacetModel.Facet(facetLabel, facetAmount, url);
+                    var facetModel = new FacetModel.Facet(facetLabel, facetAmount, url, excludeUrl);
                     items.push(facetModel);
                 });
 
@@ -263,7 +352,10 @@ var _createResults = function(body, callback) {
                     'thumbnails': null,
                     'links': apiUtil.getPropertyData(item, 'link'),
                     'eResource': null,
-                    'branches': null
+                    'branches': null,
+                    'engine': 'summon',
+                    'doi': apiUtil.getPropertyData(item, 'DOI'),
+                    'uniformTitle': null
                 };
 
                 // Thumbnail
@@ -318,9 +410,9 @@ var _createPagination = function(body, parameters, callback) {
             pageNumber = parseInt(body.query.pageNumber, 10);
             var pageCount = parseInt(body.pageCount, 10);
 
-            // Since Summon only supports 50 pages of results, we need to trash all the pages that come after page 50
+            // Since Summon can't page through all the results, we need to trash all the pages that come after the limit
             // (will return 'page.number.too.large' error otherwise)
-            if (pageCount > config.nodes['find-a-resource'].settings.pageLimit) pageCount = config.nodes['find-a-resource'].settings.pageLimit;
+            pageCount = Math.min(pageCount, search.getPageLimit(parameters, 'summon'));
 
             var firstPage = 1;
             var lastPage = parseInt(pageCount, 10);
@@ -19,10 +19,22 @@ var crypto = require('crypto');
 var config = require('../../../../../../config');
 var libUtil = require('../../../../../util/util');
 var log = require('../../../../../util/logger').logger();
+var queryNormaliser = require('../../../../../util/query-normaliser');
+var queryParser = require('../../../../../util/query-parser');
 var searchUtil = require('../../../../../util/search');
 
+var QueryModel = require('../../../../../models/search/query');
 var ResultModel = require('../../../../../models/search/result');
 
+// Fields that are sent as filter queries (`s.fq`) when they have to match, rather than being part of the query (`s.q`)
+var FILTER_FIELDS = ['isbn', 'year'];
+
+// The Summon fields the facet parameters are filtered on (e.g. `subjectterms` filters on `SubjectTerms`). The formats
+// of the other engines are filtered on as content types
+var FACET_FIELDS = _.extend({'format': 'ContentType'}, _.object(_.map(config.constants.engines.summon.facets.fields, function(field) {
+    return [field.toLowerCase(), field];
+})));
+
 ////////////////////////
 //  PUBLIC FUNCTIONS  //
 ////////////////////////
@@ -48,9 +60,24 @@ var constructRequestOptions = module.exports.constructRequestOptions = function(
 
         } else {
 
-            // Check if the keyword has been set
+            // Check if the keyword has been set. Some fielded terms are sent as filter queries
             if (parameters['q']) {
-                extraParams.push(parameters['q']);
+                var query = _translateQuery(parameters['q']);
+                extraParams.push(query.query);
+                _.each(query.filters, function(filter) {
+                    queryString.push('s.fq=' + filter);
+                });
+            }
+
+            // Check if a sort is set (e.g. newest)
+            if (parameters['sort'] && config.constants.sortOptions[parameters['sort']].summon) {
+                queryString.push('s.sort=' + config.constants.sortOptions[parameters['sort']].summon);
+            }
+
+            // Check if a publication year range is set (e.g. 1850 - 1900)
+            var yearRange = searchUtil.getYearRange(parameters);
+            if (yearRange) {
+                queryString.push('s.rf=' + config.constants.engines.summon.facets.yearField + ',' + yearRange.from + ':' + yearRange.to);
             }
 
             // Parameters which can only be added if the API is specified in the UI (facets)
@@ -65,26 +92,18 @@ var constructRequestOptions = module.exports.constructRequestOptions = function(
 
                 // These parameters influence the way of searching through resources
 
-                // Check if the format is set
-                if (parameters['format'] && parameters['format'] !== 'all') {
-                    try {
-                        format = parameters['format'];
-                    } catch(error) {
-                        log().error(error);
-                        return callback('Invalid format specified');
-                    }
-                    queryString.push('s.fvf=ContentType,' + format + ',false');
-                }
+                // Check if any facet values are selected or excluded (e.g. `language=English&language=-German`)
+                _.each(FACET_FIELDS, function(field, facet) {
+                    var filters = _createFacetFilters(field, searchUtil.getFacetValues(parameters, facet));
+                    queryString.push.apply(queryString, filters);
+                });
 
-                // Check if the language is set (e.g. Spanish, English, German...)
-                if (parameters['language']) {
-                    queryString.push('s.fvf=Language,' + parameters['language'] + ',false');
-                }
-
-                // Check if the subject terms are set (e.g. electronic books, evolution...)
-                if (parameters['subjectterms']) {
-                    queryString.push('s.fvf=SubjectTerms,' + parameters['subjectterms'] + ',false');
-                }
+                // Check if any of the filters are checked (e.g. `peerreviewed=true`)
+                _.each(config.constants.engines.summon.filters, function(filter, name) {
+                    if (_.contains(_.flatten([parameters[name]]), 'true')) {
+                        queryString.push('s.fvf=' + filter.filter);
+                    }
+                });
             }
         }
     }
@@ -98,24 +117,14 @@ var constructRequestOptions = module.exports.constructRequestOptions = function(
     };
 
     // Contstruct the query parameter string
-    extraParams = 's.q=' + encodeURIComponent(extraParams.join('&'));
-    queryString.push(extraParams);
-
-    queryString = queryString.sort().join('&');
-    queryString = decodeURIComponent(queryString);
-
-    // Convert the header to a string to create a hash afterwards
-    var headerString = _constructHeaderString(headers) + queryString + '\n';
+    queryString.push('s.q=' + extraParams.join('&'));
+    queryString = _createQueryString(queryString);
 
-    // Create a hash from the application key and the headerString
-    var sha1Digest = crypto.createHmac('sha1', config.secret.summon.auth.key).update(headerString).digest('base64');
-
-    // Construct the header authentication string
-    var authHeaderString = 'Summon ' + config.secret.summon.auth.id + ';' + sha1Digest;
-    headers['Authorization'] = authHeaderString;
+    // Sign the request
+    headers['Authorization'] = createAuthorizationHeader(headers, queryString.decoded);
 
     // Construct the request url
-    var url = 'http://' + headers['Host'] + headers['Version'] + '?' + queryString;
+    var url = 'http://' + headers['Host'] + headers['Version'] + '?' + queryString.encoded;
 
     // Create an options object that can be submitted to the Summon API
     var options = {
@@ -129,6 +138,53 @@ var constructRequestOptions = module.exports.constructRequestOptions = function(
     return options;
 };
 
+/**
+ * Function that creates the value of the `Authorization` header Summon uses to authenticate a request.
+ * The digest is a HMAC of the request headers and the query string, signed with the application key.
+ *
+ * @param  {Object}   headers        Object containing the `Accept`, `x-summon-date`, `Host` and `Version` headers, in that order
+ * @param  {String}   queryString    The sorted and decoded query string (e.g. s.ps=25&s.q=Darwin)
+ * @return {String}                  The authorization header (e.g. Summon cambridge;Jg8tTrO9...)
+ */
+var createAuthorizationHeader = module.exports.createAuthorizationHeader = function(headers, queryString) {
+
+    // Convert the header to a string to create a hash afterwards
+    var headerString = _constructHeaderString(headers) + queryString + '\n';
+
+    // Create a hash from the application key and the headerString
+    var sha1Digest = crypto.createHmac('sha1', config.secret.summon.auth.key).update(headerString).digest('base64');
+
+    // Construct the header authentication string
+    return 'Summon ' + config.secret.summon.auth.id + ';' + sha1Digest;
+};
+
+/**
+ * Function that returns the facets that are requested from Summon, as configured in `config.constants.engines.summon.facets`
+ *
+ * @param  {String}   mode           How the selected values of a facet are combined (and|or)
+ * @return {String[]}                The facet parameters (e.g. ['s.ff=Language,and,1,100', ..., 's.rff=PublicationDate,1:1799,...'])
+ */
+var getFacetParameters = module.exports.getFacetParameters = function(mode) {
+    var settings = config.constants.engines.summon.facets;
+    var facets = _.map(settings.fields, function(field) {
+        return 's.ff=' + field + ',' + mode + ',1,' + settings.size;
+    });
+    facets.push(getYearRangeFacet());
+    return facets;
+};
+
+/**
+ * Function that returns the range facet that counts the results in each of the publication year buckets
+ *
+ * @return {String}                  The range facet parameter (e.g. s.rff=PublicationDate,1:1799,1800:1809,...)
+ */
+var getYearRangeFacet = module.exports.getYearRangeFacet = function() {
+    var ranges = _.map(searchUtil.getYearBuckets(), function(bucket) {
+        return bucket.from + ':' + bucket.to;
+    });
+    return 's.rff=' + config.constants.engines.summon.facets.yearField + ',' + ranges.join(',');
+};
+
 /**
  * Function that fetches all the authors from a resource
  *
@@ -245,6 +301,42 @@ var getPropertyData = module.exports.getPropertyData = function(item, key) {
 //  INTERNAL FUNCTIONS  //
 //////////////////////////
 
+/**
+ * Function that creates the facet filters for the selected values of a facet. A single value is sent as a value filter (`s.fvf`),
+ * multiple values as a value group filter (`s.fvgf`) so they are combined using `OR`. Excluded values are sent as negated value filters.
+ *
+ * @param  {String}     field       The Summon field (e.g. `Language`)
+ * @param  {Object}     values      Object containing the `include`d and the `exclude`d values of the facet
+ * @return {String[]}               Collection of filters (e.g. `s.fvgf=Language,or,English,French`, `s.fvf=Language,German,true`)
+ * @api private
+ */
+var _createFacetFilters = function(field, values) {
+    var filters = [];
+
+    var included = _.map(values.include, _escapeFacetValue);
+    if (included.length === 1) {
+        filters.push('s.fvf=' + field + ',' + included[0] + ',false');
+    } else if (included.length > 1) {
+        filters.push('s.fvgf=' + field + ',or,' + included.join(','));
+    }
+
+    _.each(values.exclude, function(value) {
+        filters.push('s.fvf=' + field + ',' + _escapeFacetValue(value) + ',true');
+    });
+    return filters;
+};
+
+/**
+ * Function that escapes the characters that have a special meaning in a Summon facet filter
+ *
+ * @param  {String}     value       The facet value (e.g. `Science, general`)
+ * @return {String}                 The escaped value (e.g. `Science\, general`)
+ * @api private
+ */
+var _escapeFacetValue = function(value) {
+    return String(value).replace(/([\\,:])/g, '\\$1');
+};
+
 /**
  * Strips the value down to a simple string
  *
@@ -286,3 +378,69 @@ var _getUTCDate = function() {
     var d = new Date();
     return d.toUTCString();
 };
+
+/**
+ * Function that creates the query string of a Summon request. Summon decodes the query string it receives and
+ * checks the signature against that, so every value has to be encoded exactly once. Otherwise the signature of
+ * queries with characters such as `&`, `+`, `%` or non-Latin letters doesn't match and Summon refuses the request.
+ *
+ * @param  {String[]}   parameters      The decoded query parameters (e.g. `['s.ps=25', 's.q=Война и мир']`)
+ * @return {Object}                     Object containing the `encoded` query string for the url and the `decoded` query string that is signed
+ * @api private
+ */
+var _createQueryString = function(parameters) {
+    var encoded = _.map(parameters, function(parameter) {
+        var index = parameter.indexOf('=');
+        return encodeURIComponent(parameter.substring(0, index)) + '=' + encodeURIComponent(parameter.substring(index + 1));
+    }).sort().join('&');
+    return {'encoded': encoded, 'decoded': decodeURIComponent(encoded)};
+};
+
+/**
+ * Function that translates a query into the Summon syntax. Terms that have to match and search in one of the
+ * filter fields (e.g. `isbn:9780521825887`) are split off as filter queries.
+ *
+ * @param  {String}  query     The engine-neutral query (e.g. `title:"origin of species" AND year:1859`)
+ * @return {Object}            Object containing the `query` (e.g. `Title:("origin of species")`) and the `filters` (e.g. `['PublicationDate:(1859)']`)
+ * @api private
+ */
+var _translateQuery = function(query) {
+    var tree = queryParser.parse(queryNormaliser.normalise(query));
+    var filters = [];
+
+    // Only the operands of the top-level AND node have to match
+    var operands = (tree && tree.type === 'operator' && tree.operator === 'AND') ? tree.operands : _.compact([tree]);
+    operands = _.filter(operands, function(operand) {
+        if (operand.type === 'term' && _.contains(FILTER_FIELDS, operand.field)) {
+            filters.push(_formatTerm(operand));
+            return false;
+        }
+        return true;
+    });
+
+    var remaining = operands.length > 1 ? new QueryModel.Operator('AND', operands) : operands[0];
+    return {
+        'query': queryParser.serialize(remaining, _formatTerm),
+        'filters': filters
+    };
+};
+
+/**
+ * Function that converts a term of the query tree into the Summon syntax (e.g. `Author:(darwin)`). Terms in a
+ * non-Latin script or with diacritics are searched in their romanised form as well (e.g. `Author:((Толстой OR Tolstoi))`).
+ *
+ * @param  {Term}    term      The term
+ * @return {String}            The Summon term
+ * @api private
+ */
+var _formatTerm = function(term) {
+    var values = _.map(queryNormaliser.getVariants(term.value), function(value) {
+        value = queryNormaliser.escapeSummon(value, term.isPhrase);
+        return term.isPhrase ? '"' + value + '"' : value;
+    });
+    var value = values.length > 1 ? '(' + values.join(' OR ') + ')' : values[0];
+    if (term.field && config.constants.fields[term.field].summon) {
+        return config.constants.fields[term.field].summon + ':(' + value + ')';
+    }
+    return value;
+};
@@ -0,0 +1,432 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var xml2js = require('xml2js');
+
+var config = require('../../../../config');
+var cql = require('../../../util/cql');
+var log = require('../../../util/logger').logger();
+
+var SearchAPI = require('../search');
+var SearchEngineRegistry = require('../search/registry');
+var SRURecords = require('./records');
+
+// The SRU version that is implemented
+var VERSION = '1.2';
+
+// The namespaces of the SRU responses
+var NAMESPACES = {
+    'diag': 'http://www.loc.gov/zing/srw/diagnostic/',
+    'explain': 'http://explain.z3950.org/dtd/2.0/',
+    'srw': 'http://www.loc.gov/zing/srw/'
+};
+
+// The diagnostics of the request parameters (see http://www.loc.gov/standards/sru/diagnostics/diagnosticsList.html)
+var DIAGNOSTICS = {
+    'systemError': {'code': 1, 'msg': 'General system error'},
+    'unsupportedOperation': {'code': 4, 'msg': 'Unsupported operation'},
+    'unsupportedVersion': {'code': 5, 'msg': 'Unsupported version'},
+    'unsupportedParameterValue': {'code': 6, 'msg': 'Unsupported parameter value'},
+    'missingParameter': {'code': 7, 'msg': 'Mandatory parameter not supplied'},
+    'firstRecordOutOfRange': {'code': 61, 'msg': 'First record position out of range'},
+    'unknownSchema': {'code': 66, 'msg': 'Unknown schema for retrieval'},
+    'unsupportedRecordPacking': {'code': 71, 'msg': 'Unsupported record packing'}
+};
+
+// The indexes that are listed in the explain record, with a human readable title
+var INDEX_TITLES = {
+    'cql.serverchoice': 'Keywords',
+    'dc.title': 'Title',
+    'dc.creator': 'Author',
+    'dc.subject': 'Subject',
+    'bath.isbn': 'ISBN',
+    'dc.date': 'Year of publication'
+};
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that handles an SRU request. Requests without an operation are answered with the explain record.
+ *
+ * @see http://www.loc.gov/standards/sru/
+ *
+ * @param  {Object}     parameters              The request parameters (e.g. `{'operation': 'searchRetrieve', 'query': 'dc.title=darwin'}`)
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and the error message, only set when the response couldn't be created
+ * @param  {String}     callback.response       The SRU response document
+ */
+var handleRequest = module.exports.handleRequest = function(parameters, callback) {
+    var operation = parameters.operation || 'explain';
+
+    if (parameters.version && parameters.version !== '1.1' && parameters.version !== VERSION) {
+        return callback(null, _createResponse(operation === 'scan' ? 'scan' : 'explain', {}, [_createDiagnostic('unsupportedVersion', parameters.version)]));
+    }
+
+    switch (operation) {
+        case 'explain':
+            return callback(null, explain());
+        case 'searchRetrieve':
+            return searchRetrieve(parameters, callback);
+        case 'scan':
+            return scan(parameters, callback);
+        default:
+            return callback(null, _createResponse('explain', {}, [_createDiagnostic('unsupportedOperation', operation)]));
+    }
+};
+
+/**
+ * Function that creates the explain response, which describes the indexes and record schemas that are supported
+ *
+ * @return {String}         The explain response document
+ */
+var explain = module.exports.explain = function() {
+    var settings = config.nodes['find-a-resource'].settings.sru;
+
+    var indexes = _.map(INDEX_TITLES, function(title, index) {
+        var name = index.split('.');
+        return {
+            '$': {'search': 'true', 'scan': String(cql.INDEXES[index] === null), 'sort': String(_.contains(['dc.title', 'dc.date'], index))},
+            'title': title,
+            'map': {'name': {'_': name[1], '$': {'set': name[0]}}}
+        };
+    });
+
+    var schemas = _.map(SRURecords.SCHEMAS, function(schema, name) {
+        return {
+            '$': {'identifier': schema.identifier, 'location': schema.location, 'name': name, 'sort': 'false', 'retrieve': 'true'},
+            'title': schema.title
+        };
+    });
+
+    var record = {
+        'srw:recordSchema': NAMESPACES.explain,
+        'srw:recordPacking': 'xml',
+        'srw:recordData': {
+            'explain': {
+                '$': {'xmlns': NAMESPACES.explain},
+                'serverInfo': {
+                    '$': {'protocol': 'SRU', 'version': VERSION},
+                    'host': config.server.host,
+                    'port': String(config.server.port),
+                    'database': 'sru'
+                },
+                'databaseInfo': {
+                    'title': config.app.title,
+                    'description': 'The books, journals and articles that can be found in ' + config.app.title
+                },
+                'indexInfo': {
+                    'set': [
+                        {'$': {'name': 'cql', 'identifier': 'info:srw/cql-context-set/1/cql-v1.2'}},
+                        {'$': {'name': 'dc', 'identifier': 'info:srw/cql-context-set/1/dc-v1.1'}},
+                        {'$': {'name': 'bath', 'identifier': 'http://zing.z3950.org/cql/bath/2.0/'}}
+                    ],
+                    'index': indexes
+                },
+                'schemaInfo': {
+                    'schema': schemas
+                },
+                'configInfo': {
+                    'default': [
+                        {'_': String(settings.defaultRecords), '$': {'type': 'numberOfRecords'}},
+                        {'_': SRURecords.SCHEMAS[SRURecords.getSchemaName()].identifier, '$': {'type': 'retrieveSchema'}}
+                    ],
+                    'setting': {'_': String(settings.maximumRecords), '$': {'type': 'maximumRecords'}}
+                }
+            }
+        }
+    };
+
+    return _createResponse('explain', {'srw:record': record}, []);
+};
+
+/**
+ * Function that searches the gateway with a CQL query and returns the matching records
+ *
+ * @param  {Object}     parameters                  The request parameters
+ * @param  {String}     parameters.query            The CQL query (e.g. `dc.title any "origin species"`)
+ * @param  {Number}     [parameters.startRecord]    The position of the first record that should be returned. Optional, defaults to 1
+ * @param  {Number}     [parameters.maximumRecords] The number of records that should be returned. Optional, defaults to `config.nodes['find-a-resource'].settings.sru.defaultRecords`
+ * @param  {String}     [parameters.recordSchema]   The schema of the records (e.g. `mods`). Optional, defaults to Dublin Core
+ * @param  {String}     [parameters.recordPacking]  How the records are embedded (xml|string). Optional, defaults to `xml`
+ * @param  {String}     [parameters.x-api]          The engine that should be searched (e.g. `summon`). Optional, defaults to the federated search
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Error}      callback.err                Object containing the error code and the error message, only set when the response couldn't be created
+ * @param  {String}     callback.response           The searchRetrieve response document
+ */
+var searchRetrieve = module.exports.searchRetrieve = function(parameters, callback) {
+    var settings = config.nodes['find-a-resource'].settings.sru;
+
+    var _sendDiagnostic = function(diagnostic) {
+        return callback(null, _createResponse('searchRetrieve', {'srw:numberOfRecords': '0'}, [diagnostic]));
+    };
+
+    // Validate the request parameters
+    if (!parameters.query) {
+        return _sendDiagnostic(_createDiagnostic('missingParameter', 'query'));
+    }
+    var schema = SRURecords.getSchemaName(parameters.recordSchema);
+    if (!schema) {
+        return _sendDiagnostic(_createDiagnostic('unknownSchema', parameters.recordSchema));
+    }
+    var recordPacking = parameters.recordPacking || 'xml';
+    if (!_.contains(['xml', 'string'], recordPacking)) {
+        return _sendDiagnostic(_createDiagnostic('unsupportedRecordPacking', recordPacking));
+    }
+    var startRecord = _parsePositiveInteger(parameters.startRecord, 1);
+    if (!startRecord) {
+        return _sendDiagnostic(_createDiagnostic('unsupportedParameterValue', 'startRecord'));
+    }
+    var maximumRecords = _parsePositiveInteger(parameters.maximumRecords, settings.defaultRecords);
+    if (maximumRecords === null) {
+        return _sendDiagnostic(_createDiagnostic('unsupportedParameterValue', 'maximumRecords'));
+    }
+    maximumRecords = Math.min(maximumRecords, settings.maximumRecords);
+
+    // Translate the CQL query into the search parameters of the gateway
+    var searchParameters = cql.translate(parameters.query);
+    if (searchParameters.error) {
+        return _sendDiagnostic(_createDiagnostic(searchParameters.error, searchParameters.error.details));
+    }
+    var api = String(parameters['x-api'] || '').toLowerCase();
+    searchParameters.api = SearchEngineRegistry.hasCapability(api, 'search') ? api : config.nodes['find-a-resource'].settings.federatedSearch.api;
+
+    _getRecords(searchParameters, startRecord, maximumRecords, function(err, numberOfRecords, results) {
+        if (err) {
+            log().error({'err': err}, 'Error while executing an SRU search');
+            return _sendDiagnostic(_createDiagnostic('systemError', err.msg));
+        } else if (numberOfRecords && startRecord > numberOfRecords && maximumRecords) {
+            return _sendDiagnostic(_createDiagnostic('firstRecordOutOfRange', String(startRecord)));
+        }
+
+        var body = {'srw:numberOfRecords': String(numberOfRecords)};
+        if (results.length) {
+            body['srw:records'] = {
+                'srw:record': _.map(results, function(result, index) {
+                    var record = SRURecords.createRecord(result, schema);
+                    if (recordPacking === 'string') {
+                        record = new xml2js.Builder({'headless': true, 'renderOpts': {'pretty': false}}).buildObject(record);
+                    }
+                    return {
+                        'srw:recordSchema': SRURecords.SCHEMAS[schema].identifier,
+                        'srw:recordPacking': recordPacking,
+                        'srw:recordData': record,
+                        'srw:recordPosition': String(startRecord + index)
+                    };
+                })
+            };
+        }
+        if (startRecord + results.length <= numberOfRecords && results.length) {
+            body['srw:nextRecordPosition'] = String(startRecord + results.length);
+        }
+        return callback(null, _createResponse('searchRetrieve', body, []));
+    });
+};
+
+/**
+ * Function that lists the terms that follow a term in an index. The gateway doesn't have access to the indexes of the engines,
+ * so the terms are the type-ahead suggestions for the term and only the indexes that search all fields can be scanned.
+ *
+ * @param  {Object}     parameters                  The request parameters
+ * @param  {String}     parameters.scanClause       The index and the term to start from (e.g. `cql.serverChoice = darw`)
+ * @param  {Number}     [parameters.maximumTerms]   The number of terms that should be returned. Optional, defaults to the number of suggestions
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Error}      callback.err                Object containing the error code and the error message, only set when the response couldn't be created
+ * @param  {String}     callback.response           The scan response document
+ */
+var scan = module.exports.scan = function(parameters, callback) {
+    if (!parameters.scanClause) {
+        return callback(null, _createResponse('scan', {}, [_createDiagnostic('missingParameter', 'scanClause')]));
+    }
+
+    var clause = cql.parseScanClause(parameters.scanClause);
+    if (clause.error) {
+        return callback(null, _createResponse('scan', {}, [_createDiagnostic(clause.error, clause.error.details)]));
+    } else if (clause.field !== null) {
+        return callback(null, _createResponse('scan', {}, [_createDiagnostic(cql.DIAGNOSTICS.unsupportedIndex, clause.index)]));
+    }
+
+    var maximumTerms = _parsePositiveInteger(parameters.maximumTerms, config.nodes['find-a-resource'].settings.suggestions.limit);
+    if (!maximumTerms) {
+        return callback(null, _createResponse('scan', {}, [_createDiagnostic('unsupportedParameterValue', 'maximumTerms')]));
+    }
+
+    SearchAPI.getSuggestions({'q': clause.term}, function(err, suggestions) {
+        if (err) {
+            log().error({'err': err}, 'Error while executing an SRU scan');
+            return callback(null, _createResponse('scan', {}, [_createDiagnostic('systemError', err.msg)]));
+        }
+
+        var terms = _.map(suggestions.suggestedItems.slice(0, maximumTerms), function(suggestion) {
+            return {'srw:value': suggestion.label};
+        });
+        return callback(null, _createResponse('scan', terms.length ? {'srw:terms': {'srw:term': terms}} : {}, []));
+    });
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that parses a numeric request parameter
+ *
+ * @param  {String}     value           The value of the parameter
+ * @param  {Number}     defaultValue    The value that is used when the parameter hasn't been specified
+ * @return {Number}                     The parsed value, `null` if the value isn't a positive integer or zero
+ * @api private
+ */
+var _parsePositiveInteger = function(value, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    } else if (!/^\d+$/.test(String(value))) {
+        return null;
+    }
+    return parseInt(value, 10);
+};
+
+/**
+ * Function that creates a diagnostic
+ *
+ * @param  {String|Object}  diagnostic      The name of the diagnostic (e.g. `unknownSchema`) or an object containing its `code` and `msg`
+ * @param  {String}         [details]       The details of the diagnostic (e.g. the name of the unknown schema)
+ * @return {Object}                         The diagnostic
+ * @api private
+ */
+var _createDiagnostic = function(diagnostic, details) {
+    diagnostic = _.isString(diagnostic) ? DIAGNOSTICS[diagnostic] : diagnostic;
+    var element = {
+        '$': {'xmlns:diag': NAMESPACES.diag},
+        'diag:uri': 'info:srw/diagnostic/1/' + diagnostic.code
+    };
+    if (details) {
+        element['diag:details'] = String(details);
+    }
+    element['diag:message'] = diagnostic.msg;
+    return element;
+};
+
+/**
+ * Function that creates an SRU response document
+ *
+ * @param  {String}     operation       The operation that has been executed (explain|searchRetrieve|scan)
+ * @param  {Object}     body            The elements of the response, besides the version and the diagnostics
+ * @param  {Object[]}   diagnostics     The diagnostics that should be returned
+ * @return {String}                     The response document
+ * @api private
+ */
+var _createResponse = function(operation, body, diagnostics) {
+    var response = {'$': {'xmlns:srw': NAMESPACES.srw}, 'srw:version': VERSION};
+    _.extend(response, body);
+    if (diagnostics.length) {
+        response['srw:diagnostics'] = {'diag:diagnostic': diagnostics};
+    }
+
+    var root = {};
+    root['srw:' + operation + 'Response'] = response;
+    return new xml2js.Builder().buildObject(root);
+};
+
+/**
+ * Function that fetches the results of a search from a record position onwards. The engines return their results
+ * in pages, so the size of the first page is used to determine which pages contain the requested records.
+ *
+ * @param  {Object}     parameters                  The search parameters
+ * @param  {Number}     startRecord                 The position of the first record that should be returned
+ * @param  {Number}     maximumRecords              The maximum number of records that should be returned
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Error}      callback.err                Object containing the error code and the error message
+ * @param  {Number}     callback.numberOfRecords    The total number of results
+ * @param  {Result[]}   callback.results            The requested results
+ * @api private
+ */
+var _getRecords = function(parameters, startRecord, maximumRecords, callback) {
+    _getPage(parameters, 1, function(err, firstPage) {
+        if (err) {
+            return callback(err);
+        }
+
+        var numberOfRecords = parseInt(firstPage.rowCount, 10) || 0;
+        var pageSize = (firstPage.items || []).length;
+        if (!maximumRecords || !pageSize || startRecord > numberOfRecords) {
+            return callback(null, numberOfRecords, []);
+        }
+
+        // The engines leave out the pages they can't page through
+        var pageCount = (firstPage.pagination && parseInt(firstPage.pagination.pageCount, 10)) || 1;
+        var page = Math.floor((startRecord - 1) / pageSize) + 1;
+        var offset = (startRecord - 1) % pageSize;
+        var results = [];
+
+        /**
+         * Internal function that collects the records of a page and fetches the next page if more records are needed
+         *
+         * @param  {Number}     pageNumber      The number of the page
+         * @param  {Results}    pageResults     The results of the page
+         * @api private
+         */
+        var _collect = function(pageNumber, pageResults) {
+            var items = pageResults.items || [];
+            results = results.concat(items.slice(offset, offset + maximumRecords - results.length));
+            offset = 0;
+            if (results.length >= maximumRecords || pageNumber >= pageCount || !items.length) {
+                return callback(null, numberOfRecords, results);
+            }
+
+            _getPage(parameters, pageNumber + 1, function(err, nextPage) {
+                if (err) {
+                    return callback(err);
+                }
+                return _collect(pageNumber + 1, nextPage);
+            });
+        };
+
+        if (page > pageCount) {
+            return callback(null, numberOfRecords, []);
+        } else if (page === 1) {
+            return _collect(1, firstPage);
+        }
+        _getPage(parameters, page, function(err, pageResults) {
+            if (err) {
+                return callback(err);
+            }
+            return _collect(page, pageResults);
+        });
+    });
+};
+
+/**
+ * Function that fetches a single page of search results
+ *
+ * @param  {Object}     parameters          The search parameters
+ * @param  {Number}     page                The page that should be fetched
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Error}      callback.err        Object containing the error code and the error message
+ * @param  {Results}    callback.results    The results on the page
+ * @api private
+ */
+var _getPage = function(parameters, page, callback) {
+
+    // Make sure the API is able to handle the '&' character
+    var opts = _.extend({}, parameters, {'page': page, 'q': parameters.q.replace(/&/g, '%26')});
+    SearchAPI.getResults(opts, function(err, response) {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, response.results);
+    });
+};
@@ -0,0 +1,188 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+var citation = require('../../../util/citation');
+
+// The record schemas resources can be retrieved in, the first one is used by default
+var SCHEMAS = module.exports.SCHEMAS = {
+    'dc': {
+        'identifier': 'info:srw/schema/1/dc-v1.1',
+        'location': 'http://www.loc.gov/standards/sru/recordSchemas/dc-schema.xsd',
+        'title': 'Dublin Core'
+    },
+    'mods': {
+        'identifier': 'info:srw/schema/1/mods-v3.5',
+        'location': 'http://www.loc.gov/standards/mods/v3/mods-3-5.xsd',
+        'title': 'MODS v3.5'
+    }
+};
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that returns the name of a record schema, which can be requested by its name or its identifier
+ *
+ * @param  {String}     schema      The requested schema (e.g. `mods` or `info:srw/schema/1/mods-v3.5`). Optional, defaults to the first schema
+ * @return {String}                 The name of the schema (e.g. `mods`), `null` if the schema isn't supported
+ */
+var getSchemaName = module.exports.getSchemaName = function(schema) {
+    if (!schema) {
+        return _.keys(SCHEMAS)[0];
+    }
+    return _.find(_.keys(SCHEMAS), function(name) {
+        return name === schema || SCHEMAS[name].identifier === schema;
+    }) || null;
+};
+
+/**
+ * Function that creates the record of a resource in a record schema, as an object that can be converted by the `xml2js` builder
+ *
+ * @param  {Result}     result      The resource
+ * @param  {String}     schema      The name of the record schema (dc|mods)
+ * @return {Object}                 The record
+ */
+var createRecord = module.exports.createRecord = function(result, schema) {
+    var data = citation.getCitationData(result);
+    return schema === 'mods' ? _createMODSRecord(result, data) : _createDublinCoreRecord(result, data);
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that removes the properties without a value, the `xml2js` builder would render them as empty elements
+ *
+ * @param  {Object}     element     The element
+ * @return {Object}                 The element without the empty properties
+ * @api private
+ */
+var _compact = function(element) {
+    return _.omit(element, function(value) {
+        return value === null || value === undefined || value === '' || (_.isArray(value) && !value.length) || (_.isObject(value) && _.isEmpty(value));
+    });
+};
+
+/**
+ * Function that creates a Dublin Core record
+ *
+ * @see http://www.loc.gov/standards/sru/recordSchemas/dc-schema.html
+ *
+ * @param  {Result}     result      The resource
+ * @param  {Object}     data        The normalised citation data of the resource
+ * @return {Object}                 The Dublin Core record
+ * @api private
+ */
+var _createDublinCoreRecord = function(result, data) {
+    var identifiers = _.map(data.isbn, function(isbn) { return 'ISBN: ' + isbn; });
+    identifiers = identifiers.concat(_.map(data.issn, function(issn) { return 'ISSN: ' + issn; }));
+    identifiers.push(data.url);
+
+    return {
+        'srw_dc:dc': _.extend({
+            '$': {
+                'xmlns:srw_dc': 'info:srw/schema/1/dc-schema',
+                'xmlns:dc': 'http://purl.org/dc/elements/1.1/'
+            }
+        }, _compact({
+            'dc:title': data.title,
+            'dc:creator': _.compact(_.pluck(result.authors, 'fullname')),
+            'dc:subject': data.keywords,
+            'dc:description': data.abstract,
+            'dc:publisher': data.publisher,
+            'dc:date': data.year ? String(data.year) : null,
+            'dc:type': _.compact(_.flatten([result.contentType])),
+            'dc:identifier': identifiers,
+            'dc:source': data.containerTitle
+        }))
+    };
+};
+
+/**
+ * Function that creates a MODS record
+ *
+ * @see http://www.loc.gov/standards/mods/
+ *
+ * @param  {Result}     result      The resource
+ * @param  {Object}     data        The normalised citation data of the resource
+ * @return {Object}                 The MODS record
+ * @api private
+ */
+var _createMODSRecord = function(result, data) {
+    var names = _.map(data.authors, function(author) {
+        var name = {'$': {'type': author.literal ? 'corporate' : 'personal'}};
+        if (author.literal) {
+            name.namePart = author.literal;
+        } else {
+            name.namePart = _.compact([
+                {'_': author.family, '$': {'type': 'family'}},
+                author.given ? {'_': author.given, '$': {'type': 'given'}} : null
+            ]);
+        }
+        name.role = {'roleTerm': {'_': 'author', '$': {'type': 'text', 'authority': 'marcrelator'}}};
+        return name;
+    });
+
+    var identifiers = _.map(data.isbn, function(isbn) { return {'_': isbn, '$': {'type': 'isbn'}}; });
+    identifiers = identifiers.concat(_.map(data.issn, function(issn) { return {'_': issn, '$': {'type': 'issn'}}; }));
+
+    // Articles are described as a part of the journal they were published in
+    var relatedItem = null;
+    var originInfo = _compact({
+        'place': data.place ? {'placeTerm': {'_': data.place, '$': {'type': 'text'}}} : null,
+        'publisher': data.publisher,
+        'dateIssued': data.year ? String(data.year) : null
+    });
+    if (data.containerTitle) {
+        relatedItem = {
+            '$': {'type': 'host'},
+            'titleInfo': {'title': data.containerTitle},
+            'part': _compact({
+                'detail': _.compact([
+                    data.volume ? {'$': {'type': 'volume'}, 'number': data.volume} : null,
+                    data.issue ? {'$': {'type': 'issue'}, 'number': data.issue} : null
+                ]),
+                'extent': (data.startPage || data.endPage) ? {'$': {'unit': 'pages'}, 'start': data.startPage || data.endPage, 'end': data.endPage || data.startPage} : null,
+                'date': data.year ? String(data.year) : null
+            })
+        };
+        originInfo = null;
+    }
+
+    return {
+        'mods': _.extend({
+            '$': {
+                'xmlns': 'http://www.loc.gov/mods/v3',
+                'version': '3.5'
+            }
+        }, _compact({
+            'titleInfo': data.title ? {'title': data.title} : null,
+            'name': names,
+            'typeOfResource': 'text',
+            'genre': _.compact(_.flatten([result.contentType])),
+            'originInfo': originInfo,
+            'abstract': data.abstract,
+            'subject': _.map(data.keywords, function(keyword) { return {'topic': keyword}; }),
+            'relatedItem': relatedItem,
+            'identifier': identifiers,
+            'location': {'url': data.url},
+            'recordInfo': {'recordIdentifier': data.id}
+        }))
+    };
+};
@@ -0,0 +1,36 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var SRUAPI = require('./index');
+
+/*!
+ * Answers an SRU request (explain, searchRetrieve or scan)
+ *
+ * _GET_ `/sru?operation=searchRetrieve&version=1.2&query=dc.title%3Ddarwin`
+ *
+ * @param  {Request}    req     The REST request object
+ * @param  {Response}   res     The REST response object
+ */
+var getResponse = exports.getResponse = function(req, res) {
+    SRUAPI.handleRequest(req.query, function(err, response) {
+        if (err) {
+            return res.send(err.code, err.msg);
+        }
+
+        // Diagnostics are part of the response, so the request is always answered with a 200
+        res.set('Content-Type', 'application/xml; charset=utf-8');
+        return res.send(200, response);
+    });
+};
@@ -0,0 +1,137 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var xml2js = require('xml2js');
+
+var citation = require('../../../util/citation');
+
+var SearchAPI = require('../search');
+var SRURecords = require('../sru/records');
+
+// The formats the records can be retrieved in
+var FORMATS = module.exports.FORMATS = {
+    'ris': {
+        'type': citation.FORMATS.ris.contentType,
+        'docs': 'http://referencemanager.com/sites/rm/files/m/direct_export_ris.pdf'
+    },
+    'mods': {
+        'type': 'application/xml',
+        'docs': SRURecords.SCHEMAS.mods.location
+    },
+    'dc': {
+        'type': 'application/xml',
+        'docs': SRURecords.SCHEMAS.dc.location
+    }
+};
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that returns the formats the records can be retrieved in. When an identifier is given, the
+ * formats that are listed are the ones that resource can be retrieved in.
+ *
+ * @see http://unapi.info/specs/
+ *
+ * @param  {String}     [id]                The unAPI identifier of a resource (e.g. `aquabrowser:123`). Optional
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Error}      callback.err        Object containing the error code and the error message
+ * @param  {String}     callback.formats    The formats document
+ */
+var getFormats = module.exports.getFormats = function(id, callback) {
+    var formats = {
+        'format': _.map(FORMATS, function(format, name) {
+            return {'$': {'name': name, 'type': format.type, 'docs': format.docs}};
+        })
+    };
+    if (!id) {
+        return callback(null, new xml2js.Builder().buildObject({'formats': formats}));
+    }
+
+    // Make sure the resource exists before its formats are listed
+    _getResource(id, function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        formats.$ = {'id': id};
+        return callback(null, new xml2js.Builder().buildObject({'formats': formats}));
+    });
+};
+
+/**
+ * Function that returns the record of a resource in one of the unAPI formats
+ *
+ * @param  {String}     id                  The unAPI identifier of the resource (e.g. `aquabrowser:123`)
+ * @param  {String}     format              The format of the record (ris|mods|dc)
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Error}      callback.err        Object containing the error code and the error message
+ * @param  {Object}     callback.record     Object containing the `contentType` and the `body` of the record
+ */
+var getRecord = module.exports.getRecord = function(id, format, callback) {
+    if (!_.isString(format) || !_.has(FORMATS, format)) {
+        return callback({'code': 406, 'msg': 'Invalid format'});
+    }
+
+    _getResource(id, function(err, resource) {
+        if (err) {
+            return callback(err);
+        }
+
+        var body = null;
+        if (format === 'ris') {
+            body = citation.exportResults([resource], format);
+        } else {
+            body = new xml2js.Builder().buildObject(SRURecords.createRecord(resource, format));
+        }
+        return callback(null, {'contentType': FORMATS[format].type, 'body': body});
+    });
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that fetches a resource by its unAPI identifier, which is the engine and the ID of the resource separated by a colon
+ *
+ * @param  {String}     id                  The unAPI identifier of the resource (e.g. `summon:FETCH-123`)
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Error}      callback.err        Object containing the error code and the error message
+ * @param  {Result}     callback.resource   The resource
+ * @api private
+ */
+var _getResource = function(id, callback) {
+
+    // Identifiers that are repeated in the query string (e.g. `?id=a&id=b`) are passed in as an array
+    if (!_.isString(id)) {
+        return callback({'code': 404, 'msg': 'Resource not found'});
+    }
+
+    var separator = id.indexOf(':');
+    if (separator < 1 || separator === id.length - 1) {
+        return callback({'code': 404, 'msg': 'Resource not found'});
+    }
+
+    var api = id.substr(0, separator).toLowerCase();
+    SearchAPI.getResource({'api': api, 'id': id.substr(separator + 1)}, function(err, resource) {
+        if (err) {
+            return callback(err.code === 400 ? {'code': 404, 'msg': 'Resource not found'} : err);
+        }
+        return callback(null, resource);
+    });
+};
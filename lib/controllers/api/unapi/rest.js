@@ -0,0 +1,50 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var UnAPI = require('./index');
+
+/*!
+ * Returns the formats the records can be retrieved in, or the record of a resource
+ *
+ * _GET_ `/unapi?id=:api::id&format=:format`
+ *
+ * @param  {Request}    req     The REST request object
+ * @param  {Response}   res     The REST response object
+ */
+var getResponse = exports.getResponse = function(req, res) {
+
+    // The formats are listed when no format is requested, with a 300 when they are the formats of a resource
+    if (!req.query.format) {
+        return UnAPI.getFormats(req.query.id, function(err, formats) {
+            if (err) {
+                return res.send(err.code, err.msg);
+            }
+
+            res.set('Content-Type', 'application/xml; charset=utf-8');
+            return res.send(req.query.id ? 300 : 200, formats);
+        });
+    } else if (!req.query.id) {
+        return res.send(400, 'No valid ID given');
+    }
+
+    UnAPI.getRecord(req.query.id, req.query.format, function(err, record) {
+        if (err) {
+            return res.send(err.code, err.msg);
+        }
+
+        res.set('Content-Type', record.contentType + '; charset=utf-8');
+        return res.send(200, record.body);
+    });
+};
@@ -143,6 +143,7 @@ var BaseViewController = module.exports.BaseViewController = function() {
                                 },
                                 'settings': {
                                     'id': templateID,
+                                    'metaTags': (data && data.metaTags) || [],
                                     'title': config.app.title
                                 }
                             };
@@ -153,7 +154,8 @@ var BaseViewController = module.exports.BaseViewController = function() {
                                     log().error(error);
                                     return res.send(500, 'Error while rendering index template');
                                 }
-                                return res.send(200, tplIndex);
+                                // Keep the status code if one has been set by the controller (e.g. 503)
+                                return res.send(res.statusCode || 200, tplIndex);
                             });
                         });
                     });
@@ -19,6 +19,8 @@ var util = require('util');
 
 var config = require('../../../../config');
 var log = require('../../../util/logger').logger();
+var structuredData = require('../../../util/structured-data');
+var aquabrowserUtil = require('../../api/search/aquabrowser/util/util');
 
 var BaseViewController = require('../BaseViewController').BaseViewController;
 
@@ -119,8 +121,10 @@ var LibrariesController = module.exports.LibrariesController = function() {
 
                         // Create a data object
                         var data = {
+                            'branch': aquabrowserUtil.getBranchName(library),
                             'library': library,
-                            'pageTitle': library.name
+                            'pageTitle': library.name,
+                            'structuredData': structuredData.serialize(structuredData.createLibraryData(library))
                         };
 
                         // Render the body for the libraries
@@ -14,12 +14,24 @@
  */
 
 var _ = require('underscore');
+var querystring = require('querystring');
 var request = require('request');
 var util = require('util');
 
 var config = require('../../../../config');
+var citation = require('../../../util/citation');
+var citationStyles = require('../../../util/citation-styles');
+var editions = require('../../../util/editions');
+var feed = require('../../../util/feed');
+var libUtil = require('../../../util/util');
 var log = require('../../../util/logger').logger();
+var openurl = require('../../../util/openurl');
+var queryParser = require('../../../util/query-parser');
+var searchUtil = require('../../../util/search');
+var structuredData = require('../../../util/structured-data');
+var ResolverAPI = require('../../api/resolver');
 var SearchAPI = require('../../api/search');
+var SearchEngineRegistry = require('../../api/search/registry');
 
 var BaseViewController = require('../BaseViewController').BaseViewController;
 var SearchController = require('../partials/SearchController').SearchController;
@@ -34,6 +46,24 @@ var ResourcesController = module.exports.ResourcesController = function() {
     // Initialize controllers
     var searchController = new SearchController();
 
+    /**
+     * Function that renders the error page for an error returned by the search API.
+     * When none of the search engines are available, the 503 page is rendered and the client is told when to retry.
+     *
+     * @param  {Request}    req     The REST request
+     * @param  {Response}   res     The REST response
+     * @param  {Object}     err     Object containing the error code and the error message
+     * @api private
+     */
+    var _renderErrorPage = function(req, res, err) {
+        if (err.code === 503) {
+            res.set('Retry-After', String(err.retryAfter));
+            res.status(503);
+            return that.renderTemplate(req, res, null, 'errors/503', 'error-503');
+        }
+        return that.renderTemplate(req, res, null, 'errors/500', 'error-500');
+    };
+
     /**
      * Function that renders the search node template
      *
@@ -42,6 +72,13 @@ var ResourcesController = module.exports.ResourcesController = function() {
      */
     that.getContent = function(req, res) {
 
+        // If the advanced search form has been submitted, redirect to the query composed from its rows
+        if (req.query.terms) {
+            var params = _.omit(req.query, 'fields', 'terms', 'operators');
+            params.q = queryParser.compose(req.query.fields, req.query.terms, req.query.operators);
+            return res.redirect('/' + config.nodes['find-a-resource'].link + '?' + querystring.stringify(params));
+        }
+
         // If extra parameters are specified in the request
         if (!_.isEmpty(req.query)) {
 
@@ -62,6 +99,7 @@ var ResourcesController = module.exports.ResourcesController = function() {
 
                     // Create a data object
                     var data = {
+                        'fields': config.constants.fields,
                         'tplSearch': tplSearch
                     };
 
@@ -82,7 +120,7 @@ var ResourcesController = module.exports.ResourcesController = function() {
                 SearchAPI.getResults(opts, function(err, results) {
                     if (err) {
                         log().error({'err': err}, 'Error while fetching results');
-                        return that.renderTemplate(req, res, null, 'errors/500', 'error-500');
+                        return _renderErrorPage(req, res, err);
                     }
 
                     try {
@@ -93,6 +131,12 @@ var ResourcesController = module.exports.ResourcesController = function() {
                             return that.renderTemplate(req, res, null, 'errors/500', 'error-500');
                         }
 
+                        // Take the user straight to the resource when the identifier they entered matches a single one
+                        var resource = results.identifier && Number(results.results.rowCount) === 1 && results.results.items && results.results.items[0];
+                        if (resource) {
+                            return res.redirect('/' + config.nodes['find-a-resource'].link + '/' + (resource.engine || results.query.api) + '/' + encodeURIComponent(resource.id));
+                        }
+
                         // Parameters for the search template
                         var searchParams = {
                             'query': results.query
@@ -108,6 +152,18 @@ var ResourcesController = module.exports.ResourcesController = function() {
                             // Create a data object
                             var params = {
                                 'api': null,
+                                'availabilityEngines': SearchEngineRegistry.getEngineNames('availability'),
+                                'contextObjects': _getContextObjects(results),
+                                'engines': _getEngineTabs(),
+                                'exportFormats': citation.FORMATS,
+                                'feeds': _getFeedLinks(results.query),
+                                'cursor': _getNextCursor(results),
+                                'filters': _getFilters(results.query),
+                                'groupEditions': _getGroupEditionsOption(results.query),
+                                'offset': _getOffset(results.query),
+                                'pageSizes': _getPageSizes(results.query),
+                                'resolverUrls': _getResolverUrls(results),
+                                'sortOptions': _getSortOptions(results.query),
                                 'partials': {
                                     'results': {},
                                     'tplSearch': tplSearch
@@ -154,6 +210,7 @@ var ResourcesController = module.exports.ResourcesController = function() {
 
                 // Create a data object
                 var data = {
+                    'fields': config.constants.fields,
                     'tplSearch': tplSearch
                 };
 
@@ -163,6 +220,49 @@ var ResourcesController = module.exports.ResourcesController = function() {
         }
     };
 
+    /**
+     * Function that renders the next page of results for a cursor, so they can be appended to the result list while scrolling
+     * (e.g. `/find-a-resource/more?q=darwin&cursor=eyJwYWdlIjoyLCJwYWdlc2l6ZSI6MjV9`)
+     *
+     * @param  {Request}    req     The REST request
+     * @param  {Response}   res     The REST response
+     */
+    that.getMoreResults = function(req, res) {
+
+        // Check if a query and a cursor have been specified
+        if (!req.query.q || !req.query.cursor) {
+            return res.send(400, 'A query and a cursor should be specified');
+        }
+
+        // Make sure the API is able to handle the '&' character
+        var opts = _.extend({}, req.query, {'q': req.query.q.replace(/&/g, '%26')});
+        SearchAPI.getMoreResults(opts, function(err, results) {
+            if (err) {
+                log().error({'err': err}, 'Error while fetching more results');
+                return res.send(err.code || 500, err.msg);
+            }
+
+            // The results are rendered by the same partial as the results page
+            var search = {'results': {'items': results.items}, 'query': results.query};
+            var params = {
+                'availabilityEngines': SearchEngineRegistry.getEngineNames('availability'),
+                'contextObjects': _getContextObjects(search),
+                'cursor': results.cursor,
+                'engines': _getEngineTabs(),
+                'offset': _getOffset(results.query),
+                'resolverUrls': _getResolverUrls(search),
+                'search': search
+            };
+            res.render('partials/find-a-resource/more-results', params, function(err, tplResults) {
+                if (err) {
+                    log().error({'err': err}, 'Error while rendering more results');
+                    return res.send(500, 'Error while rendering more results');
+                }
+                return res.send(200, tplResults);
+            });
+        });
+    };
+
     /**
      * Function that renders the resource detail template
      *
@@ -176,7 +276,7 @@ var ResourcesController = module.exports.ResourcesController = function() {
         var id = req.params.id;
 
         // Check if a valid API and item ID have been specified
-        if (api !== 'summon' && api !== 'aquabrowser' || !id) {
+        if (!SearchEngineRegistry.hasCapability(api, 'detail') || !id) {
             log().error({'code': 400, 'msg': 'Invalid api/id specified'});
             return that.renderTemplate(req, res, null, 'errors/400', 'error-400');
         }
@@ -186,30 +286,22 @@ var ResourcesController = module.exports.ResourcesController = function() {
             'api': api,
             'id': id
         };
-        SearchAPI.getResultById(opts, function(err, results) {
-            if (err) {
+        SearchAPI.getResource(opts, function(err, resource) {
+            if (err && err.code === 404) {
+                return that.renderTemplate(req, res, null, 'errors/404', 'error-404');
+            } else if (err) {
                 log().error({'err': err}, 'Error while fetching resource detail');
-                return that.renderTemplate(req, res, null, 'errors/500', 'error-500');
+                return _renderErrorPage(req, res, err);
             }
 
             try {
 
-                // If the response body returns an error
-                if (results.error) {
-                    log().error({'err': 500, 'msg': results.error});
-                    return that.renderTemplate(req, res, null, 'errors/500', 'error-500');
-                }
-
-                // If no resources were found
-                if (Number(results.rowCount) === 0) {
-                    return that.renderTemplate(req, res, null, 'errors/404', 'error-404');
-                }
-
                 // Create a data object
                 var data = {
                     'api': api,
+                    'exportFormats': citation.FORMATS,
                     'pageTitle': 'Resource detail',
-                    'resource': results.items[0],
+                    'resource': resource,
                 };
 
                 // Generate the share text
@@ -234,8 +326,44 @@ var ResourcesController = module.exports.ResourcesController = function() {
                 data.shareText = 'I\'ve just found "'+ title +'" by '+ authors +' @libatcam. ' + shareUrl;
                 data.shareUrl = shareUrl;
 
-                // Render the body for the resources
-                return that.renderTemplate(req, res, data, 'nodes/resource-detail', 'resource-detail');
+                // Format the resource in every citation style
+                data.citations = citationStyles.formatCitations(resource);
+
+                // Embed the metadata the browser citation plugins look for
+                data.contextObject = openurl.createContextObject(resource);
+                data.metaTags = citation.getMetaTags(resource);
+                data.unapiId = resource.engine + ':' + resource.id;
+
+                // Describe the resource and the libraries that hold it for search engines
+                data.structuredData = structuredData.serialize(structuredData.createResourceData(resource));
+
+                // The full text targets and the other editions are fetched at the same time, the page is rendered once both are in
+                var pending = 2;
+                var _render = function() {
+                    pending--;
+                    if (pending === 0) {
+                        return that.renderTemplate(req, res, data, 'nodes/resource-detail', 'resource-detail');
+                    }
+                };
+
+                // Ask the link resolver where the full text is available, the page is shown without it when the resolver fails
+                data.resolverUrl = openurl.getResolverUrl(resource);
+                ResolverAPI.getFullTextTargets(resource, function(err, targets) {
+                    if (err) {
+                        log().error({'err': err}, 'Error while resolving the full text of a resource');
+                    }
+                    data.fullTextTargets = targets || [];
+                    _render();
+                });
+
+                // Look for the other editions and formats of the work, the page is shown without them when the search fails
+                SearchAPI.getOtherEditions(resource, function(err, otherEditions) {
+                    if (err) {
+                        log().error({'err': err}, 'Error while fetching the other editions of a resource');
+                    }
+                    data.otherEditions = otherEditions || [];
+                    _render();
+                });
 
             } catch (err) {
                 log().error({'code': 500, 'msg': 'Error while fetching results', 'err': err});
@@ -244,6 +372,140 @@ var ResourcesController = module.exports.ResourcesController = function() {
         });
     };
 
+    /**
+     * Function that sends the search results for a query as a feed. Unless another order has been requested,
+     * the newest resources are listed first so subscribers see the new acquisitions.
+     *
+     * @param  {Request}    req         The REST request
+     * @param  {Response}   res         The REST response
+     * @param  {String}     format      The feed format (atom|rss)
+     * @api private
+     */
+    var _sendFeed = function(req, res, format) {
+        if (!req.query.q) {
+            return res.send(400, 'No valid query given');
+        }
+
+        var opts = _.extend({'sort': 'newest'}, req.query);
+        opts.q = opts.q.replace(/&/g, '%26');
+        SearchAPI.getResults(opts, function(err, results) {
+            if (err) {
+                log().error({'err': err}, 'Error while fetching results for a feed');
+                if (err.retryAfter) {
+                    res.set('Retry-After', String(err.retryAfter));
+                }
+                return res.send(err.code || 500, err.msg);
+            }
+
+            res.set('Content-Type', feed.FORMATS[format].contentType + '; charset=utf-8');
+            return res.send(200, feed.createFeed(results.results, results.query, format));
+        });
+    };
+
+    /**
+     * Function that returns the search results for a query as an Atom feed (e.g. `/find-a-resource/atom?q=darwin`)
+     *
+     * @param  {Request}    req     The REST request
+     * @param  {Response}   res     The REST response
+     */
+    that.getAtomFeed = function(req, res) {
+        return _sendFeed(req, res, 'atom');
+    };
+
+    /**
+     * Function that returns the search results for a query as an RSS feed (e.g. `/find-a-resource/rss?q=darwin`)
+     *
+     * @param  {Request}    req     The REST request
+     * @param  {Response}   res     The REST response
+     */
+    that.getRSSFeed = function(req, res) {
+        return _sendFeed(req, res, 'rss');
+    };
+
+    /**
+     * Function that returns the OpenSearch description document, so the gateway can be added as a search provider
+     *
+     * @param  {Request}    req     The REST request
+     * @param  {Response}   res     The REST response
+     */
+    that.getOpenSearchDescription = function(req, res) {
+        res.set('Content-Type', feed.OPENSEARCH_CONTENT_TYPE + '; charset=utf-8');
+        return res.send(200, feed.createOpenSearchDescription());
+    };
+
+    /**
+     * Function that exports a resource in a citation format (e.g. `/find-a-resource/aquabrowser/123/export?format=ris`)
+     *
+     * @param  {Request}    req     The REST request
+     * @param  {Response}   res     The REST response
+     */
+    that.exportResource = function(req, res) {
+
+        // Check if a valid API, item ID and format have been specified
+        var api = req.params.api.toLowerCase();
+        var id = req.params.id;
+        if (!SearchEngineRegistry.hasCapability(api, 'detail') || !id || !citation.FORMATS[req.query.format]) {
+            log().error({'code': 400, 'msg': 'Invalid api/id/format specified'});
+            return that.renderTemplate(req, res, null, 'errors/400', 'error-400');
+        }
+
+        SearchAPI.getResource({'api': api, 'id': id}, function(err, resource) {
+            if (err && err.code === 404) {
+                return that.renderTemplate(req, res, null, 'errors/404', 'error-404');
+            } else if (err) {
+                log().error({'err': err}, 'Error while exporting resource');
+                return _renderErrorPage(req, res, err);
+            }
+            return _sendExport(res, [resource], req.query.format, 'citation');
+        });
+    };
+
+    /**
+     * Function that exports the selected resources in a citation format. The resources are passed as `api:id` pairs
+     * (e.g. `/find-a-resource/export?format=bibtex&records=aquabrowser:123&records=summon:456`)
+     *
+     * @param  {Request}    req     The REST request
+     * @param  {Response}   res     The REST response
+     */
+    that.exportResults = function(req, res) {
+        var settings = config.nodes['find-a-resource'].settings['export'];
+
+        // Split the selected records into their API and ID
+        var records = _.compact(_.map(_.uniq(_.compact(_.flatten([req.query.records]))), function(record) {
+            var separator = String(record).indexOf(':');
+            if (separator < 1) {
+                return null;
+            }
+            return {'api': record.substr(0, separator).toLowerCase(), 'id': record.substr(separator + 1)};
+        }));
+
+        // Check if a valid format and a reasonable number of valid records have been specified
+        var isValid = records.length && records.length <= settings.maxItems && _.every(records, function(record) {
+            return record.id && SearchEngineRegistry.hasCapability(record.api, 'detail');
+        });
+        if (!isValid || !citation.FORMATS[req.query.format]) {
+            log().error({'code': 400, 'msg': 'Invalid records/format specified'});
+            return that.renderTemplate(req, res, null, 'errors/400', 'error-400');
+        }
+
+        libUtil.mapLimit(records, settings.concurrency, function(record, callback) {
+            SearchAPI.getResource({'api': record.api, 'id': record.id}, callback);
+        }, function(responses) {
+
+            // Export the resources that could be fetched, a single failing record shouldn't fail the whole export
+            _.each(responses, function(response, index) {
+                if (response.error) {
+                    log().warn({'err': response.error}, util.format('Unable to export record "%s:%s"', records[index].api, records[index].id));
+                }
+            });
+            var resources = _.compact(_.pluck(responses, 'result'));
+            if (!resources.length) {
+                return that.renderTemplate(req, res, null, 'errors/404', 'error-404');
+            }
+            return _sendExport(res, resources, req.query.format, 'citations');
+        });
+    };
+
     /**
      * Function that returns all the facets for a query and displays them onto a separate page
      *
@@ -272,7 +534,7 @@ var ResourcesController = module.exports.ResourcesController = function() {
         SearchAPI.getFacetsForResults(opts, function(err, results) {
             if (err) {
                 log().error({'err': err}, 'Error while fetching facets for results');
-                return that.renderTemplate(req, res, null, 'errors/500', 'error-500');
+                return _renderErrorPage(req, res, err);
             }
 
             try {
@@ -300,5 +562,173 @@ var ResourcesController = module.exports.ResourcesController = function() {
     };
 };
 
+/**
+ * Function that describes each search result as an OpenURL ContextObject, so it can be embedded in a COinS span
+ *
+ * @param  {Object}     search      Object containing the `results` and the `query` of the search
+ * @return {String[]}               The ContextObject of each result, in the order of the results
+ * @api private
+ */
+var _getContextObjects = function(search) {
+    return _.map(search.results.items || [], function(item) {
+        return openurl.createContextObject(SearchAPI.copyResource(item, search.query.api));
+    });
+};
+
+/**
+ * Function that returns the link resolver link of each search result, so articles and journals get a "Get it" button
+ *
+ * @param  {Object}     search      Object containing the `results` and the `query` of the search
+ * @return {String[]}               The link resolver link of each result in the order of the results, `null` for the results that can't be resolved
+ * @api private
+ */
+var _getResolverUrls = function(search) {
+    return _.map(search.results.items || [], function(item) {
+        return openurl.getResolverUrl(SearchAPI.copyResource(item, search.query.api));
+    });
+};
+
+/**
+ * Function that returns the engines that can be selected on the results page, starting with the federated search
+ *
+ * @return {Object[]}       Collection of objects containing the `name` and `label` of each engine
+ * @api private
+ */
+var _getEngineTabs = function() {
+    var federatedSearch = config.nodes['find-a-resource'].settings.federatedSearch;
+    var tabs = [{'name': federatedSearch.api, 'label': federatedSearch.label}];
+    _.each(SearchEngineRegistry.getEngineNames('search'), function(name) {
+        tabs.push({'name': name, 'label': config.constants.engines[name].label || name});
+    });
+    return tabs;
+};
+
+/**
+ * Function that returns the feeds the results page can be subscribed to
+ *
+ * @param  {Object}     query       The query parameters of the current search
+ * @return {Object[]}               Collection of objects containing the `label`, `contentType` and `url` of each feed
+ * @api private
+ */
+var _getFeedLinks = function(query) {
+    // The query has its ampersands escaped for the engines
+    var params = _.extend({}, query, {'q': String(query.q || '').replace(/%26/g, '&')});
+    return _.map(feed.FORMATS, function(settings, format) {
+        return {'label': settings.label, 'contentType': settings.contentType, 'url': feed.getFeedUrl(params, format)};
+    });
+};
+
+/**
+ * Function that returns the filters that can be checked on the results page, only engines with filters show them
+ *
+ * @param  {Object}     query       The query parameters of the current search
+ * @return {Object[]}               Collection of objects containing the `name` and `label` of each filter and whether it's `checked`
+ * @api private
+ */
+var _getFilters = function(query) {
+    var engine = config.constants.engines[query.api];
+    return _.map((engine && engine.filters) || {}, function(filter, name) {
+        return {'name': name, 'label': filter.label, 'checked': _.contains(_.flatten([query[name]]), 'true')};
+    });
+};
+
+/**
+ * Function that returns the option that groups the editions and formats of the same work on the results page, or shows them all again
+ *
+ * @param  {Object}     query       The query parameters of the current search
+ * @return {Object}                 Object containing the `url` that toggles the grouping and whether the editions are grouped (`checked`)
+ * @api private
+ */
+var _getGroupEditionsOption = function(query) {
+    var isGrouped = query.group === editions.GROUP;
+    var params = _.omit(query, 'group', 'page');
+    if (!isGrouped) {
+        params.group = editions.GROUP;
+    }
+    return {'url': querystring.stringify(params), 'checked': isGrouped};
+};
+
+/**
+ * Function that returns the cursor of the page after the current one, so the next results can be loaded while scrolling
+ *
+ * @param  {Object}     search      Object containing the `results` and the `query` of the current search
+ * @return {String}                 The cursor of the next page, `null` if the current page is the last one
+ * @api private
+ */
+var _getNextCursor = function(search) {
+    var pagination = search.results.pagination || {};
+    var pageNumber = parseInt(pagination.pageNumber, 10) || 1;
+    if (pageNumber >= parseInt(pagination.pageCount, 10)) {
+        return null;
+    }
+    return SearchAPI.createCursor(pageNumber + 1, searchUtil.getPageSize(search.query, search.query.api));
+};
+
+/**
+ * Function that returns the position of the first result of the current page, so the results of every page get their own element IDs
+ *
+ * @param  {Object}     query       The query parameters of the current search
+ * @return {Number}                 The position of the first result, starting at `0`
+ * @api private
+ */
+var _getOffset = function(query) {
+    var pageNumber = parseInt(query.page, 10) || 1;
+    return (pageNumber - 1) * searchUtil.getPageSize(query, query.api);
+};
+
+/**
+ * Function that returns the page sizes that can be selected on the results page, engines only offer the sizes they can return
+ *
+ * @param  {Object}     query       The query parameters of the current search
+ * @return {Object[]}               Collection of objects containing the `size` and `url` of each page size and whether it's `selected`
+ * @api private
+ */
+var _getPageSizes = function(query) {
+    var pageSize = searchUtil.getPageSize(query, query.api);
+    var sizes = _.filter(config.nodes['find-a-resource'].settings.paging.sizes, function(size) {
+        return searchUtil.getPageSize({'pagesize': size}, query.api) === size;
+    });
+    return _.map(sizes, function(size) {
+        return {
+            'size': size,
+            'url': searchUtil.createPageSizeUrl(query, size),
+            'selected': size === pageSize
+        };
+    });
+};
+
+/**
+ * Function that returns the sort options that can be selected on the results page
+ *
+ * @param  {Object}     query       The query parameters of the current search
+ * @return {Object[]}               Collection of objects containing the `label` and `url` of each sort option and whether it's `selected`
+ * @api private
+ */
+var _getSortOptions = function(query) {
+    return _.map(config.constants.sortOptions, function(sortOption, sort) {
+        return {
+            'label': sortOption.label,
+            'url': searchUtil.createSortUrl(query, sort),
+            'selected': (query.sort || 'relevance') === sort
+        };
+    });
+};
+
+/**
+ * Function that sends exported resources as a file download
+ *
+ * @param  {Response}   res         The REST response
+ * @param  {Result[]}   resources   The resources that need to be exported
+ * @param  {String}     format      The export format (e.g. ris)
+ * @param  {String}     filename    The name of the downloaded file, without its extension
+ * @api private
+ */
+var _sendExport = function(res, resources, format, filename) {
+    var settings = citation.FORMATS[format];
+    res.set('Content-Type', settings.contentType + '; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename=' + filename + '.' + settings.extension);
+    return res.send(citation.exportResults(resources, format));
+};
+
 // Inherit from the BaseViewController
 return util.inherits(ResourcesController, BaseViewController);
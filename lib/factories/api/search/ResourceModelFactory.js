@@ -24,7 +24,7 @@ var ResultModel = require('../../../models/search/result');
 var createResourceModel = module.exports.createResourceModel = function(data) {
     try {
         return new ResultModel.Result(
-            data.id, data.src, data.extId, data.titles, data.description, data.isbn, data.eisbn, data.issn, data.ssid, data.authors, data.published, data.subjects, data.series, data.tags, data.notes, data.contentType, data.thumbnails, data.links, data.eResource, data.availability
+            data.id, data.src, data.extId, data.titles, data.description, data.isbn, data.eisbn, data.issn, data.ssid, data.authors, data.published, data.subjects, data.series, data.tags, data.notes, data.contentType, data.thumbnails, data.links, data.eResource, data.availability, data.engine, data.doi, data.uniformTitle
         );
     } catch(error) {
         log().error(error);
@@ -40,12 +40,14 @@ exports.FacetType = function(label, rawLabel, numItems, more, moreUrl, facets) {
  * @param  {String}     label       The label of the facet (e.g. book, paper, article...)
  * @param  {Number}     numItems    The number of facets per category
  * @param  {String}     url         The generated url
+ * @param  {String}     excludeUrl  The generated url that excludes the facet from the results
  * @return {Facet}                  The returned facet object
  */
-exports.Facet = function(label, numItems, url) {
+exports.Facet = function(label, numItems, url, excludeUrl) {
     var that = {};
     that.label = label;
     that.numItems = numItems;
     that.url = url;
+    that.excludeUrl = excludeUrl;
     return that;
 };
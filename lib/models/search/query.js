@@ -0,0 +1,46 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/**
+ * A term model, a leaf of the query tree
+ *
+ * @param  {String}     field       The engine-neutral field the term should be searched in (e.g. 'title'), `null` for all fields
+ * @param  {String}     value       The value of the term (e.g. 'Darwin')
+ * @param  {Boolean}    isPhrase    Whether the value should be searched as an exact phrase
+ * @return {Term}                   The returned term object
+ */
+exports.Term = function(field, value, isPhrase) {
+    var that = {};
+    that.type = 'term';
+    that.field = field;
+    that.value = value;
+    that.isPhrase = isPhrase;
+    return that;
+};
+
+/**
+ * An operator model, a node of the query tree combining one or more operands
+ *
+ * @param  {String}             operator    The boolean operator (AND|OR|NOT). A NOT node only has one operand
+ * @param  {Term[]|Operator[]}  operands    Collection of terms and operator nodes
+ * @return {Operator}                       The returned operator object
+ */
+exports.Operator = function(operator, operands) {
+    var that = {};
+    that.type = 'operator';
+    that.operator = operator;
+    that.operands = operands;
+    return that;
+};
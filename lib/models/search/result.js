@@ -36,9 +36,12 @@
  * @param  {String[]}           links           Collection of external links
  * @param  {String}             eResource       The location of the eResource
  * @param  {Branches}           availability    Object that contains information about the availability
+ * @param  {String}             engine          The search engine the resource was found in (e.g. aquabrowser)
+ * @param  {String[]}           doi             Collection of DOI's (e.g. 10.1038/35077223)
+ * @param  {String[]}           uniformTitle    Collection of uniform titles, the title all the editions of a work share (e.g. `Origin of species`)
  * @return {Object}                             The created result object
  */
-exports.Result = function(id, src, extId, titles, description, isbn, eisbn, issn, ssid, authors, published, subjects, series, tags, notes, contentType, thumbnails, links, eResource, availability) {
+exports.Result = function(id, src, extId, titles, description, isbn, eisbn, issn, ssid, authors, published, subjects, series, tags, notes, contentType, thumbnails, links, eResource, availability, engine, doi, uniformTitle) {
     var that = {};
     that.id = id;
     that.src = src;
@@ -60,6 +63,9 @@ exports.Result = function(id, src, extId, titles, description, isbn, eisbn, issn
     that.links = links;
     that.eResource = eResource;
     that.availability = availability;
+    that.engine = engine;
+    that.doi = doi;
+    that.uniformTitle = uniformTitle;
     return that;
 };
 
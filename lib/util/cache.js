@@ -0,0 +1,118 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+/**
+ * A size-bounded, least recently used cache where every entry has a time to live.
+ * Expired entries can still be served as stale for a while, so they can be refreshed in the background.
+ *
+ * @param  {Number}     maxEntries      The maximum number of entries the cache holds
+ */
+var Cache = module.exports.Cache = function(maxEntries) {
+    var that = this;
+
+    // Since object keys keep their insertion order, the first key is always the least recently used entry
+    var entries = {};
+    var size = 0;
+
+    /**
+     * Function that returns a cache entry
+     *
+     * @param  {String}     key         The cache key
+     * @return {Object}                 Object containing the `value` and whether it is `stale`, or `null` if the entry doesn't exist or has expired
+     */
+    that.get = function(key) {
+        var entry = entries[key];
+        if (!entry) {
+            return null;
+        }
+
+        // Remove the entry if it can't even be served as stale anymore
+        var now = Date.now();
+        if (now > entry.staleUntil) {
+            that.del(key);
+            return null;
+        }
+
+        // Move the entry to the end, marking it as the most recently used one
+        delete entries[key];
+        entries[key] = entry;
+
+        return {'value': entry.value, 'stale': now > entry.expires};
+    };
+
+    /**
+     * Function that stores a value in the cache
+     *
+     * @param  {String}     key             The cache key
+     * @param  {Object}     value           The value that needs to be cached
+     * @param  {Number}     ttl             The number of milliseconds the value is fresh
+     * @param  {Number}     [staleTTL]      The number of milliseconds the value can be served as stale after it expired
+     */
+    that.set = function(key, value, ttl, staleTTL) {
+        if (entries[key]) {
+            that.del(key);
+        }
+
+        // Evict the least recently used entries when the cache is full, the entries keep the order they were used in
+        while (size >= maxEntries) {
+            that.del(_.keys(entries)[0]);
+        }
+
+        var now = Date.now();
+        entries[key] = {
+            'value': value,
+            'expires': now + ttl,
+            'staleUntil': now + ttl + (staleTTL || 0)
+        };
+        size++;
+    };
+
+    /**
+     * Function that removes an entry from the cache
+     *
+     * @param  {String}     key         The cache key
+     */
+    that.del = function(key) {
+        if (entries[key]) {
+            delete entries[key];
+            size--;
+        }
+    };
+
+    /**
+     * Function that removes all the entries from the cache, or only the ones whose key starts with a prefix
+     *
+     * @param  {String}     [prefix]    Only remove the entries whose key starts with this prefix
+     * @return {Number}                 The number of removed entries
+     */
+    that.purge = function(prefix) {
+        var keys = _.filter(_.keys(entries), function(key) {
+            return !prefix || key.indexOf(prefix) === 0;
+        });
+        _.each(keys, that.del);
+        return keys.length;
+    };
+
+    /**
+     * Function that returns the number of entries in the cache
+     *
+     * @return {Number}                 The number of entries
+     */
+    that.size = function() {
+        return size;
+    };
+};
@@ -0,0 +1,65 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/**
+ * A circuit breaker that opens after a number of consecutive failures and stays open during a cool-down period.
+ * Once the cool-down has passed, requests are let through again. If the next request fails, the breaker opens
+ * immediately again, if it succeeds the breaker is closed.
+ *
+ * @param  {Number}     threshold       The number of consecutive failures after which the breaker opens
+ * @param  {Number}     cooldown        The number of milliseconds the breaker stays open
+ */
+var CircuitBreaker = module.exports.CircuitBreaker = function(threshold, cooldown) {
+    var that = this;
+
+    var failures = 0;
+    var openUntil = 0;
+
+    /**
+     * Function that checks if the breaker is open, meaning no requests should be made
+     *
+     * @return {Boolean}        Whether the breaker is open
+     */
+    that.isOpen = function() {
+        return Date.now() < openUntil;
+    };
+
+    /**
+     * Function that returns the number of seconds until the breaker lets requests through again
+     *
+     * @return {Number}         The number of seconds, `0` if the breaker is closed
+     */
+    that.getRetryAfter = function() {
+        return Math.max(0, Math.ceil((openUntil - Date.now()) / 1000));
+    };
+
+    /**
+     * Function that registers a successful request, closing the breaker
+     */
+    that.recordSuccess = function() {
+        failures = 0;
+        openUntil = 0;
+    };
+
+    /**
+     * Function that registers a failed request, opening the breaker when the threshold has been reached
+     */
+    that.recordFailure = function() {
+        failures++;
+        if (failures >= threshold) {
+            openUntil = Date.now() + cooldown;
+        }
+    };
+};
@@ -0,0 +1,328 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+var citation = require('./citation');
+
+// The citation styles resources can be formatted in
+var STYLES = module.exports.STYLES = {
+    'apa': {'label': 'APA (7th edition)'},
+    'mla': {'label': 'MLA (9th edition)'},
+    'chicago': {'label': 'Chicago (17th edition)'},
+    'harvard': {'label': 'Harvard'}
+};
+
+// The types that are cited as a part of a periodical rather than as a standalone work
+var PERIODICAL_TYPES = ['article'];
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that formats a resource in a citation style
+ *
+ * @param  {Result}     result      The resource
+ * @param  {String}     style       The citation style (apa|mla|chicago|harvard)
+ * @return {Object}                 Object containing the `style`, its `label`, the plain `text` citation and the `html` citation (in which titles are italicised). `null` if the style isn't supported
+ */
+var formatCitation = module.exports.formatCitation = function(result, style) {
+    if (!_.has(STYLES, style)) {
+        return null;
+    }
+
+    var data = citation.getCitationData(result);
+    var segments = _formatters[style](data, _.contains(PERIODICAL_TYPES, data.type));
+    return {
+        'style': style,
+        'label': STYLES[style].label,
+        'text': _render(segments, false),
+        'html': _render(segments, true)
+    };
+};
+
+/**
+ * Function that formats a resource in all the citation styles
+ *
+ * @param  {Result}     result      The resource
+ * @return {Object[]}               Collection of formatted citations, in the order of the styles
+ */
+var formatCitations = module.exports.formatCitations = function(result) {
+    return _.map(_.keys(STYLES), function(style) {
+        return formatCitation(result, style);
+    });
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that marks a part of a citation as italic
+ *
+ * @param  {String}     value       The part of the citation (e.g. the title of a book)
+ * @return {Object}                 Object containing the `italic` value
+ * @api private
+ */
+var _italic = function(value) {
+    return {'italic': value};
+};
+
+/**
+ * Function that ends a part of a citation with a punctuation mark, unless it already ends with one
+ * (e.g. a title that ends with a question mark doesn't get an extra full stop)
+ *
+ * @param  {String|Object}  segment     The part of the citation
+ * @param  {String}         mark        The punctuation mark (e.g. `.`)
+ * @return {Array}                      The segments that make up the ended part
+ * @api private
+ */
+var _end = function(segment, mark) {
+    var value = _.isObject(segment) ? segment.italic : segment;
+    if (mark === '.' && /[.?!]$/.test(value)) {
+        return [segment];
+    }
+    return [segment, mark];
+};
+
+/**
+ * Function that renders the segments of a citation
+ *
+ * @param  {Array}      segments    The segments of the citation. Plain strings, italic objects or collections of segments
+ * @param  {Boolean}    isHtml      Whether the citation should be rendered as HTML
+ * @return {String}                 The rendered citation
+ * @api private
+ */
+var _render = function(segments, isHtml) {
+    var rendered = _.map(_.compact(_.flatten(segments)), function(segment) {
+        var value = _.isObject(segment) ? segment.italic : segment;
+        if (isHtml) {
+            value = _.escape(value);
+            if (_.isObject(segment)) {
+                value = '<i>' + value + '</i>';
+            }
+        }
+        return value;
+    }).join('');
+    return rendered.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Function that returns the initials of the given names of an author (e.g. `Charles Robert` becomes `C. R.`)
+ *
+ * @param  {String}     given       The given names
+ * @return {String}                 The initials
+ * @api private
+ */
+var _getInitials = function(given) {
+    return _.map(String(given || '').split(/\s+/), function(name) {
+        return _.map(name.split('-'), function(part) {
+            return part.charAt(0).toUpperCase() + '.';
+        }).join('-');
+    }).join(' ');
+};
+
+/**
+ * Function that formats the name of an author
+ *
+ * @param  {Object}     author          The parsed name of the author
+ * @param  {Boolean}    isInverted      Whether the family name should be put first (e.g. `Darwin, Charles`)
+ * @param  {Boolean}    useInitials     Whether the given names should be abbreviated (e.g. `Darwin, C.`)
+ * @return {String}                     The formatted name
+ * @api private
+ */
+var _formatName = function(author, isInverted, useInitials) {
+    if (author.literal) {
+        return author.literal;
+    } else if (!author.given) {
+        return author.family;
+    }
+
+    var given = useInitials ? _getInitials(author.given) : author.given;
+    return isInverted ? author.family + ', ' + given : given + ' ' + author.family;
+};
+
+/**
+ * Function that joins a list of names (e.g. `A, B and C`)
+ *
+ * @param  {String[]}   names           The formatted names
+ * @param  {String}     conjunction     The word or symbol that precedes the last name (e.g. `and`)
+ * @param  {Boolean}    useSerialComma  Whether a comma is put before the conjunction when there are more than two names
+ * @param  {Boolean}    usePairComma    Whether a comma is put before the conjunction when there are exactly two names
+ * @return {String}                     The joined names
+ * @api private
+ */
+var _joinNames = function(names, conjunction, useSerialComma, usePairComma) {
+    if (names.length < 2) {
+        return names[0] || '';
+    }
+    var comma = (names.length === 2 ? usePairComma : useSerialComma) ? ', ' : ' ';
+    return _.initial(names).join(', ') + comma + conjunction + ' ' + _.last(names);
+};
+
+/**
+ * Function that returns the page range of a resource (e.g. `12–15`)
+ *
+ * @param  {Object}     data        The citation data of the resource
+ * @return {String}                 The page range, `null` if the pages are unknown
+ * @api private
+ */
+var _getPages = function(data) {
+    return _.compact([data.startPage, data.endPage]).join('–') || null;
+};
+
+/**
+ * Function that returns the publisher of a resource, preceded by its place of publication (e.g. `London: John Murray`)
+ *
+ * @param  {Object}     data        The citation data of the resource
+ * @return {String}                 The place and publisher, `null` if both are unknown
+ * @api private
+ */
+var _getImprint = function(data) {
+    if (data.place && data.publisher) {
+        return data.place + ': ' + data.publisher;
+    }
+    return data.publisher || data.place || null;
+};
+
+/**
+ * The formatters of the citation styles. Every formatter receives the citation data of a resource and whether it's
+ * part of a periodical, and returns the segments of the citation.
+ *
+ * @api private
+ */
+var _formatters = {
+
+    /**
+     * APA: `Darwin, C. (1859). *On the origin of species*. John Murray.`
+     * Up to 20 authors are listed, works without an author are listed by their title.
+     */
+    'apa': function(data, isPeriodical) {
+        var names = _.map(data.authors, function(author) { return _formatName(author, true, true); });
+        if (names.length > 20) {
+            names = names.slice(0, 19).join(', ') + ', . . . ' + _.last(names);
+        } else {
+            names = _joinNames(names, '&', true, true);
+        }
+
+        var title = isPeriodical ? data.title : _italic(data.title);
+        var date = '(' + (data.year || 'n.d.') + ').';
+        var segments = names ? [_end(names, '.'), ' ', date, ' ', _end(title, '.')] : [_end(title, '.'), ' ', date];
+
+        if (isPeriodical) {
+            if (data.containerTitle) {
+                segments.push(' ', _italic(data.containerTitle));
+                if (data.volume) {
+                    segments.push(', ', _italic(data.volume), data.issue ? '(' + data.issue + ')' : '');
+                }
+                segments.push(_getPages(data) ? ', ' + _getPages(data) : '', '.');
+            }
+        } else if (data.publisher) {
+            segments.push(' ', _end(data.publisher, '.'));
+        }
+        return segments;
+    },
+
+    /**
+     * MLA: `Darwin, Charles. *On the Origin of Species*. John Murray, 1859.`
+     * Two authors are both listed, three or more authors are shortened to the first author followed by `et al.`
+     */
+    'mla': function(data, isPeriodical) {
+        var names = _.map(data.authors, function(author, index) { return _formatName(author, index === 0, false); });
+        if (names.length > 2) {
+            names = names[0] + ', et al';
+        } else {
+            names = _joinNames(names, 'and', true, true);
+        }
+
+        var segments = names ? [_end(names, '.'), ' '] : [];
+        if (isPeriodical) {
+            segments.push('“', _end(data.title, '.'), '”');
+            var container = _.compact([
+                data.containerTitle ? _italic(data.containerTitle) : null,
+                data.volume ? 'vol. ' + data.volume : null,
+                data.issue ? 'no. ' + data.issue : null,
+                data.year,
+                _getPages(data) ? 'pp. ' + _getPages(data) : null
+            ]);
+            _.each(container, function(element, index) {
+                segments.push(index ? ', ' : ' ', element);
+            });
+            segments.push(container.length ? '.' : '');
+        } else {
+            segments.push(_end(_italic(data.title), '.'));
+            var publication = _.compact([data.publisher, data.year]).join(', ');
+            segments.push(publication ? ' ' + publication + '.' : '');
+        }
+        return segments;
+    },
+
+    /**
+     * Chicago (notes and bibliography): `Darwin, Charles. *On the Origin of Species*. London: John Murray, 1859.`
+     * Up to 10 authors are listed, more authors are shortened to the first seven followed by `et al.`
+     */
+    'chicago': function(data, isPeriodical) {
+        var names = _.map(data.authors, function(author, index) { return _formatName(author, index === 0, false); });
+        if (names.length > 10) {
+            names = names.slice(0, 7).join(', ') + ', et al';
+        } else {
+            names = _joinNames(names, 'and', true, true);
+        }
+
+        var segments = names ? [_end(names, '.'), ' '] : [];
+        if (isPeriodical) {
+            segments.push('“', _end(data.title, '.'), '”');
+            if (data.containerTitle) {
+                segments.push(' ', _italic(data.containerTitle), data.volume ? ' ' + data.volume : '', data.issue ? ', no. ' + data.issue : '');
+            }
+            segments.push(' (' + (data.year || 'n.d.') + ')', _getPages(data) ? ': ' + _getPages(data) : '', '.');
+        } else {
+            segments.push(_end(_italic(data.title), '.'), ' ');
+            segments.push(_end(_.compact([_getImprint(data), data.year || 'n.d.']).join(', '), '.'));
+        }
+        return segments;
+    },
+
+    /**
+     * Harvard (Cite Them Right): `Darwin, C. (1859) *On the origin of species*. London: John Murray.`
+     * Up to 3 authors are listed, more authors are shortened to the first author followed by `et al.`
+     */
+    'harvard': function(data, isPeriodical) {
+        var names = _.map(data.authors, function(author) { return _formatName(author, true, true); });
+        if (names.length > 3) {
+            names = names[0] + ' et al.';
+        } else {
+            names = _joinNames(names, 'and', false, false);
+        }
+
+        var date = '(' + (data.year || 'no date') + ')';
+        var title = isPeriodical ? '‘' + data.title + '’' : _italic(data.title);
+        var segments = names ? [names, ' ', date, ' ', isPeriodical ? title : _end(title, '.')] : [title, ' ', date];
+
+        if (isPeriodical) {
+            if (data.containerTitle) {
+                segments.push(', ', _italic(data.containerTitle));
+                if (data.volume) {
+                    segments.push(', ' + data.volume + (data.issue ? '(' + data.issue + ')' : ''));
+                }
+            }
+            segments.push(_getPages(data) ? ', pp. ' + _getPages(data) : '', '.');
+        } else {
+            segments.push(_getImprint(data) ? ' ' + _getImprint(data) + '.' : (names ? '' : '.'));
+        }
+        return segments;
+    }
+};
@@ -0,0 +1,501 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var util = require('util');
+
+var config = require('../../config');
+var libUtil = require('./util');
+
+// The formats resources can be exported in and the content type of each export
+var FORMATS = module.exports.FORMATS = {
+    'ris': {
+        'label': 'RIS (EndNote, RefWorks, Zotero, Mendeley)',
+        'contentType': 'application/x-research-info-systems',
+        'extension': 'ris'
+    },
+    'bibtex': {
+        'label': 'BibTeX',
+        'contentType': 'application/x-bibtex',
+        'extension': 'bib'
+    },
+    'endnote': {
+        'label': 'EndNote XML',
+        'contentType': 'application/xml',
+        'extension': 'xml'
+    },
+    'csljson': {
+        'label': 'CSL-JSON',
+        'contentType': 'application/vnd.citationstyles.csl+json',
+        'extension': 'json'
+    }
+};
+
+// The type of a resource in each of the export formats
+var TYPES = {
+    'article': {'ris': 'JOUR', 'bibtex': 'article', 'endnote': {'id': 17, 'name': 'Journal Article'}, 'csljson': 'article-journal'},
+    'book': {'ris': 'BOOK', 'bibtex': 'book', 'endnote': {'id': 6, 'name': 'Book'}, 'csljson': 'book'},
+    'generic': {'ris': 'GEN', 'bibtex': 'misc', 'endnote': {'id': 13, 'name': 'Generic'}, 'csljson': 'document'},
+    'journal': {'ris': 'JFULL', 'bibtex': 'misc', 'endnote': {'id': 13, 'name': 'Generic'}, 'csljson': 'periodical'},
+    'manuscript': {'ris': 'MANSCPT', 'bibtex': 'unpublished', 'endnote': {'id': 36, 'name': 'Manuscript'}, 'csljson': 'manuscript'},
+    'thesis': {'ris': 'THES', 'bibtex': 'phdthesis', 'endnote': {'id': 32, 'name': 'Thesis'}, 'csljson': 'thesis'}
+};
+
+// The content types of the engines that map onto each type, checked in order (e.g. `Journal Article`, `eBook`)
+var CONTENT_TYPES = [
+    {'type': 'thesis', 'pattern': /thes[ie]s|dissertation/i},
+    {'type': 'manuscript', 'pattern': /manuscript/i},
+    {'type': 'article', 'pattern': /article|paper|review|newsletter/i},
+    {'type': 'journal', 'pattern': /journal|periodical|serial|magazine|newspaper/i},
+    {'type': 'book', 'pattern': /book|monograph/i}
+];
+
+// Names that contain one of these words are treated as corporate authors (e.g. `Royal Society (Great Britain)`)
+var CORPORATE_AUTHOR = /\b(academy|agency|association|board|centre|center|college|commission|committee|company|corporation|council|department|foundation|government|group|inc|institut[a-z]*|library|ltd|ministry|museum|office|organi[sz]ation|press|school|society|trust|university)\b/i;
+
+// The characters that have a special meaning in BibTeX and the way they are written in a value
+var BIBTEX_ESCAPES = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    '%': '\\%',
+    '&': '\\&',
+    '$': '\\$',
+    '#': '\\#',
+    '_': '\\_'
+};
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that returns the citation type of a resource, based on its content type
+ *
+ * @param  {Result}     result      The resource
+ * @return {String}                 The citation type (article|book|generic|journal|manuscript|thesis)
+ */
+var getCitationType = module.exports.getCitationType = function(result) {
+    var contentType = _.compact(_.flatten([result.contentType])).join(' ');
+    var match = _.find(CONTENT_TYPES, function(contentTypeMatch) {
+        return contentTypeMatch.pattern.test(contentType);
+    });
+    return match ? match.type : 'generic';
+};
+
+/**
+ * Function that splits the name of an author into its family and given names. Life dates are removed
+ * and corporate authors are kept as a single (literal) name.
+ *
+ * @param  {String}     fullname    The name of the author (e.g. `Darwin, Charles, 1809-1882`)
+ * @return {Object}                 Object containing the `family` and `given` names (e.g. `{'family': 'Darwin', 'given': 'Charles'}`), or the `literal` name of a corporate author
+ */
+var parseName = module.exports.parseName = function(fullname) {
+    var name = String(fullname || '')
+        .replace(/[,\s]*\(?\s*(b\.|d\.|ca\.)?\s*\d{3,4}\??\s*-\s*(\d{3,4}\??)?\s*\)?[.,\s]*$/, '')
+        .replace(/^[\s.,;:]+|[\s.,;:]+$/g, '');
+
+    if (!name) {
+        return null;
+    } else if (CORPORATE_AUTHOR.test(name)) {
+        return {'literal': name};
+    }
+
+    // Inverted names (e.g. `Darwin, Charles Robert`)
+    var comma = name.indexOf(',');
+    if (comma > -1) {
+        return {'family': name.substr(0, comma).trim(), 'given': name.substr(comma + 1).replace(/,/g, ' ').replace(/\s+/g, ' ').trim() || null};
+    }
+
+    // Direct names (e.g. `Charles Robert Darwin`)
+    var words = name.split(/\s+/);
+    if (words.length === 1) {
+        return {'family': name, 'given': null};
+    }
+    return {'family': words.pop(), 'given': words.join(' ')};
+};
+
+/**
+ * Function that collects the data that is needed to cite a resource
+ *
+ * @param  {Result}     result      The resource
+ * @return {Object}                 Object containing the normalised citation data of the resource
+ */
+var getCitationData = module.exports.getCitationData = function(result) {
+    var type = getCitationType(result);
+    var published = result.published || {};
+    var date = published.publicationDate || {};
+    var page = published.publicationPage || {};
+
+    var data = {
+        'id': result.id,
+        'type': type,
+        'title': _first(result.titles),
+        'authors': _.compact(_.map(result.authors, function(author) { return parseName(author.fullname); })),
+        'year': _getYear(date.year),
+        'month': parseInt(date.month, 10) || null,
+        'day': parseInt(date.day, 10) || null,
+        'containerTitle': null,
+        'publisher': null,
+        'place': null,
+        'volume': _first(published.volume),
+        'issue': _first(published.issue),
+        'startPage': page.startPage || null,
+        'endPage': page.endPage || null,
+        'isbn': _.compact(_.flatten([result.isbn, result.eisbn])),
+        'issn': _.compact(_.flatten([result.issn])),
+        'doi': _first(result.doi),
+        'url': _getResourceUrl(result),
+        'abstract': _first(result.description),
+        'keywords': _.compact(_.flatten([result.subjects]))
+    };
+
+    // Summon returns the title of the journal an article was published in, Aquabrowser returns the imprint of a book (e.g. `London : John Murray,`)
+    var publicationTitle = _first(published.publicationTitle);
+    if (publicationTitle) {
+        if (type === 'article' || type === 'journal') {
+            data.containerTitle = publicationTitle;
+        } else {
+            var imprint = publicationTitle.split(/\s+:\s+/);
+            if (imprint.length > 1) {
+                data.place = _trimPunctuation(imprint.shift());
+            }
+            data.publisher = _trimPunctuation(imprint.join(' : '));
+        }
+    }
+
+    return data;
+};
+
+/**
+ * Function that exports a collection of resources in a citation format
+ *
+ * @param  {Result[]}   results     The resources that need to be exported
+ * @param  {String}     format      The export format (ris|bibtex|endnote|csljson)
+ * @return {String}                 The exported resources, `null` if the format isn't supported
+ */
+var exportResults = module.exports.exportResults = function(results, format) {
+    var citations = _.map(results, getCitationData);
+    switch (format) {
+        case 'ris':
+            return _.map(citations, _createRIS).join('\r\n');
+        case 'bibtex':
+            return _createBibTeX(citations);
+        case 'endnote':
+            return _createEndNoteXML(citations);
+        case 'csljson':
+            return JSON.stringify(_.map(citations, _createCSLJSON), null, 2);
+        default:
+            return null;
+    }
+};
+
+/**
+ * Function that returns the Highwire Press `citation_*` meta tags of a resource, which are picked up by Google Scholar and the browser citation plugins
+ *
+ * @see http://scholar.google.com/intl/en/scholar/inclusion.html#indexing
+ *
+ * @param  {Result}     result      The resource
+ * @return {Object[]}               The meta tags, each containing a `name` and a `content` (e.g. `{'name': 'citation_title', 'content': 'On the origin of species'}`)
+ */
+var getMetaTags = module.exports.getMetaTags = function(result) {
+    var data = getCitationData(result);
+    var tags = [['citation_title', data.title]];
+
+    _.each(data.authors, function(author) {
+        tags.push(['citation_author', _formatInvertedName(author)]);
+    });
+    tags.push(['citation_publication_date', _.compact([data.year, data.month, data.day]).join('/')]);
+
+    if (data.type === 'article') {
+        tags.push(['citation_journal_title', data.containerTitle]);
+        tags.push(['citation_volume', data.volume]);
+        tags.push(['citation_issue', data.issue]);
+        tags.push(['citation_firstpage', data.startPage]);
+        tags.push(['citation_lastpage', data.endPage]);
+    } else if (data.type === 'thesis') {
+        tags.push(['citation_dissertation_institution', data.publisher]);
+    } else {
+        tags.push(['citation_publisher', data.publisher]);
+    }
+
+    _.each(data.isbn, function(isbn) { tags.push(['citation_isbn', isbn]); });
+    _.each(data.issn, function(issn) { tags.push(['citation_issn', issn]); });
+    tags.push(['citation_doi', data.doi]);
+    tags.push(['citation_keywords', data.keywords.join('; ')]);
+    tags.push(['citation_abstract_html_url', data.url]);
+
+    return _.chain(tags)
+        .filter(function(tag) { return tag[1]; })
+        .map(function(tag) { return {'name': tag[0], 'content': String(tag[1])}; })
+        .value();
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that returns the first value of a property that can either be a single value or a collection
+ *
+ * @param  {String|String[]}    value       The value of the property
+ * @return {String}                         The first value, `null` if there is none
+ * @api private
+ */
+var _first = function(value) {
+    value = _.isArray(value) ? _.compact(value)[0] : value;
+    return value ? String(value).trim() : null;
+};
+
+/**
+ * Function that removes the punctuation catalogue records put at the end of their values (e.g. `John Murray,`)
+ *
+ * @param  {String}     value       The value
+ * @return {String}                 The value without the trailing punctuation
+ * @api private
+ */
+var _trimPunctuation = function(value) {
+    return String(value).replace(/^[\s\[]+|[\s,;:\/\]]+$/g, '') || null;
+};
+
+/**
+ * Function that returns the year of publication as a number
+ *
+ * @param  {String}     year        The year as it was catalogued (e.g. `[1859]`, `c1859.`)
+ * @return {Number}                 The year of publication, `null` if it's unknown
+ * @api private
+ */
+var _getYear = function(year) {
+    var match = String(year || '').match(/\d{4}/);
+    return match ? parseInt(match[0], 10) : null;
+};
+
+/**
+ * Function that returns the link to the detail page of a resource
+ *
+ * @param  {Result}     result      The resource
+ * @return {String}                 The url of the detail page
+ * @api private
+ */
+var _getResourceUrl = function(result) {
+    var api = result.engine || config.nodes['find-a-resource'].settings.federatedSearch.api;
+    return libUtil.getServerUrl(util.format('/find-a-resource/%s/%s', api, encodeURIComponent(result.id)));
+};
+
+/**
+ * Function that formats an author as `Family, Given`
+ *
+ * @param  {Object}     author      The parsed name of the author
+ * @return {String}                 The formatted name
+ * @api private
+ */
+var _formatInvertedName = function(author) {
+    if (author.literal) {
+        return author.literal;
+    }
+    return _.compact([author.family, author.given]).join(', ');
+};
+
+/**
+ * Function that creates a RIS record
+ *
+ * @see http://referencemanager.com/sites/rm/files/m/direct_export_ris.pdf
+ *
+ * @param  {Object}     citation    The citation data of the resource
+ * @return {String}                 The RIS record
+ * @api private
+ */
+var _createRIS = function(citation) {
+    var lines = [];
+    var add = function(tag, value) {
+        if (value || value === 0) {
+            lines.push(tag + '  - ' + String(value).replace(/[\r\n]+/g, ' '));
+        }
+    };
+
+    add('TY', TYPES[citation.type].ris);
+    add('ID', citation.id);
+    _.each(citation.authors, function(author) {
+        add('AU', _formatInvertedName(author));
+    });
+    add('TI', citation.title);
+    add('T2', citation.containerTitle);
+    add('PY', citation.year);
+    add('CY', citation.place);
+    add('PB', citation.publisher);
+    add('VL', citation.volume);
+    add('IS', citation.issue);
+    add('SP', citation.startPage);
+    add('EP', citation.endPage);
+    _.each(citation.isbn.concat(citation.issn), function(identifier) {
+        add('SN', identifier);
+    });
+    _.each(citation.keywords, function(keyword) {
+        add('KW', keyword);
+    });
+    add('AB', citation.abstract);
+    add('UR', citation.url);
+    lines.push('ER  - ');
+    return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Function that escapes the characters that have a special meaning in BibTeX
+ *
+ * @param  {String}     value       The value that needs to be escaped
+ * @return {String}                 The escaped value
+ * @api private
+ */
+var _escapeBibTeX = function(value) {
+    // The characters are replaced in a single pass, so the braces of `\textbackslash{}` aren't escaped again
+    return String(value).replace(/[\\{}%&$#_]/g, function(character) {
+        return BIBTEX_ESCAPES[character];
+    }).replace(/[\r\n]+/g, ' ');
+};
+
+/**
+ * Function that creates the BibTeX entries. Every entry gets a unique key (e.g. `darwin1859origin`)
+ *
+ * @param  {Object[]}   citations   The citation data of the resources
+ * @return {String}                 The BibTeX entries
+ * @api private
+ */
+var _createBibTeX = function(citations) {
+    var keys = {};
+
+    return _.map(citations, function(citation) {
+        var author = citation.authors[0] || {};
+        var titleWord = _.find(String(citation.title || '').toLowerCase().split(/\s+/), function(word) {
+            return word.length > 3;
+        });
+        var key = _.map([author.family || author.literal, citation.year, titleWord], function(part) {
+            return String(part || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        }).join('') || 'resource';
+
+        // Append a letter when the key has already been used (e.g. `darwin1859origin` and `darwin1859origina`)
+        if (keys[key]) {
+            var suffix = String.fromCharCode(96 + keys[key]);
+            keys[key]++;
+            key += suffix;
+        } else {
+            keys[key] = 1;
+        }
+
+        var fields = [];
+        var add = function(name, value, isEscaped) {
+            if (value || value === 0) {
+                fields.push('  ' + name + ' = {' + (isEscaped ? value : _escapeBibTeX(value)) + '}');
+            }
+        };
+
+        // Corporate authors are wrapped in braces, so they aren't split into a family and a given name
+        add('author', _.map(citation.authors, function(author) {
+            return author.literal ? '{' + _escapeBibTeX(author.literal) + '}' : _escapeBibTeX(_formatInvertedName(author));
+        }).join(' and '), true);
+        add('title', citation.title);
+        add(citation.type === 'article' ? 'journal' : 'howpublished', citation.containerTitle);
+        add('year', citation.year);
+        add('volume', citation.volume);
+        add('number', citation.issue);
+        add('pages', _.compact([citation.startPage, citation.endPage]).join('--'));
+        add(citation.type === 'thesis' ? 'school' : 'publisher', citation.publisher);
+        add('address', citation.place);
+        add('isbn', citation.isbn.join(', '));
+        add('issn', citation.issn.join(', '));
+        add('url', citation.url);
+
+        return '@' + TYPES[citation.type].bibtex + '{' + key + ',\n' + fields.join(',\n') + '\n}\n';
+    }).join('\n');
+};
+
+/**
+ * Function that creates an EndNote XML document
+ *
+ * @param  {Object[]}   citations   The citation data of the resources
+ * @return {String}                 The EndNote XML document
+ * @api private
+ */
+var _createEndNoteXML = function(citations) {
+    var element = function(name, value) {
+        if (!value && value !== 0) {
+            return '';
+        }
+        return '<' + name + '>' + libUtil.escapeXML(value) + '</' + name + '>';
+    };
+
+    var records = _.map(citations, function(citation) {
+        var type = TYPES[citation.type].endnote;
+        var authors = _.map(citation.authors, function(author) { return element('author', _formatInvertedName(author)); }).join('');
+
+        return [
+            '<record>',
+            '<ref-type name="' + type.name + '">' + type.id + '</ref-type>',
+            authors ? '<contributors><authors>' + authors + '</authors></contributors>' : '',
+            '<titles>' + element('title', citation.title) + element('secondary-title', citation.containerTitle) + '</titles>',
+            citation.containerTitle ? '<periodical>' + element('full-title', citation.containerTitle) + '</periodical>' : '',
+            element('pages', _.compact([citation.startPage, citation.endPage]).join('-')),
+            element('volume', citation.volume),
+            element('number', citation.issue),
+            citation.year ? '<dates>' + element('year', citation.year) + '</dates>' : '',
+            element('pub-location', citation.place),
+            element('publisher', citation.publisher),
+            element('isbn', citation.isbn.concat(citation.issn).join('; ')),
+            citation.keywords.length ? '<keywords>' + _.map(citation.keywords, function(keyword) { return element('keyword', keyword); }).join('') + '</keywords>' : '',
+            element('abstract', citation.abstract),
+            '<urls><related-urls>' + element('url', citation.url) + '</related-urls></urls>',
+            '</record>'
+        ].join('');
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<xml><records>' + records.join('\n') + '</records></xml>\n';
+};
+
+/**
+ * Function that creates a CSL-JSON item
+ *
+ * @see http://citationstyles.org/downloads/specification.html
+ *
+ * @param  {Object}     citation    The citation data of the resource
+ * @return {Object}                 The CSL-JSON item
+ * @api private
+ */
+var _createCSLJSON = function(citation) {
+    var item = {
+        'id': citation.id,
+        'type': TYPES[citation.type].csljson,
+        'title': citation.title,
+        'author': _.map(citation.authors, function(author) {
+            return author.literal ? {'literal': author.literal} : _.omit(author, function(value) { return !value; });
+        }),
+        'container-title': citation.containerTitle,
+        'publisher': citation.publisher,
+        'publisher-place': citation.place,
+        'volume': citation.volume,
+        'issue': citation.issue,
+        'page': _.compact([citation.startPage, citation.endPage]).join('-'),
+        'ISBN': citation.isbn.join(' '),
+        'ISSN': citation.issn.join(' '),
+        'URL': citation.url,
+        'abstract': citation.abstract
+    };
+    if (citation.year) {
+        item.issued = {'date-parts': [_.compact([citation.year, citation.month, citation.month && citation.day])]};
+    }
+
+    // Leave out the properties we don't know
+    return _.omit(item, function(value) {
+        return value === null || value === undefined || value === '' || (_.isArray(value) && !value.length);
+    });
+};
@@ -0,0 +1,497 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+var queryParser = require('./query-parser');
+
+var QueryModel = require('../models/search/query');
+
+// The CQL indexes that can be searched and the field in `config.constants.fields` they map onto. `null` searches all fields.
+var INDEXES = module.exports.INDEXES = {
+    'cql.serverchoice': null,
+    'cql.anywhere': null,
+    'cql.keywords': null,
+    'dc.anywhere': null,
+    'dc.title': 'title',
+    'bath.title': 'title',
+    'dc.creator': 'author',
+    'dc.author': 'author',
+    'bath.author': 'author',
+    'bath.name': 'author',
+    'bath.personalname': 'author',
+    'bath.corporatename': 'author',
+    'dc.subject': 'subject',
+    'bath.subject': 'subject',
+    'bath.isbn': 'isbn',
+    'dc.date': 'year',
+    'bath.date': 'year'
+};
+
+// The indexes results can be sorted on and the sort option they map onto (see `config.constants.sortOptions`)
+var SORT_INDEXES = {
+    'dc.date': {'ascending': 'oldest', 'descending': 'newest'},
+    'bath.date': {'ascending': 'oldest', 'descending': 'newest'},
+    'dc.title': {'ascending': 'title'},
+    'bath.title': {'ascending': 'title'},
+    'dc.creator': {'ascending': 'author'},
+    'bath.author': {'ascending': 'author'}
+};
+
+// The relations that are written as words (e.g. `dc.title any "origin species"`)
+var NAMED_RELATIONS = ['adj', 'all', 'any', 'within', 'encloses', 'exact'];
+
+// The diagnostics that can be returned (see http://www.loc.gov/standards/sru/diagnostics/diagnosticsList.html)
+var DIAGNOSTICS = module.exports.DIAGNOSTICS = {
+    'querySyntax': {'code': 10, 'msg': 'Query syntax error'},
+    'unsupportedIndex': {'code': 16, 'msg': 'Unsupported index'},
+    'unsupportedRelation': {'code': 19, 'msg': 'Unsupported relation'},
+    'unsupportedRelationModifier': {'code': 20, 'msg': 'Unsupported relation modifier'},
+    'unsupportedBoolean': {'code': 37, 'msg': 'Unsupported boolean operator'},
+    'unsupportedBooleanModifier': {'code': 46, 'msg': 'Unsupported boolean modifier'},
+    'unsupportedFeature': {'code': 48, 'msg': 'Query feature unsupported'},
+    'unsupportedSortIndex': {'code': 80, 'msg': 'Sort not supported'}
+};
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that translates a CQL query into the search parameters of the gateway. The clauses are converted into the
+ * fielded query syntax (e.g. `title:"origin of species"`), date ranges into `yearfrom` and `yearto` and a `sortby` into a sort option.
+ *
+ * @see http://www.loc.gov/standards/sru/cql/spec.html
+ *
+ * @param  {String}     cql         The CQL query (e.g. `dc.title = "origin of species" and dc.date > 1850 sortby dc.date/sort.descending`)
+ * @return {Object}                 Object containing the search parameters (`q` and optionally `yearfrom`, `yearto` and `sort`), or an `error` containing the SRU diagnostic `code`, its `msg` and the `details`
+ */
+var translate = module.exports.translate = function(cql) {
+    var state = {
+        'tokens': null,
+        'position': 0,
+        'error': null
+    };
+
+    state.tokens = _tokenize(String(cql || ''), state);
+    var tree = state.error ? null : _parseQuery(state);
+    if (!state.error && state.position < state.tokens.length && !_isWord(state.tokens[state.position], 'sortby')) {
+        _fail(state, 'querySyntax', state.tokens[state.position].value);
+    }
+    var sort = state.error ? null : _parseSortBy(state);
+    if (state.error) {
+        return {'error': state.error};
+    }
+
+    // Date ranges can only be applied to the whole query
+    var parameters = {};
+    tree = _extractDateRange(tree, parameters, state);
+    if (state.error) {
+        return {'error': state.error};
+
+    // The engines need something to search for, the years only narrow the results down
+    } else if (!tree) {
+        return {'error': _.extend({'details': 'A date range can only be combined with other search terms'}, DIAGNOSTICS.unsupportedFeature)};
+    }
+
+    parameters.q = queryParser.serialize(tree, _formatTerm);
+    if (sort) {
+        parameters.sort = sort;
+    }
+    return parameters;
+};
+
+/**
+ * Function that parses the clause of a scan request, which consists of an index, a relation and the term to start from
+ *
+ * @param  {String}     clause      The scan clause (e.g. `dc.title = darw`)
+ * @return {Object}                 Object containing the CQL `index`, its `field` in the gateway and the `term`, or an `error` containing the SRU diagnostic
+ */
+var parseScanClause = module.exports.parseScanClause = function(clause) {
+    var state = {'error': null};
+    var tokens = _tokenize(String(clause || ''), state);
+    if (state.error) {
+        return {'error': state.error};
+    }
+
+    var isTerm = function(token) {
+        return !!token && (token.type === 'word' || token.type === 'string');
+    };
+
+    var index = 'cql.serverchoice';
+    var term = tokens[0];
+    if (tokens.length === 3 && _isWord(tokens[0]) && tokens[1].type === 'relation' && isTerm(tokens[2])) {
+        if (tokens[1].value !== '=') {
+            return {'error': _.extend({'details': tokens[1].value}, DIAGNOSTICS.unsupportedRelation)};
+        }
+        index = tokens[0].value.toLowerCase();
+        index = (index.indexOf('.') < 0) ? 'dc.' + index : index;
+        term = tokens[2];
+    } else if (tokens.length !== 1 || !isTerm(term)) {
+        return {'error': _.extend({'details': String(clause || '')}, DIAGNOSTICS.querySyntax)};
+    }
+
+    if (!_.has(INDEXES, index)) {
+        return {'error': _.extend({'details': index}, DIAGNOSTICS.unsupportedIndex)};
+    }
+    return {'index': index, 'field': INDEXES[index], 'term': term.value};
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that stores the first error that occurred while parsing
+ *
+ * @param  {Object}     state       The parser state
+ * @param  {String}     diagnostic  The name of the diagnostic (e.g. `unsupportedIndex`)
+ * @param  {String}     details     The part of the query that caused the error
+ * @return {null}                   Nothing is parsed when an error occurs
+ * @api private
+ */
+var _fail = function(state, diagnostic, details) {
+    state.error = state.error || _.extend({'details': details || ''}, DIAGNOSTICS[diagnostic]);
+    return null;
+};
+
+/**
+ * Function that checks if a token is a specific unquoted word. CQL keywords are case-insensitive.
+ *
+ * @param  {Object}     token       The token
+ * @param  {String}     [word]      The expected word (e.g. `and`). Optional, any unquoted word matches when omitted
+ * @return {Boolean}                Whether the token matches
+ * @api private
+ */
+var _isWord = function(token, word) {
+    return !!token && token.type === 'word' && (!word || token.value.toLowerCase() === word);
+};
+
+/**
+ * Function that parses a query: search clauses combined by boolean operators, from left to right
+ *
+ * @param  {Object}             state       The parser state
+ * @return {Term|Operator}                  The parsed node
+ * @api private
+ */
+var _parseQuery = function(state) {
+    var tree = _parseClause(state);
+
+    while (!state.error && state.position < state.tokens.length) {
+        var token = state.tokens[state.position];
+        if (token.type === ')' || _isWord(token, 'sortby')) {
+            break;
+        }
+
+        var operator = _isWord(token) ? token.value.toLowerCase() : null;
+        if (operator === 'prox') {
+            return _fail(state, 'unsupportedBoolean', token.value);
+        } else if (!_.contains(['and', 'or', 'not'], operator)) {
+            return _fail(state, 'querySyntax', token.value);
+        }
+        state.position++;
+        if (state.tokens[state.position] && state.tokens[state.position].type === '/') {
+            return _fail(state, 'unsupportedBooleanModifier', token.value);
+        }
+
+        var operand = _parseClause(state);
+        if (operator === 'not') {
+            tree = new QueryModel.Operator('AND', [tree, new QueryModel.Operator('NOT', [operand])]);
+        } else {
+            tree = new QueryModel.Operator(operator.toUpperCase(), [tree, operand]);
+        }
+    }
+    return state.error ? null : tree;
+};
+
+/**
+ * Function that parses a search clause: a query between parentheses, an index with a relation and a term, or a term
+ *
+ * @param  {Object}             state       The parser state
+ * @return {Term|Operator}                  The parsed node
+ * @api private
+ */
+var _parseClause = function(state) {
+    var token = state.tokens[state.position++];
+    if (!token || token.type === ')' || token.type === '/' || token.type === 'relation') {
+        return _fail(state, 'querySyntax', token ? token.value : '');
+    }
+
+    if (token.type === '(') {
+        var group = _parseQuery(state);
+        if (!state.tokens[state.position] || state.tokens[state.position].type !== ')') {
+            return _fail(state, 'querySyntax', '(');
+        }
+        state.position++;
+        return group;
+    }
+
+    // An index is followed by a relation (e.g. `dc.title any`), a named relation is only a relation when a term follows it
+    var next = state.tokens[state.position];
+    var isRelation = !!next && (next.type === 'relation' || (_isWord(next) && _.contains(NAMED_RELATIONS, next.value.toLowerCase().replace(/^cql\./, '')) && state.tokens[state.position + 1] && _.contains(['word', 'string', '/'], state.tokens[state.position + 1].type)));
+    if (token.type === 'string' || !isRelation) {
+        return _createClause(state, null, '=', token.value);
+    }
+
+    var index = token.value.toLowerCase();
+    var relation = next.value.toLowerCase().replace(/^cql\./, '');
+    state.position++;
+    if (state.tokens[state.position] && state.tokens[state.position].type === '/') {
+        return _fail(state, 'unsupportedRelationModifier', next.value);
+    }
+
+    var term = state.tokens[state.position++];
+    if (!term || (term.type !== 'word' && term.type !== 'string')) {
+        return _fail(state, 'querySyntax', index + ' ' + relation);
+    }
+    return _createClause(state, index, relation, term.value);
+};
+
+/**
+ * Function that converts a search clause into a node of the query tree
+ *
+ * @param  {Object}             state       The parser state
+ * @param  {String}             index       The CQL index (e.g. `dc.title`), `null` when no index was specified
+ * @param  {String}             relation    The relation (e.g. `any`)
+ * @param  {String}             value       The search term
+ * @return {Term|Operator}                  The created node. Date ranges are returned as a `range` node
+ * @api private
+ */
+var _createClause = function(state, index, relation, value) {
+
+    // Indexes without a prefix are searched in the default context set (e.g. `title` is `dc.title`)
+    if (index && index.indexOf('.') < 0) {
+        index = _.has(INDEXES, 'dc.' + index) ? 'dc.' + index : 'cql.' + index;
+    }
+    var field = index ? INDEXES[index] : null;
+    if (index && field === undefined) {
+        return _fail(state, 'unsupportedIndex', index);
+    }
+
+    var words = String(value).split(/\s+/);
+    words = _.compact(words);
+    if (!words.length) {
+        return null;
+    }
+
+    // Publication years can be searched as a range
+    if (field === 'year' && _.contains(['<', '>', '<=', '>=', 'within'], relation)) {
+        var years = _.map(words, function(word) { return parseInt(word, 10); });
+        if (_.find(years, isNaN) !== undefined || (relation === 'within' && years.length !== 2)) {
+            return _fail(state, 'querySyntax', value);
+        }
+        var range = {'type': 'range', 'from': null, 'to': null};
+        if (relation === 'within') {
+            range.from = _.min(years);
+            range.to = _.max(years);
+        } else if (relation.charAt(0) === '>') {
+            range.from = years[0] + (relation === '>' ? 1 : 0);
+        } else {
+            range.to = years[0] - (relation === '<' ? 1 : 0);
+        }
+        return range;
+    }
+
+    switch (relation) {
+        case '=':
+        case '==':
+        case 'adj':
+        case 'exact':
+            return new QueryModel.Term(field, words.join(' '), words.length > 1);
+        case 'all':
+        case 'any':
+            var terms = _.map(words, function(word) { return new QueryModel.Term(field, word, false); });
+            return terms.length > 1 ? new QueryModel.Operator(relation === 'all' ? 'AND' : 'OR', terms) : terms[0];
+        case '<>':
+            return new QueryModel.Operator('NOT', [new QueryModel.Term(field, words.join(' '), words.length > 1)]);
+    }
+    return _fail(state, 'unsupportedRelation', relation);
+};
+
+/**
+ * Function that parses the sort specification at the end of a query. Only the first sort key is used.
+ *
+ * @param  {Object}     state       The parser state
+ * @return {String}                 The sort option (e.g. `newest`), `null` if the query isn't sorted
+ * @api private
+ */
+var _parseSortBy = function(state) {
+    if (!_isWord(state.tokens[state.position], 'sortby')) {
+        return null;
+    }
+    state.position++;
+
+    var index = state.tokens[state.position];
+    if (!_isWord(index)) {
+        return _fail(state, 'querySyntax', 'sortby');
+    }
+
+    // The modifiers of the sort key (e.g. `dc.date/sort.descending`)
+    var direction = 'ascending';
+    state.position++;
+    while (state.tokens[state.position] && state.tokens[state.position].type === '/') {
+        var modifier = state.tokens[state.position + 1];
+        if (modifier && /^(sort\.)?descending$/i.test(modifier.value)) {
+            direction = 'descending';
+        }
+        state.position += 2;
+    }
+
+    var sortOptions = SORT_INDEXES[index.value.toLowerCase()];
+    if (!sortOptions || !sortOptions[direction]) {
+        return _fail(state, 'unsupportedSortIndex', index.value);
+    }
+    return sortOptions[direction];
+};
+
+/**
+ * Function that takes the date ranges out of the query tree and puts them in the `yearfrom` and `yearto` parameters.
+ * A range can only be applied to the whole query, so it has to be the query itself or an operand of the top-level AND.
+ *
+ * @param  {Term|Operator}  tree            The query tree
+ * @param  {Object}         parameters      The search parameters the years are added to
+ * @param  {Object}         state           The parser state
+ * @return {Term|Operator}                  The query tree without the date ranges
+ * @api private
+ */
+var _extractDateRange = function(tree, parameters, state) {
+    var _applyRange = function(range) {
+        if (range.from) {
+            parameters.yearfrom = Math.max(range.from, parameters.yearfrom || range.from);
+        }
+        if (range.to) {
+            parameters.yearto = Math.min(range.to, parameters.yearto || range.to);
+        }
+    };
+
+    if (!tree) {
+        return null;
+    } else if (tree.type === 'range') {
+        _applyRange(tree);
+        return null;
+    }
+
+    var operands = (tree.type === 'operator' && tree.operator === 'AND') ? tree.operands : [tree];
+    var ranges = _.partition(_flattenAnd(operands), function(operand) { return operand.type === 'range'; });
+    _.each(ranges[0], _applyRange);
+
+    // Any range that is left is nested in an OR or a NOT
+    if (_containsRange(ranges[1])) {
+        return _fail(state, 'unsupportedRelation', 'dc.date');
+    }
+    if (ranges[1].length > 1) {
+        return new QueryModel.Operator('AND', ranges[1]);
+    }
+    return ranges[1][0] || null;
+};
+
+/**
+ * Function that flattens nested AND nodes into a single list of operands
+ *
+ * @param  {Array}      operands    The operands of an AND node
+ * @return {Array}                  The flattened operands
+ * @api private
+ */
+var _flattenAnd = function(operands) {
+    return _.flatten(_.map(_.compact(operands), function(operand) {
+        if (operand.type === 'operator' && operand.operator === 'AND') {
+            return _flattenAnd(operand.operands);
+        }
+        return [operand];
+    }), true);
+};
+
+/**
+ * Function that checks if a collection of nodes contains a date range at any depth
+ *
+ * @param  {Array}      nodes       The nodes of the query tree
+ * @return {Boolean}                Whether a date range has been found
+ * @api private
+ */
+var _containsRange = function(nodes) {
+    return _.some(_.compact(nodes), function(node) {
+        return node.type === 'range' || (node.type === 'operator' && _containsRange(node.operands));
+    });
+};
+
+/**
+ * Function that writes a term in the fielded query syntax of the gateway. Values that would be read as
+ * syntax (e.g. parentheses or the word `OR`) are written as a phrase.
+ *
+ * @param  {Term}       term        The term
+ * @return {String}                 The term in the query syntax (e.g. `title:"origin of species"`)
+ * @api private
+ */
+var _formatTerm = function(term) {
+    var value = String(term.value).replace(/"/g, '');
+    if (term.isPhrase || /[\s():]/.test(value) || /^-/.test(value) || _.contains(['AND', 'OR', 'NOT'], value)) {
+        value = '"' + value + '"';
+    }
+    return term.field ? term.field + ':' + value : value;
+};
+
+/**
+ * Function that splits a CQL query into tokens
+ *
+ * @param  {String}     query       The CQL query
+ * @param  {Object}     state       The parser state, the error is stored on it when a string isn't closed
+ * @return {Object[]}               Collection of tokens, each containing a `type` (word|string|relation|(|)|/) and a `value`
+ * @api private
+ */
+var _tokenize = function(query, state) {
+    var tokens = [];
+    var position = 0;
+
+    while (position < query.length) {
+        var character = query.charAt(position);
+
+        if (/\s/.test(character)) {
+            position++;
+
+        } else if (character === '(' || character === ')' || character === '/') {
+            tokens.push({'type': character, 'value': character});
+            position++;
+
+        // Quoted strings can contain escaped quotes (e.g. `"the \"origin\""`)
+        } else if (character === '"') {
+            var value = '';
+            position++;
+            while (position < query.length && query.charAt(position) !== '"') {
+                if (query.charAt(position) === '\\' && position + 1 < query.length) {
+                    position++;
+                }
+                value += query.charAt(position++);
+            }
+            if (position >= query.length) {
+                _fail(state, 'querySyntax', '"' + value);
+                return tokens;
+            }
+            position++;
+            tokens.push({'type': 'string', 'value': value});
+
+        } else if (/[=<>]/.test(character)) {
+            var symbol = query.slice(position).match(/^(==|<>|<=|>=|=|<|>)/)[0];
+            tokens.push({'type': 'relation', 'value': symbol});
+            position += symbol.length;
+
+        } else {
+            var word = query.slice(position).match(/^[^\s()"\/=<>]+/)[0];
+            tokens.push({'type': 'word', 'value': word});
+            position += word.length;
+        }
+    }
+
+    return tokens;
+};
@@ -0,0 +1,215 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+var identifiers = require('./identifiers');
+var queryNormaliser = require('./query-normaliser');
+
+// The value of the `group` parameter that groups the editions and formats of a work in the results
+var GROUP = module.exports.GROUP = 'editions';
+
+// The articles that are left out at the start of a title (e.g. `The origin of species`)
+var LEADING_ARTICLES = /^(?:the|a|an|le|la|les|l|der|die|das|el|il)\s+/;
+
+// The punctuation that separates the title from the subtitle and the statement of responsibility (e.g. `On the origin of species : by means of natural selection / Charles Darwin`)
+var SUBTITLE_SEPARATORS = /\s[:\/;=](?:\s|$)|\s?\[/;
+
+// The punctuation that is ignored when titles and authors are compared
+var PUNCTUATION = /[!-\/:-@\[-`{-~¡-¿‐-‧]/g;
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that groups the editions and formats of the same work (e.g. the paperback, the ebook and the translations of a novel).
+ * Results are grouped when they share the normalised title and first author, the uniform title and first author or an ISBN.
+ * Every group is represented by its most relevant result, which lists the other results of the group as its `editions`.
+ * The results themselves aren't changed, since they might be shared with the cache.
+ *
+ * @param  {Result[]}   items       Collection of results, in order of relevance
+ * @return {Result[]}               Collection of the representative results, containing the other `editions` of the work
+ */
+var groupEditions = module.exports.groupEditions = function(items) {
+    items = items || [];
+
+    // The index of the group every result belongs to, results that share a key end up in the same group
+    var groups = _.range(items.length);
+    var indexByKey = {};
+
+    /**
+     * Internal function that returns the index of the group a result belongs to
+     *
+     * @param  {Number}     index       The index of the result
+     * @return {Number}                 The index of the group
+     * @api private
+     */
+    var _getGroup = function(index) {
+        while (groups[index] !== index) {
+            index = groups[index];
+        }
+        return index;
+    };
+
+    _.each(items, function(item, index) {
+        _.each(getWorkKeys(item), function(key) {
+            if (_.has(indexByKey, key)) {
+                // The group of the most relevant result is kept
+                var a = _getGroup(indexByKey[key]);
+                var b = _getGroup(index);
+                groups[Math.max(a, b)] = Math.min(a, b);
+            } else {
+                indexByKey[key] = index;
+            }
+        });
+    });
+
+    var editionsByGroup = _.groupBy(_.range(items.length), _getGroup);
+    return _.compact(_.map(items, function(item, index) {
+        if (_getGroup(index) !== index) {
+            return null;
+        }
+        var editions = _.map(_.rest(editionsByGroup[index]), function(editionIndex) {
+            return items[editionIndex];
+        });
+        return _.extend({}, item, {'editions': editions});
+    }));
+};
+
+/**
+ * Function that returns the other editions and formats of a resource out of a collection of results
+ *
+ * @param  {Result}     resource    The resource
+ * @param  {Result[]}   items       Collection of results (e.g. the results of a search on the title of the resource)
+ * @return {Result[]}               Collection of the results that are another edition or format of the resource
+ */
+var findEditions = module.exports.findEditions = function(resource, items) {
+    var keys = getWorkKeys(resource);
+    return _.filter(items, function(item) {
+        var isResource = item.id === resource.id && (item.engine || null) === (resource.engine || null);
+        return !isResource && _.intersection(keys, getWorkKeys(item)).length > 0;
+    });
+};
+
+/**
+ * Function that creates the query that finds the other editions and formats of a resource
+ *
+ * @param  {Result}     resource    The resource
+ * @return {String}                 The query (e.g. `title:"origin of species" author:darwin`), `null` if the resource doesn't have a title
+ */
+var createQuery = module.exports.createQuery = function(resource) {
+    var title = _.first(resource.uniformTitle) || _.first(resource.titles);
+    title = title && _getShortTitle(title).replace(/"/g, '');
+    if (!title) {
+        return null;
+    }
+
+    var query = 'title:"' + title + '"';
+    var author = _getFirstAuthor(resource);
+    if (author) {
+        query += ' author:"' + author + '"';
+    }
+    return query;
+};
+
+/**
+ * Function that returns the keys that identify the work a resource belongs to. Resources that share a key are editions or formats of the same work.
+ *
+ * @param  {Result}     resource    The resource
+ * @return {String[]}               Collection of keys (e.g. `['work:origin of species|darwin', 'isbn:9780140432053']`)
+ */
+var getWorkKeys = module.exports.getWorkKeys = function(resource) {
+    var keys = [];
+
+    // The title and the uniform title both name the work
+    var author = _normaliseValue(_getFirstAuthor(resource));
+    _.each(_.union(resource.titles || [], resource.uniformTitle || []), function(title) {
+        title = _normaliseTitle(title);
+        if (title) {
+            keys.push('work:' + title + '|' + author);
+        }
+    });
+
+    // Records list the ISBNs of the other formats of the same edition (e.g. `0140432051 (pbk.)`)
+    _.each(_.union(resource.isbn || [], resource.eisbn || []), function(isbn) {
+        var match = String(isbn).match(/[\dX][\dX\s-]{8,16}[\dX]/i);
+        isbn = match && identifiers.normaliseISBN(match[0]);
+        if (isbn) {
+            keys.push('isbn:' + isbn);
+        }
+    });
+
+    return _.uniq(keys);
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that returns the surname of the first author of a resource
+ *
+ * @param  {Result}     resource    The resource
+ * @return {String}                 The surname of the first author (e.g. `Darwin`), `null` if the resource doesn't have an author
+ * @api private
+ */
+var _getFirstAuthor = function(resource) {
+    var author = resource.authors && resource.authors[0] && resource.authors[0].fullname;
+    if (!author) {
+        return null;
+    }
+
+    // The names are either inverted (e.g. `Darwin, Charles, 1809-1882`) or not (e.g. `Charles Darwin`)
+    author = String(author).trim();
+    if (author.indexOf(',') > -1) {
+        return author.split(',')[0].trim();
+    }
+    return _.last(author.split(/\s+/));
+};
+
+/**
+ * Function that returns the title without its subtitle and statement of responsibility
+ *
+ * @param  {String}     title       The title (e.g. `On the origin of species : by means of natural selection / Charles Darwin`)
+ * @return {String}                 The short title (e.g. `On the origin of species`)
+ * @api private
+ */
+var _getShortTitle = function(title) {
+    return queryNormaliser.normalise(title).split(SUBTITLE_SEPARATORS)[0].trim();
+};
+
+/**
+ * Function that normalises a title so the titles of different editions can be compared
+ *
+ * @param  {String}     title       The title (e.g. `The Origin of Species : by means of natural selection`)
+ * @return {String}                 The normalised title (e.g. `origin of species`)
+ * @api private
+ */
+var _normaliseTitle = function(title) {
+    return _normaliseValue(_getShortTitle(title)).replace(LEADING_ARTICLES, '');
+};
+
+/**
+ * Function that normalises a value so it can be compared regardless of case, diacritics, script and punctuation
+ *
+ * @param  {String}     value       The value (e.g. `Dostoevskiĭ`)
+ * @return {String}                 The normalised value (e.g. `dostoevskii`)
+ * @api private
+ */
+var _normaliseValue = function(value) {
+    value = queryNormaliser.transliterate(queryNormaliser.normalise(value)).toLowerCase();
+    return value.replace(PUNCTUATION, ' ').replace(/\s+/g, ' ').trim();
+};
@@ -0,0 +1,285 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var querystring = require('querystring');
+var util = require('util');
+
+var config = require('../../config');
+var libUtil = require('./util');
+
+// The content type of the OpenSearch description document
+var OPENSEARCH_CONTENT_TYPE = module.exports.OPENSEARCH_CONTENT_TYPE = 'application/opensearchdescription+xml';
+
+// The feeds every search is available as
+var FORMATS = module.exports.FORMATS = {
+    'atom': {
+        'label': 'Atom',
+        'contentType': 'application/atom+xml'
+    },
+    'rss': {
+        'label': 'RSS',
+        'contentType': 'application/rss+xml'
+    }
+};
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that creates the OpenSearch description document, so browsers can add the gateway as a search provider
+ *
+ * @see http://www.opensearch.org/Specifications/OpenSearch/1.1
+ *
+ * @return {String}         The OpenSearch description document
+ */
+var createOpenSearchDescription = module.exports.createOpenSearchDescription = function() {
+    var searchUrl = libUtil.getServerUrl('/' + config.nodes['find-a-resource'].link);
+    var urls = [
+        {'type': 'text/html', 'template': searchUrl + '?q={searchTerms}&page={startPage?}'}
+    ];
+    _.each(FORMATS, function(settings, format) {
+        urls.push({'type': settings.contentType, 'template': searchUrl + '/' + format + '?q={searchTerms}&page={startPage?}'});
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">',
+        '  <ShortName>' + libUtil.escapeXML(config.app.title) + '</ShortName>',
+        '  <Description>' + libUtil.escapeXML('Search the books, journals and articles of ' + config.app.title) + '</Description>',
+        _.map(urls, function(url) {
+            return '  <Url type="' + url.type + '" template="' + libUtil.escapeXML(url.template) + '"/>';
+        }).join('\n'),
+        '  <Url type="' + OPENSEARCH_CONTENT_TYPE + '" rel="self" template="' + libUtil.escapeXML(libUtil.getServerUrl('/opensearch.xml')) + '"/>',
+        '  <InputEncoding>UTF-8</InputEncoding>',
+        '  <OutputEncoding>UTF-8</OutputEncoding>',
+        '</OpenSearchDescription>',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Function that creates a feed of search results
+ *
+ * @param  {Results}    results     The search results
+ * @param  {Object}     query       The query parameters of the search
+ * @param  {String}     format      The feed format (atom|rss)
+ * @param  {Date}       [updated]   The moment the feed was generated. Optional, defaults to now
+ * @return {String}                 The feed, `null` if the format isn't supported
+ */
+var createFeed = module.exports.createFeed = function(results, query, format, updated) {
+    var feed = _getFeedData(results, query, updated || new Date());
+    switch (format) {
+        case 'atom':
+            return _createAtomFeed(feed);
+        case 'rss':
+            return _createRSSFeed(feed);
+        default:
+            return null;
+    }
+};
+
+/**
+ * Function that returns the url of the feed for a search
+ *
+ * @param  {Object}     query       The query parameters of the search
+ * @param  {String}     format      The feed format (atom|rss)
+ * @return {String}                 The relative url of the feed (e.g. `/find-a-resource/atom?q=darwin`)
+ */
+var getFeedUrl = module.exports.getFeedUrl = function(query, format) {
+    return '/' + config.nodes['find-a-resource'].link + '/' + format + '?' + querystring.stringify(_.omit(query, 'page'));
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that collects the data that is shared by all the feed formats
+ *
+ * @param  {Results}    results     The search results
+ * @param  {Object}     query       The query parameters of the search
+ * @param  {Date}       updated     The moment the feed was generated
+ * @return {Object}                 The feed data
+ * @api private
+ */
+var _getFeedData = function(results, query, updated) {
+    // The query has its ampersands escaped for the engines
+    var searchTerms = String(query.q || '').replace(/%26/g, '&');
+    var items = results.items || [];
+    var totalResults = parseInt(results.rowCount, 10) || 0;
+    var page = parseInt(query.page, 10) || 1;
+    var pageCount = (results.pagination && parseInt(results.pagination.pageCount, 10)) || 1;
+
+    // The engines don't tell us their page size, so it's derived from the number of items. The last page can be shorter.
+    var itemsPerPage = items.length;
+    var startIndex = (page - 1) * itemsPerPage + 1;
+    if (page > 1 && page === pageCount) {
+        startIndex = Math.max(totalResults - items.length + 1, 1);
+    }
+
+    var params = _.extend({}, query, {'q': searchTerms});
+    var htmlUrl = libUtil.getServerUrl('/' + config.nodes['find-a-resource'].link + '?' + querystring.stringify(params));
+
+    return {
+        'title': util.format('%s: %s', config.app.title, searchTerms),
+        'searchTerms': searchTerms,
+        'page': page,
+        'updated': updated,
+        'params': params,
+        'pageCount': pageCount,
+        'htmlUrl': htmlUrl,
+        'totalResults': totalResults,
+        'startIndex': totalResults ? startIndex : 0,
+        'itemsPerPage': itemsPerPage,
+        'entries': _.map(items, function(item) {
+            var api = item.engine || query.api;
+            return {
+                'title': _.compact([].concat(item.titles))[0] || 'Untitled',
+                'url': libUtil.getServerUrl(util.format('/%s/%s/%s', config.nodes['find-a-resource'].link, api, encodeURIComponent(item.id))),
+                'authors': _.compact(_.pluck(item.authors, 'fullname')),
+                'summary': _.compact([].concat(item.description))[0] || null,
+                'published': (item.published && item.published.publicationDate && item.published.publicationDate.label) || null
+            };
+        })
+    };
+};
+
+/**
+ * Function that returns the links to the current and the next page of a feed
+ *
+ * @param  {Object}     feed        The feed data
+ * @param  {String}     format      The feed format (atom|rss)
+ * @return {Object}                 Object containing the absolute `self` and `next` urls. The `next` url is `null` on the last page
+ * @api private
+ */
+var _getFeedLinks = function(feed, format) {
+    var url = libUtil.getServerUrl(getFeedUrl(feed.params, format));
+    return {
+        'self': url + (feed.page > 1 ? '&page=' + feed.page : ''),
+        'next': (feed.page < feed.pageCount) ? url + '&page=' + (feed.page + 1) : null
+    };
+};
+
+/**
+ * Function that returns the OpenSearch response elements of a feed
+ *
+ * @param  {Object}     feed        The feed data
+ * @return {String[]}               The OpenSearch elements
+ * @api private
+ */
+var _createOpenSearchElements = function(feed) {
+    return [
+        '<opensearch:totalResults>' + feed.totalResults + '</opensearch:totalResults>',
+        '<opensearch:startIndex>' + feed.startIndex + '</opensearch:startIndex>',
+        '<opensearch:itemsPerPage>' + feed.itemsPerPage + '</opensearch:itemsPerPage>',
+        '<opensearch:Query role="request" searchTerms="' + libUtil.escapeXML(feed.searchTerms) + '" startPage="' + feed.page + '"/>'
+    ];
+};
+
+/**
+ * Function that creates an Atom feed
+ *
+ * @see http://tools.ietf.org/html/rfc4287
+ *
+ * @param  {Object}     feed        The feed data
+ * @return {String}                 The Atom feed
+ * @api private
+ */
+var _createAtomFeed = function(feed) {
+    var updated = feed.updated.toISOString();
+    var links = _getFeedLinks(feed, 'atom');
+
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">',
+        '<title>' + libUtil.escapeXML(feed.title) + '</title>',
+        '<id>' + libUtil.escapeXML(links.self) + '</id>',
+        '<updated>' + updated + '</updated>',
+        '<author><name>' + libUtil.escapeXML(config.app.title) + '</name></author>',
+        '<link rel="self" type="' + FORMATS.atom.contentType + '" href="' + libUtil.escapeXML(links.self) + '"/>',
+        '<link rel="alternate" type="text/html" href="' + libUtil.escapeXML(feed.htmlUrl) + '"/>',
+        '<link rel="search" type="' + OPENSEARCH_CONTENT_TYPE + '" href="' + libUtil.escapeXML(libUtil.getServerUrl('/opensearch.xml')) + '"/>'
+    ];
+    if (links.next) {
+        lines.push('<link rel="next" type="' + FORMATS.atom.contentType + '" href="' + libUtil.escapeXML(links.next) + '"/>');
+    }
+    lines = lines.concat(_createOpenSearchElements(feed));
+
+    _.each(feed.entries, function(entry) {
+        lines.push('<entry>');
+        lines.push('<title>' + libUtil.escapeXML(entry.title) + '</title>');
+        lines.push('<id>' + libUtil.escapeXML(entry.url) + '</id>');
+        lines.push('<link rel="alternate" type="text/html" href="' + libUtil.escapeXML(entry.url) + '"/>');
+        lines.push('<updated>' + updated + '</updated>');
+        _.each(entry.authors, function(author) {
+            lines.push('<author><name>' + libUtil.escapeXML(author) + '</name></author>');
+        });
+        if (entry.summary || entry.published) {
+            lines.push('<summary>' + libUtil.escapeXML(_.compact([entry.published, entry.summary]).join('. ')) + '</summary>');
+        }
+        lines.push('</entry>');
+    });
+
+    lines.push('</feed>', '');
+    return lines.join('\n');
+};
+
+/**
+ * Function that creates an RSS 2.0 feed
+ *
+ * @see http://www.rssboard.org/rss-specification
+ *
+ * @param  {Object}     feed        The feed data
+ * @return {String}                 The RSS feed
+ * @api private
+ */
+var _createRSSFeed = function(feed) {
+    var links = _getFeedLinks(feed, 'rss');
+
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">',
+        '<channel>',
+        '<title>' + libUtil.escapeXML(feed.title) + '</title>',
+        '<link>' + libUtil.escapeXML(feed.htmlUrl) + '</link>',
+        '<description>' + libUtil.escapeXML(util.format('Search results for "%s"', feed.searchTerms)) + '</description>',
+        '<lastBuildDate>' + feed.updated.toUTCString() + '</lastBuildDate>',
+        '<atom:link rel="self" type="' + FORMATS.rss.contentType + '" href="' + libUtil.escapeXML(links.self) + '"/>',
+        '<atom:link rel="search" type="' + OPENSEARCH_CONTENT_TYPE + '" href="' + libUtil.escapeXML(libUtil.getServerUrl('/opensearch.xml')) + '"/>'
+    ];
+    if (links.next) {
+        lines.push('<atom:link rel="next" type="' + FORMATS.rss.contentType + '" href="' + libUtil.escapeXML(links.next) + '"/>');
+    }
+    lines = lines.concat(_createOpenSearchElements(feed));
+
+    _.each(feed.entries, function(entry) {
+        lines.push('<item>');
+        lines.push('<title>' + libUtil.escapeXML(entry.title) + '</title>');
+        lines.push('<link>' + libUtil.escapeXML(entry.url) + '</link>');
+        lines.push('<guid isPermaLink="true">' + libUtil.escapeXML(entry.url) + '</guid>');
+        _.each(entry.authors, function(author) {
+            lines.push('<dc:creator>' + libUtil.escapeXML(author) + '</dc:creator>');
+        });
+        if (entry.summary || entry.published) {
+            lines.push('<description>' + libUtil.escapeXML(_.compact([entry.published, entry.summary]).join('. ')) + '</description>');
+        }
+        lines.push('</item>');
+    });
+
+    lines.push('</channel>', '</rss>', '');
+    return lines.join('\n');
+};
@@ -0,0 +1,217 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+// The labels users tend to paste along with an identifier (e.g. `ISBN 0-521-82588-1`, `doi:10.1038/171737a0`)
+var LABELS = {
+    'doi': /^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)/i,
+    'isbn': /^isbn(?:-1[03])?:?\s*/i,
+    'issn': /^(?:e-?)?issn:?\s*/i
+};
+
+// The classmarks that are recognised, Library of Congress classmarks with a cutter number (e.g. `QH365.O2 1859`)
+// and the dotted classmarks of the University Library (e.g. `Syn.7.85.12`, `S950.a.200.1`)
+var CLASSMARK_PATTERNS = [
+    /^[A-Z]{1,3}\s?\d{1,4}(?:\.\d+)?\s?\.[A-Z]\d+(?:\s?[A-Z]\d+)?(?:\s\d{4}[a-z]?)?$/,
+    /^[A-Z][A-Za-z]{0,5}\d*(?:\.[0-9A-Za-z]+){2,}$/
+];
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that checks whether a query consists of a single identifier, so it can be searched in the identifier field
+ * of the engine instead of as free text. Only identifiers with a valid check digit are recognised.
+ *
+ * @param  {String}     query       The query (e.g. `ISBN 0-521-82588-1`)
+ * @return {Object}                 Object containing the `type` (isbn|issn|doi|classmark) and the normalised `value` of the identifier (e.g. `{'type': 'isbn', 'value': '9780521825887'}`), `null` if the query isn't an identifier
+ */
+var detectIdentifier = module.exports.detectIdentifier = function(query) {
+    if (!_.isString(query)) {
+        return null;
+    }
+    query = query.trim();
+
+    var value = null;
+    if ((value = normaliseDOI(query))) {
+        return {'type': 'doi', 'value': value};
+    } else if ((value = normaliseISBN(query))) {
+        return {'type': 'isbn', 'value': value};
+    } else if ((value = normaliseISSN(query))) {
+        return {'type': 'issn', 'value': value};
+    } else if ((value = normaliseClassmark(query))) {
+        return {'type': 'classmark', 'value': value};
+    }
+    return null;
+};
+
+/**
+ * Function that creates the engine-neutral query that searches an identifier in its field. ISBNs are searched in
+ * both their 13 and 10 digit form, since the catalogue records don't always contain both.
+ *
+ * @param  {Object}     identifier          The identifier, as returned by `detectIdentifier`
+ * @param  {String}     identifier.type     The type of the identifier (e.g. 'isbn')
+ * @param  {String}     identifier.value    The normalised identifier (e.g. '9780521825887')
+ * @return {String}                         The query (e.g. `isbn:(9780521825887 OR 0521825881)`)
+ */
+var createQuery = module.exports.createQuery = function(identifier) {
+    if (identifier.type === 'isbn') {
+        var values = _.compact([identifier.value, toISBN10(identifier.value)]);
+        return values.length > 1 ? 'isbn:(' + values.join(' OR ') + ')' : 'isbn:' + values[0];
+    }
+
+    // DOIs and classmarks can contain characters that have a meaning in the query syntax (e.g. `10.1002/(SICI)...`)
+    return identifier.type + ':"' + identifier.value.replace(/"/g, '') + '"';
+};
+
+/**
+ * Function that validates an ISBN and converts it to its 13 digit form. Hyphens, spaces and an `ISBN` label are ignored.
+ *
+ * @param  {String}     isbn        The ISBN (e.g. `0-521-82588-1`)
+ * @return {String}                 The 13 digit ISBN (e.g. `9780521825887`), `null` if the ISBN isn't valid
+ */
+var normaliseISBN = module.exports.normaliseISBN = function(isbn) {
+    isbn = _stripLabel(isbn, 'isbn').replace(/[\s-]/g, '').toUpperCase();
+
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+        if (_getISBN10CheckDigit(isbn) !== isbn.charAt(9)) {
+            return null;
+        }
+        isbn = '978' + isbn.substring(0, 9);
+        return isbn + _getISBN13CheckDigit(isbn);
+
+    } else if (/^97[89]\d{10}$/.test(isbn) && _getISBN13CheckDigit(isbn) === isbn.charAt(12)) {
+        return isbn;
+    }
+    return null;
+};
+
+/**
+ * Function that converts a 13 digit ISBN to its 10 digit form. Only ISBNs with the `978` prefix have a 10 digit form.
+ *
+ * @param  {String}     isbn        The 13 digit ISBN (e.g. `9780521825887`)
+ * @return {String}                 The 10 digit ISBN (e.g. `0521825881`), `null` if the ISBN doesn't have a 10 digit form
+ */
+var toISBN10 = module.exports.toISBN10 = function(isbn) {
+    if (!/^978\d{10}$/.test(isbn)) {
+        return null;
+    }
+    isbn = isbn.substring(3, 12);
+    return isbn + _getISBN10CheckDigit(isbn);
+};
+
+/**
+ * Function that validates an ISSN and formats it with a hyphen. Spaces and an `ISSN` label are ignored.
+ *
+ * @param  {String}     issn        The ISSN (e.g. `00280836`)
+ * @return {String}                 The ISSN (e.g. `0028-0836`), `null` if the ISSN isn't valid
+ */
+var normaliseISSN = module.exports.normaliseISSN = function(issn) {
+    issn = _stripLabel(issn, 'issn').replace(/\s/g, '').toUpperCase();
+
+    var match = issn.match(/^(\d{4})-?(\d{3}[\dX])$/);
+    if (!match) {
+        return null;
+    }
+
+    issn = match[1] + match[2];
+    var sum = _.reduce(issn.substring(0, 7).split(''), function(memo, digit, index) {
+        return memo + Number(digit) * (8 - index);
+    }, 0);
+    var check = (11 - sum % 11) % 11;
+    if ((check === 10 ? 'X' : String(check)) !== issn.charAt(7)) {
+        return null;
+    }
+    return match[1] + '-' + match[2];
+};
+
+/**
+ * Function that strips the `doi:` prefix or the resolver address from a DOI
+ *
+ * @param  {String}     doi         The DOI (e.g. `https://doi.org/10.1038/171737a0`)
+ * @return {String}                 The DOI (e.g. `10.1038/171737a0`), `null` if the value isn't a DOI
+ */
+var normaliseDOI = module.exports.normaliseDOI = function(doi) {
+    doi = _stripLabel(doi, 'doi');
+    try {
+        // DOIs copied from the address bar have their special characters escaped
+        doi = decodeURIComponent(doi);
+    } catch (err) {}
+
+    return /^10\.\d{4,9}\/\S+$/.test(doi) ? doi : null;
+};
+
+/**
+ * Function that checks whether a value looks like a classmark and collapses its whitespace
+ *
+ * @param  {String}     classmark   The classmark (e.g. `QH365.O2  1859`)
+ * @return {String}                 The classmark (e.g. `QH365.O2 1859`), `null` if the value isn't a classmark
+ */
+var normaliseClassmark = module.exports.normaliseClassmark = function(classmark) {
+    classmark = String(classmark || '').trim().replace(/\s+/g, ' ');
+
+    // Every classmark contains a number, which rules out most abbreviations (e.g. `U.S.A.`)
+    if (!/\d/.test(classmark)) {
+        return null;
+    }
+    return _.some(CLASSMARK_PATTERNS, function(pattern) { return pattern.test(classmark); }) ? classmark : null;
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that removes the label in front of an identifier (e.g. `ISBN 0-521-82588-1`)
+ *
+ * @param  {String}     value       The identifier
+ * @param  {String}     type        The type of identifier (e.g. 'isbn')
+ * @return {String}                 The identifier without its label
+ * @api private
+ */
+var _stripLabel = function(value, type) {
+    return String(value || '').trim().replace(LABELS[type], '');
+};
+
+/**
+ * Function that calculates the check digit of a 10 digit ISBN
+ *
+ * @param  {String}     isbn        The first 9 digits of the ISBN
+ * @return {String}                 The check digit (0-9 or X)
+ * @api private
+ */
+var _getISBN10CheckDigit = function(isbn) {
+    var sum = _.reduce(isbn.substring(0, 9).split(''), function(memo, digit, index) {
+        return memo + Number(digit) * (10 - index);
+    }, 0);
+    var check = (11 - sum % 11) % 11;
+    return check === 10 ? 'X' : String(check);
+};
+
+/**
+ * Function that calculates the check digit of a 13 digit ISBN
+ *
+ * @param  {String}     isbn        The first 12 digits of the ISBN
+ * @return {String}                 The check digit (0-9)
+ * @api private
+ */
+var _getISBN13CheckDigit = function(isbn) {
+    var sum = _.reduce(isbn.substring(0, 12).split(''), function(memo, digit, index) {
+        return memo + Number(digit) * (index % 2 ? 3 : 1);
+    }, 0);
+    return String((10 - sum % 10) % 10);
+};
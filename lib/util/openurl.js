@@ -0,0 +1,161 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var querystring = require('querystring');
+
+var config = require('../../config');
+var citation = require('./citation');
+
+// The version of the ContextObject
+var CTX_VERSION = 'Z39.88-2004';
+
+// The metadata formats the citation types are described in, with the genre of each type
+var METADATA_FORMATS = {
+    'article': {'format': 'info:ofi/fmt:kev:mtx:journal', 'genre': 'article'},
+    'book': {'format': 'info:ofi/fmt:kev:mtx:book', 'genre': 'book'},
+    'generic': {'format': 'info:ofi/fmt:kev:mtx:book', 'genre': 'document'},
+    'journal': {'format': 'info:ofi/fmt:kev:mtx:journal', 'genre': 'journal'},
+    'manuscript': {'format': 'info:ofi/fmt:kev:mtx:book', 'genre': 'document'},
+    'thesis': {'format': 'info:ofi/fmt:kev:mtx:dissertation', 'genre': null}
+};
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that describes a resource as an OpenURL ContextObject, in the key/encoded-value format that is embedded
+ * in the title of a COinS span (e.g. `<span class="Z3988" title="ctx_ver=Z39.88-2004&amp;rft.btitle=...">`)
+ *
+ * @see http://ocoins.info/
+ *
+ * @param  {Result}     result      The resource
+ * @return {String}                 The ContextObject as a query string
+ */
+var createContextObject = module.exports.createContextObject = function(result) {
+    return querystring.stringify(getContextObjectParameters(result));
+};
+
+/**
+ * Function that checks if the full text of a resource can be found by the link resolver. The resolver knows the
+ * journals that are subscribed to, so articles and journals can be resolved as well as anything with a DOI or an ISSN.
+ *
+ * @param  {Result}     result      The resource
+ * @return {Boolean}                Whether the resource can be resolved
+ */
+var isResolvable = module.exports.isResolvable = function(result) {
+    var data = citation.getCitationData(result);
+    return !!(data.type === 'article' || data.type === 'journal' || data.doi || data.issn.length);
+};
+
+/**
+ * Function that returns the link to the link resolver for a resource, which takes the user to the full text
+ *
+ * @param  {Result}     result      The resource
+ * @return {String}                 The OpenURL 1.0 link (e.g. `http://sfx.lib.cam.ac.uk/sfx_local?url_ver=Z39.88-2004&...`), `null` if the resource can't be resolved
+ */
+var getResolverUrl = module.exports.getResolverUrl = function(result) {
+    var resolver = config.constants.resolver;
+    if (!resolver || !resolver.uri || !isResolvable(result)) {
+        return null;
+    }
+    return resolver.uri + '?' + querystring.stringify(_.extend({'url_ver': CTX_VERSION}, getContextObjectParameters(result)));
+};
+
+/**
+ * Function that returns the parameters of the OpenURL ContextObject of a resource
+ *
+ * @param  {Result}     result      The resource
+ * @return {Object}                 The parameters of the ContextObject (e.g. `{'ctx_ver': 'Z39.88-2004', 'rft.atitle': 'On the origin of species'}`)
+ */
+var getContextObjectParameters = module.exports.getContextObjectParameters = function(result) {
+    var data = citation.getCitationData(result);
+    var metadataFormat = METADATA_FORMATS[data.type];
+
+    var parameters = {
+        'ctx_ver': CTX_VERSION,
+        'ctx_enc': 'info:ofi/enc:UTF-8',
+        'rfr_id': 'info:sid/' + config.app.hostname + ':' + (result.engine || config.nodes['find-a-resource'].settings.federatedSearch.api),
+        'rft_id': _.compact([data.url, data.doi ? 'info:doi/' + data.doi : null]),
+        'rft_val_fmt': metadataFormat.format,
+        'rft.genre': metadataFormat.genre
+    };
+
+    // Journals and articles are described by the journal they were published in, the other resources by their publisher
+    if (metadataFormat.format === METADATA_FORMATS.article.format) {
+        _.extend(parameters, {
+            'rft.atitle': data.type === 'article' ? data.title : null,
+            'rft.jtitle': data.type === 'article' ? data.containerTitle : data.title,
+            'rft.volume': data.volume,
+            'rft.issue': data.issue,
+            'rft.spage': data.startPage,
+            'rft.epage': data.endPage,
+            'rft.issn': data.issn[0]
+        });
+    } else {
+        _.extend(parameters, {
+            'rft.btitle': data.type === 'thesis' ? null : data.title,
+            'rft.title': data.type === 'thesis' ? data.title : null,
+            'rft.pub': data.type === 'thesis' ? null : data.publisher,
+            'rft.inst': data.type === 'thesis' ? data.publisher : null,
+            'rft.place': data.place,
+            'rft.isbn': data.isbn[0]
+        });
+    }
+
+    // The first author is described by its parts as well, resolvers use it to match the resource
+    var firstAuthor = data.authors[0];
+    if (firstAuthor && firstAuthor.family) {
+        parameters['rft.aulast'] = firstAuthor.family;
+        parameters['rft.aufirst'] = firstAuthor.given;
+    } else if (firstAuthor) {
+        parameters['rft.aucorp'] = firstAuthor.literal;
+    }
+    parameters['rft.au'] = _.map(data.authors, function(author) {
+        return author.literal || _.compact([author.family, author.given]).join(', ');
+    });
+    parameters['rft.date'] = _getDate(data);
+
+    return _.omit(parameters, function(value) {
+        return value === null || value === undefined || (_.isArray(value) && !value.length);
+    });
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that returns the date of publication in the format of the ContextObject
+ *
+ * @param  {Object}     data        The normalised citation data of the resource
+ * @return {String}                 The date of publication (e.g. `1859`, `1859-11` or `1859-11-24`), `null` if it's unknown
+ * @api private
+ */
+var _getDate = function(data) {
+    if (!data.year) {
+        return null;
+    }
+
+    var date = [String(data.year)];
+    if (data.month) {
+        date.push(data.month < 10 ? '0' + data.month : String(data.month));
+        if (data.day) {
+            date.push(data.day < 10 ? '0' + data.day : String(data.day));
+        }
+    }
+    return date.join('-');
+};
@@ -0,0 +1,139 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+// Characters that don't show up but break the matching of terms (e.g. control characters, zero-width spaces and bidirectional marks)
+var INVISIBLE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u00ad\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+// The combining marks that are diacritics in the Latin, Greek and Cyrillic scripts and the vowel points in Arabic and Hebrew.
+// Marks in other scripts (e.g. Japanese voicing marks, Devanagari vowel signs) change the letter and are kept
+var DIACRITICS = /[\u0300-\u036f\u0591-\u05c7\u0610-\u061a\u0640\u064b-\u065f\u0670\u06d6-\u06ed]/g;
+
+// Latin letters that don't decompose into a base letter and a diacritic
+var LATIN_LETTERS = {
+    'Æ': 'AE', 'æ': 'ae', 'Ð': 'D', 'ð': 'd', 'Đ': 'D', 'đ': 'd', 'ı': 'i', 'Ł': 'L', 'ł': 'l', 'Ø': 'O', 'ø': 'o',
+    'Œ': 'OE', 'œ': 'oe', 'ß': 'ss', 'Þ': 'TH', 'þ': 'th'
+};
+
+// The romanisation of the Cyrillic and Greek scripts, following the ALA-LC tables without their diacritics. Scripts
+// that can't be romanised letter by letter (e.g. Arabic, which doesn't write its short vowels, and Chinese) are searched
+// as they are, the engines index the original script of the records as well
+var TRANSLITERATIONS = {
+    // Cyrillic
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'ґ': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'є': 'ie', 'ж': 'zh', 'з': 'z',
+    'и': 'i', 'і': 'i', 'ї': 'i', 'й': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+    'с': 's', 'т': 't', 'у': 'u', 'ў': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+    'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'iu', 'я': 'ia',
+    // Greek
+    'α': 'a', 'β': 'b', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'e', 'θ': 'th', 'ι': 'i', 'κ': 'k', 'λ': 'l',
+    'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'ph',
+    'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+// The characters that have a special meaning in a Summon query. The wildcards (`*` and `?`) are left as they are
+var SUMMON_RESERVED_CHARACTERS = /([\\+\-!():^[\]"{}~|&\/])/g;
+
+// The characters that have a special meaning in an Aquabrowser query. Aquabrowser doesn't support escaping, so they're replaced by spaces
+var AQUABROWSER_RESERVED_CHARACTERS = /["()[\]{}:\\]/g;
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that brings a query into its canonical Unicode form, so the same query is sent to the engines however it
+ * was typed or pasted. Compatibility characters (e.g. full-width Latin letters and ligatures) are replaced by their
+ * ordinary equivalent, invisible characters are removed and whitespace is collapsed.
+ *
+ * @param  {String}     query       The query (e.g. `ｄａｒｗｉｎ %26 wallace`)
+ * @return {String}                 The normalised query (e.g. `darwin & wallace`)
+ */
+var normalise = module.exports.normalise = function(query) {
+    // The controllers escape the ampersands in the query parameters (e.g. `darwin %26 wallace`)
+    query = String(query || '').replace(/%26/g, '&');
+    return query.normalize('NFKC').replace(INVISIBLE_CHARACTERS, '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Function that removes the diacritics from a value (e.g. `Dostoevskiĭ` becomes `Dostoevskii`)
+ *
+ * @param  {String}     value       The value
+ * @return {String}                 The value without diacritics
+ */
+var fold = module.exports.fold = function(value) {
+    value = String(value || '').normalize('NFKD').replace(DIACRITICS, '');
+    value = value.replace(/[ÆæÐðĐđıŁłØøŒœßÞþ]/g, function(letter) {
+        return LATIN_LETTERS[letter];
+    });
+
+    // Recompose the letters of the scripts that were left alone (e.g. Korean syllables)
+    return value.normalize('NFC');
+};
+
+/**
+ * Function that romanises the Cyrillic and Greek letters of a value. Other characters are left as they are.
+ *
+ * @param  {String}     value       The value (e.g. `Война и мир`)
+ * @return {String}                 The romanised value (e.g. `Voina i mir`)
+ */
+var transliterate = module.exports.transliterate = function(value) {
+    return _.map(fold(value).split(''), function(character) {
+        var lowerCase = character.toLowerCase();
+        if (!_.has(TRANSLITERATIONS, lowerCase)) {
+            return character;
+        }
+
+        // Keep the capitals (e.g. `Щ` becomes `Shch`)
+        var romanised = TRANSLITERATIONS[lowerCase];
+        return character === lowerCase ? romanised : romanised.charAt(0).toUpperCase() + romanised.substring(1);
+    }).join('');
+};
+
+/**
+ * Function that returns the forms a term should be searched in. Records of the catalogue are often only available in
+ * their romanised form, so a term in a non-Latin script or with diacritics is searched in its folded and romanised form as well.
+ *
+ * @param  {String}     value       The value of the term (e.g. `Толстой`)
+ * @return {String[]}               The forms of the term (e.g. `['Толстой', 'Tolstoi']`)
+ */
+var getVariants = module.exports.getVariants = function(value) {
+    return _.uniq([value, transliterate(value)]);
+};
+
+/**
+ * Function that escapes the characters that have a special meaning in a Summon query. Phrases only need their
+ * quotes and backslashes to be escaped.
+ *
+ * @param  {String}     value       The value of the term (e.g. `C++`)
+ * @param  {Boolean}    isPhrase    Whether the value is a phrase
+ * @return {String}                 The escaped value (e.g. `C\+\+`)
+ */
+var escapeSummon = module.exports.escapeSummon = function(value, isPhrase) {
+    return String(value).replace(isPhrase ? /(["\\])/g : SUMMON_RESERVED_CHARACTERS, '\\$1');
+};
+
+/**
+ * Function that removes the characters that have a special meaning in an Aquabrowser query. Phrases only need
+ * their quotes to be removed.
+ *
+ * @param  {String}     value       The value of the term (e.g. `Nature (London)`)
+ * @param  {Boolean}    isPhrase    Whether the value is a phrase
+ * @return {String}                 The escaped value (e.g. `Nature London`)
+ */
+var escapeAquabrowser = module.exports.escapeAquabrowser = function(value, isPhrase) {
+    value = String(value).replace(isPhrase ? /"/g : AQUABROWSER_RESERVED_CHARACTERS, ' ');
+    return value.replace(/\s+/g, ' ').trim();
+};
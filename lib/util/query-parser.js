@@ -0,0 +1,314 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+var config = require('../../config');
+
+var QueryModel = require('../models/search/query');
+
+// The boolean operators, they are only recognised when written in uppercase
+var OPERATORS = ['AND', 'OR', 'NOT'];
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that parses a query into an engine-neutral query tree. Supported are the boolean operators AND, OR and NOT
+ * (or a leading `-`), parentheses, phrases between double quotes and the fields in `config.constants.fields` (e.g. `title:darwin`).
+ * Terms that aren't separated by an operator have to match all. The parser never fails, malformed parts are ignored.
+ *
+ * @param  {String}             query       The query (e.g. `title:"origin of species" AND (author:darwin OR author:wallace)`)
+ * @return {Term|Operator}                  The root of the query tree, `null` if the query doesn't contain any terms
+ */
+var parse = module.exports.parse = function(query) {
+    var state = {
+        'tokens': _tokenize(String(query || '')),
+        'position': 0
+    };
+
+    // Keep parsing when an unmatched closing parenthesis is encountered
+    var operands = [];
+    while (state.position < state.tokens.length) {
+        operands.push(_parseOr(state, null));
+        state.position++;
+    }
+    return _createOperator('AND', operands);
+};
+
+/**
+ * Function that converts a query tree back into a query string. The engines use the same boolean syntax, so only the
+ * way terms are written differs. Operands that have to match all are separated by a space.
+ *
+ * @param  {Term|Operator}  tree            The root of the query tree
+ * @param  {Function}       formatTerm      Function that converts a term into the syntax of the engine
+ * @param  {Term}           formatTerm.term The term that should be converted
+ * @return {String}                         The query string (e.g. `Title:("origin of species") (Author:(darwin) OR Author:(wallace))`)
+ */
+var serialize = module.exports.serialize = function(tree, formatTerm) {
+    if (!tree) {
+        return '';
+    } else if (tree.type === 'term') {
+        return formatTerm(tree);
+    }
+
+    var operands = _.map(tree.operands, function(operand) {
+        var serialized = serialize(operand, formatTerm);
+
+        // Nested AND and OR nodes are put between parentheses, so the precedence doesn't depend on the engine
+        if (operand.type === 'operator' && operand.operator !== 'NOT') {
+            serialized = '(' + serialized + ')';
+        }
+        return serialized;
+    });
+
+    if (tree.operator === 'NOT') {
+        return 'NOT ' + operands[0];
+    }
+    return operands.join(tree.operator === 'OR' ? ' OR ' : ' ');
+};
+
+/**
+ * Function that composes a query from the rows of the advanced search form. Rows are combined from left to right,
+ * so `a OR b AND c` results in `(a OR b) AND c`.
+ *
+ * @param  {String|String[]}    fields          The field of each row (e.g. ['title', 'author']), an unknown field searches all fields
+ * @param  {String|String[]}    terms           The terms of each row (e.g. ['origin of species', 'darwin'])
+ * @param  {String|String[]}    operators       The operator that connects each row to the previous rows (e.g. ['AND'])
+ * @return {String}                             The query (e.g. `title:(origin of species) AND author:darwin`)
+ */
+var compose = module.exports.compose = function(fields, terms, operators) {
+    fields = _.flatten([fields]);
+    terms = _.flatten([terms]);
+    operators = _.flatten([operators]);
+
+    var query = '';
+    var previousOperator = null;
+
+    _.each(terms, function(term, index) {
+        term = String(term || '').trim();
+        if (!term) {
+            return;
+        }
+
+        // Group terms that consist of multiple words
+        var fragment = /\s/.test(term) ? '(' + term + ')' : term;
+        if (config.constants.fields[fields[index]]) {
+            fragment = fields[index] + ':' + fragment;
+        }
+
+        if (!query) {
+            query = fragment;
+            return;
+        }
+
+        // The first row doesn't have an operator
+        var operator = String(operators[index - 1] || '').toUpperCase();
+        operator = _.contains(OPERATORS, operator) ? operator : 'AND';
+        if (previousOperator && previousOperator !== operator) {
+            query = '(' + query + ')';
+        }
+        query += ' ' + operator + ' ' + fragment;
+        previousOperator = operator;
+    });
+
+    return query;
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that creates an operator node, leaving out empty operands. Nodes with the same operator are merged and
+ * an AND or OR node with a single operand is replaced by that operand.
+ *
+ * @param  {String}             operator    The boolean operator (AND|OR|NOT)
+ * @param  {Term[]|Operator[]}  operands    Collection of terms and operator nodes
+ * @return {Term|Operator}                  The created node, `null` if there are no operands left
+ * @api private
+ */
+var _createOperator = function(operator, operands) {
+    operands = _.compact(operands);
+    if (!operands.length) {
+        return null;
+    } else if (operands.length === 1 && operator !== 'NOT') {
+        return operands[0];
+    }
+
+    operands = _.flatten(_.map(operands, function(operand) {
+        if (operator !== 'NOT' && operand.type === 'operator' && operand.operator === operator) {
+            return operand.operands;
+        }
+        return [operand];
+    }), true);
+
+    return new QueryModel.Operator(operator, operands);
+};
+
+/**
+ * Function that parses operands separated by OR
+ *
+ * @param  {Object}             state       Object containing the `tokens` and the current `position`
+ * @param  {String}             field       The field that applies to the terms, `null` for all fields
+ * @return {Term|Operator}                  The parsed node
+ * @api private
+ */
+var _parseOr = function(state, field) {
+    var operands = [_parseAnd(state, field)];
+    while (_isToken(state.tokens[state.position], 'operator', 'OR')) {
+        state.position++;
+        operands.push(_parseAnd(state, field));
+    }
+    return _createOperator('OR', operands);
+};
+
+/**
+ * Function that parses operands that have to match all, whether they are separated by AND or not
+ *
+ * @param  {Object}             state       Object containing the `tokens` and the current `position`
+ * @param  {String}             field       The field that applies to the terms, `null` for all fields
+ * @return {Term|Operator}                  The parsed node
+ * @api private
+ */
+var _parseAnd = function(state, field) {
+    var operands = [];
+    while (state.position < state.tokens.length) {
+        var token = state.tokens[state.position];
+        if (token.type === ')' || _isToken(token, 'operator', 'OR')) {
+            break;
+        } else if (_isToken(token, 'operator', 'AND')) {
+            state.position++;
+        } else {
+            operands.push(_parseUnary(state, field));
+        }
+    }
+    return _createOperator('AND', operands);
+};
+
+/**
+ * Function that parses a single operand: a term, a phrase, a group between parentheses or a negated operand
+ *
+ * @param  {Object}             state       Object containing the `tokens` and the current `position`
+ * @param  {String}             field       The field that applies to the terms, `null` for all fields
+ * @return {Term|Operator}                  The parsed node, `null` if nothing could be parsed
+ * @api private
+ */
+var _parseUnary = function(state, field) {
+    var token = state.tokens[state.position++];
+    if (!token) {
+        return null;
+    }
+
+    switch (token.type) {
+        case 'operator':
+            return token.value === 'NOT' ? _createOperator('NOT', [_parseUnary(state, field)]) : null;
+
+        // A field applies to the next operand, which can be a group (e.g. `title:(origin species)`)
+        case 'field':
+            return _parseUnary(state, token.value);
+
+        case '(':
+            var group = _parseOr(state, field);
+            if (_isToken(state.tokens[state.position], ')')) {
+                state.position++;
+            }
+            return group;
+
+        case 'phrase':
+            return token.value ? new QueryModel.Term(field, token.value, true) : null;
+
+        case 'word':
+            return new QueryModel.Term(field, token.value, false);
+    }
+    return null;
+};
+
+/**
+ * Function that checks if a token is of a specific type
+ *
+ * @param  {Object}     token       The token
+ * @param  {String}     type        The expected type of the token (e.g. 'operator')
+ * @param  {String}     [value]     The expected value of the token (e.g. 'OR')
+ * @return {Boolean}                Whether the token matches
+ * @api private
+ */
+var _isToken = function(token, type, value) {
+    return !!token && token.type === type && (!value || token.value === value);
+};
+
+/**
+ * Function that splits a query into tokens
+ *
+ * @param  {String}     query       The query
+ * @return {Object[]}               Collection of tokens, each containing a `type` (word|phrase|field|operator|(|)) and a `value`
+ * @api private
+ */
+var _tokenize = function(query) {
+    var tokens = [];
+    var position = 0;
+
+    while (position < query.length) {
+        var character = query.charAt(position);
+
+        // Whitespace separates tokens
+        if (/\s/.test(character)) {
+            position++;
+
+        } else if (character === '(' || character === ')') {
+            tokens.push({'type': character});
+            position++;
+
+        // A phrase runs until the next double quote, or until the end of the query if it isn't closed
+        } else if (character === '"') {
+            var end = query.indexOf('"', position + 1);
+            end = end < 0 ? query.length : end;
+            tokens.push({'type': 'phrase', 'value': query.slice(position + 1, end).trim()});
+            position = end + 1;
+
+        } else {
+            var word = query.slice(position).match(/^[^\s()"]+/)[0];
+            position += word.length;
+
+            if (_.contains(OPERATORS, word)) {
+                tokens.push({'type': 'operator', 'value': word});
+                continue;
+            }
+
+            // A leading dash negates the word, phrase or group that follows
+            if (word.charAt(0) === '-') {
+                var next = query.charAt(position);
+                if (word.length > 1 || next === '"' || next === '(') {
+                    tokens.push({'type': 'operator', 'value': 'NOT'});
+                }
+                word = word.slice(1);
+            }
+
+            // Only known fields are recognised, so other words containing a colon are searched as they are
+            var match = word.match(/^([a-z]+):(.*)$/i);
+            if (match && config.constants.fields[match[1].toLowerCase()]) {
+                tokens.push({'type': 'field', 'value': match[1].toLowerCase()});
+                word = match[2];
+            }
+
+            if (word) {
+                tokens.push({'type': 'word', 'value': word});
+            }
+        }
+    }
+
+    return tokens;
+};
@@ -20,9 +20,16 @@ var config = require('../../config');
 
 var log = require('./logger').logger();
 
+var FacetModel = require('../models/search/facet');
 var PageModel = require('../models/search/results').Page;
 var PaginationModel = require('../models/search/results').Pagination;
 
+// The raw label of the publication year facet
+var YEAR_FACET = module.exports.YEAR_FACET = 'year';
+
+// The year that is used when only the end of a year range has been specified
+var MIN_YEAR = 1;
+
 ////////////////////////
 //  PUBLIC FUNCTIONS  //
 ////////////////////////
@@ -45,51 +52,58 @@ var addLeadingZero = module.exports.addLeadingZero = function(digit) {
 };
 
 /**
- * Function that constructs a facet url
+ * Function that returns the values that have been selected for a facet. Excluded values are prefixed with a `-` in the query parameters.
  *
  * @param  {Object}  parameters    The query parameters
- * @param  {String}  facets        The specified facet name (e.g. format, author,...)
- * @param  {String}  property      The property that should be applied to the url (e.g. book, journal,...)
- * @return {String}                The created facet querystring
+ * @param  {String}  facet         The specified facet name (e.g. format, author,...)
+ * @return {Object}                Object containing the `include`d and the `exclude`d values of the facet
  */
-var createFacetUrl = module.exports.createFacetUrl = function(parameters, facet, property) {
-
-    // Instantiate a new variable for the url
-    var url = null;
-
-    // Construct a querystring by using the existing parameters
-    try {
-
-        // Create a duplicate of the parameters
-        var params = _.clone(parameters);
-
-        // Convert the parameter key to lowercase characters
-        try {
-            facet = String(facet).toLowerCase();
-        } catch(error) {
-            log().error(error);
+var getFacetValues = module.exports.getFacetValues = function(parameters, facet) {
+    var values = {'include': [], 'exclude': []};
+    _.each(_.flatten([parameters[facet]]), function(value) {
+        if (value === undefined || value === null || value === '') {
+            return;
         }
+        value = String(value);
 
-        // Reset the page parameter
-        if (params['page']) {
-            params['page'] = 1;
+        // Selecting all the formats is the same as not filtering on a format
+        if (facet === 'format' && value === 'all') {
+            return;
         }
 
-        // Remove the facet parameter
-        if (params['facet']) {
-            delete params['facet'];
+        if (value.charAt(0) === '-' && value.length > 1) {
+            values.exclude.push(value.substr(1));
+        } else {
+            values.include.push(value);
         }
+    });
+    values.include = _.uniq(values.include);
+    values.exclude = _.uniq(values.exclude);
+    return values;
+};
 
-        params[facet] = property;
-
-        // Create a querystring
-        url = querystring.stringify(params);
+/**
+ * Function that constructs a facet url. The value is added to the values that have already been selected for the facet.
+ *
+ * @param  {Object}  parameters    The query parameters
+ * @param  {String}  facets        The specified facet name (e.g. format, author,...)
+ * @param  {String}  property      The property that should be applied to the url (e.g. book, journal,...)
+ * @return {String}                The created facet querystring
+ */
+var createFacetUrl = module.exports.createFacetUrl = function(parameters, facet, property) {
+    return _createFacetValueUrl(parameters, facet, property, false);
+};
 
-    } catch(error) {
-        log().error(error);
-        return url;
-    }
-    return url;
+/**
+ * Function that constructs a url that excludes a facet value from the results
+ *
+ * @param  {Object}  parameters    The query parameters
+ * @param  {String}  facets        The specified facet name (e.g. format, author,...)
+ * @param  {String}  property      The property that should be excluded (e.g. book, journal,...)
+ * @return {String}                The created facet querystring
+ */
+var createFacetExcludeUrl = module.exports.createFacetExcludeUrl = function(parameters, facet, property) {
+    return _createFacetValueUrl(parameters, facet, property, true);
 };
 
 /**
@@ -116,25 +130,181 @@ var createFacetMoreUrl = module.exports.createFacetMoreUrl = function(parameters
 };
 
 /**
- * Function that creates an overview of all the selected facets and their values
+ * Function that constructs the url to sort the results
+ *
+ * @param  {Object}  parameters    The query parameters
+ * @param  {String}  sort          The sort option (e.g. newest, title,...)
+ * @return {String}                The created sort querystring
+ */
+var createSortUrl = module.exports.createSortUrl = function(parameters, sort) {
+    var params = _.clone(parameters);
+    // Start from the first page, since the order changes
+    delete params['page'];
+    params['sort'] = sort;
+    return querystring.stringify(params);
+};
+
+/**
+ * Function that constructs the url to show a different number of results per page
+ *
+ * @param  {Object}  parameters    The query parameters
+ * @param  {Number}  pageSize      The number of results per page (e.g. 50)
+ * @return {String}                The created page size querystring
+ */
+var createPageSizeUrl = module.exports.createPageSizeUrl = function(parameters, pageSize) {
+    var params = _.clone(parameters);
+    // Start from the first page, since the pages change
+    delete params['page'];
+    params['pagesize'] = pageSize;
+    return querystring.stringify(params);
+};
+
+/**
+ * Function that constructs the url to filter the results on a range of publication years
+ *
+ * @param  {Object}  parameters    The query parameters
+ * @param  {Number}  from          The first year of the range (e.g. 1850)
+ * @param  {Number}  to            The last year of the range (e.g. 1859)
+ * @return {String}                The created year range querystring
+ */
+var createYearRangeUrl = module.exports.createYearRangeUrl = function(parameters, from, to) {
+    var params = _.omit(parameters, 'facet', 'page');
+    params['yearfrom'] = from;
+    params['yearto'] = to;
+    return querystring.stringify(params);
+};
+
+/**
+ * Function that returns the range of publication years the results should be filtered on
+ *
+ * @param  {Object}  parameters    The query parameters
+ * @return {Object}                Object containing the `from` and `to` year, `null` if no range has been specified
+ */
+var getYearRange = module.exports.getYearRange = function(parameters) {
+    if (!parameters['yearfrom'] && !parameters['yearto']) {
+        return null;
+    }
+    return {
+        'from': parameters['yearfrom'] || MIN_YEAR,
+        'to': parameters['yearto'] || new Date().getFullYear()
+    };
+};
+
+/**
+ * Function that returns the buckets of the publication year facet: one bucket for everything before
+ * `config.nodes['find-a-resource'].settings.yearFacet.from` and one bucket for every decade after it
+ *
+ * @return {Object[]}              Collection of objects containing the `from` and `to` year and the `label` of each bucket
+ */
+var getYearBuckets = module.exports.getYearBuckets = function() {
+    var firstDecade = config.nodes['find-a-resource'].settings.yearFacet.from;
+    var buckets = [{'from': MIN_YEAR, 'to': firstDecade - 1, 'label': 'Before ' + firstDecade}];
+    for (var decade = firstDecade; decade <= new Date().getFullYear(); decade += 10) {
+        buckets.push({'from': decade, 'to': decade + 9, 'label': decade + 's'});
+    }
+    return buckets;
+};
+
+/**
+ * Function that creates the publication year facet
+ *
+ * @param  {Object}     parameters    The query parameters
+ * @param  {Number[]}   counts        The number of results in each of the year buckets
+ * @return {FacetType}                The created facet type, `null` if none of the buckets contain results
+ */
+var createYearFacet = module.exports.createYearFacet = function(parameters, counts) {
+    var facets = [];
+    _.each(getYearBuckets(), function(bucket, index) {
+        if (counts[index]) {
+            facets.push(new FacetModel.Facet(bucket.label, counts[index], createYearRangeUrl(parameters, bucket.from, bucket.to), null));
+        }
+    });
+
+    if (!facets.length) {
+        return null;
+    }
+    return new FacetModel.FacetType('Publication year', YEAR_FACET, facets.length, 0, null, facets);
+};
+
+/**
+ * Function that creates an overview of all the selected facets and their values. Every value can be removed on its own.
  *
  * @param  {Object}  parameters    The query parameters
  * @return {Array}                  The returned facetsOverview collection
  */
 var createFacetOverview = module.exports.createFacetOverview = function(parameters) {
     var overview = [];
-    var toIgnore = ['api', 'facet', 'id', 'page', 'q'];
+    var toIgnore = ['api', 'facet', 'group', 'id', 'page', 'pagesize', 'q', 'sort', 'yearfrom', 'yearto'];
     _.each(parameters, function(value, key) {
-        if (_.indexOf(toIgnore, key) < 0) {
-            var url = querystring.stringify(_.omit(parameters, key));
-            if (!(key === 'format' && value === 'all')) {
-                overview.push({'label': value, 'url': url});
-            }
+        // Filters are shown by their label (e.g. `peerreviewed=true` as `Peer-reviewed`)
+        var filter = _getFilter(key);
+        if (filter) {
+            overview.push({'label': filter.label, 'url': querystring.stringify(_.omit(parameters, key, 'page')), 'isExcluded': false});
+
+        } else if (_.indexOf(toIgnore, key) < 0) {
+            var values = getFacetValues(parameters, key);
+            _.each(values.include, function(property) {
+                overview.push({'label': property, 'url': _createFacetRemoveUrl(parameters, key, property), 'isExcluded': false});
+            });
+            _.each(values.exclude, function(property) {
+                overview.push({'label': 'Not: ' + property, 'url': _createFacetRemoveUrl(parameters, key, '-' + property), 'isExcluded': true});
+            });
         }
     });
+
+    // The year range is shown as a single filter
+    if (parameters['yearfrom'] || parameters['yearto']) {
+        var label = _.compact([parameters['yearfrom'], parameters['yearto']]).join(' - ');
+        if (!parameters['yearto']) {
+            label = 'From ' + parameters['yearfrom'];
+        } else if (!parameters['yearfrom']) {
+            label = 'Until ' + parameters['yearto'];
+        }
+        overview.push({'label': label, 'url': querystring.stringify(_.omit(parameters, 'yearfrom', 'yearto')), 'isExcluded': false});
+    }
     return overview;
 };
 
+/**
+ * Function that returns the number of results per page, one of the page sizes in the config. Engines that can't return
+ * that many results per page return their maximum instead (e.g. Summon returns 50 results at most).
+ *
+ * @param  {Object}     parameters      The query parameters
+ * @param  {String}     [engine]        The name of the engine (e.g. 'summon'). Optional, all engines are taken into account when omitted
+ * @return {Number}                     The number of results per page (e.g. 25)
+ */
+var getPageSize = module.exports.getPageSize = function(parameters, engine) {
+    var settings = config.nodes['find-a-resource'].settings.paging;
+    var pageSize = parseInt(parameters.pagesize, 10);
+    if (!_.contains(settings.sizes, pageSize)) {
+        pageSize = settings.defaultSize;
+    }
+
+    var maxPageSize = _.min(_.map(_getPagingSettings(engine), function(paging) { return paging.maxPageSize; }));
+    return Math.min(pageSize, maxPageSize);
+};
+
+/**
+ * Function that returns the last page of results an engine can return, since engines refuse to page through all the results
+ *
+ * @param  {Object}     parameters      The query parameters
+ * @param  {String}     [engine]        The name of the engine (e.g. 'summon'). Optional, all engines are taken into account when omitted
+ * @return {Number}                     The last page that can be requested (e.g. 40)
+ */
+var getPageLimit = module.exports.getPageLimit = function(parameters, engine) {
+    return Math.max(1, Math.floor(getMaxRecords(engine) / getPageSize(parameters, engine)));
+};
+
+/**
+ * Function that returns the number of results an engine can page through
+ *
+ * @param  {String}     [engine]        The name of the engine (e.g. 'summon'). Optional, all engines are taken into account when omitted
+ * @return {Number}                     The number of results that can be paged through (e.g. 1000)
+ */
+var getMaxRecords = module.exports.getMaxRecords = function(engine) {
+    return _.min(_.map(_getPagingSettings(engine), function(paging) { return paging.maxRecords; }));
+};
+
 /**
  * Function that creates a pagination model
  *
@@ -178,6 +348,111 @@ var createPaginationModel = module.exports.createPaginationModel = function(para
 //  INTERNAL FUNCTIONS  //
 //////////////////////////
 
+/**
+ * Function that constructs a url that includes or excludes a facet value. The opposite selection of the same value is removed.
+ *
+ * @param  {Object}   parameters    The query parameters
+ * @param  {String}   facet         The specified facet name (e.g. format, author,...)
+ * @param  {String}   property      The property that should be applied to the url (e.g. book, journal,...)
+ * @param  {Boolean}  isExcluded    Whether the property should be excluded from the results
+ * @return {String}                 The created facet querystring
+ * @api private
+ */
+var _createFacetValueUrl = function(parameters, facet, property, isExcluded) {
+
+    // Instantiate a new variable for the url
+    var url = null;
+
+    // Construct a querystring by using the existing parameters
+    try {
+
+        // Create a duplicate of the parameters
+        var params = _.clone(parameters);
+
+        // Convert the parameter key to lowercase characters
+        try {
+            facet = String(facet).toLowerCase();
+        } catch(error) {
+            log().error(error);
+        }
+
+        // Reset the page parameter
+        if (params['page']) {
+            params['page'] = 1;
+        }
+
+        // Remove the facet parameter
+        if (params['facet']) {
+            delete params['facet'];
+        }
+
+        // Keep the values that have already been selected, minus the one we're changing
+        property = String(property);
+        var values = getFacetValues(params, facet);
+        var selected = _.map(_.without(values.include, property), String);
+        selected = selected.concat(_.map(_.without(values.exclude, property), function(value) { return '-' + value; }));
+        selected.push(isExcluded ? '-' + property : property);
+
+        params[facet] = (selected.length === 1) ? selected[0] : selected;
+
+        // Create a querystring
+        url = querystring.stringify(params);
+
+    } catch(error) {
+        log().error(error);
+        return url;
+    }
+    return url;
+};
+
+/**
+ * Function that returns the paging limits of an engine
+ *
+ * @param  {String}     [engine]        The name of the engine (e.g. 'summon'). The limits of all the engines are returned when it isn't a known engine
+ * @return {Object[]}                   Collection of objects containing the `maxPageSize` and the `maxRecords` of the engines
+ * @api private
+ */
+var _getPagingSettings = function(engine) {
+    if (config.constants.engines[engine]) {
+        return [config.constants.engines[engine].paging];
+    }
+    return _.compact(_.pluck(_.values(config.constants.engines), 'paging'));
+};
+
+/**
+ * Function that returns the settings of a filter that is shown as a checkbox (e.g. `peerreviewed`)
+ *
+ * @param  {String}  name          The name of the filter
+ * @return {Object}                Object containing the `label` of the filter, `null` if none of the engines has a filter with that name
+ * @api private
+ */
+var _getFilter = function(name) {
+    var engine = _.find(config.constants.engines, function(settings) {
+        return settings.filters && _.has(settings.filters, name);
+    });
+    return engine ? engine.filters[name] : null;
+};
+
+/**
+ * Function that constructs a url without one of the selected values of a facet
+ *
+ * @param  {Object}  parameters    The query parameters
+ * @param  {String}  facet         The specified facet name (e.g. format, author,...)
+ * @param  {String}  property      The selected value that should be removed, prefixed with a `-` if it's excluded
+ * @return {String}                The created querystring
+ * @api private
+ */
+var _createFacetRemoveUrl = function(parameters, facet, property) {
+    var params = _.omit(parameters, 'page');
+    var remaining = _.without(_.map(_.flatten([params[facet]]), String), property);
+    if (!remaining.length) {
+        delete params[facet];
+    } else {
+        params[facet] = (remaining.length === 1) ? remaining[0] : remaining;
+    }
+    return querystring.stringify(params);
+};
+
 /**
  * Function that determines the page range in the pagination
  *
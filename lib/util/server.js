@@ -21,8 +21,11 @@ var util = require('util');
 var config = require('../../config');
 var log = require('./logger').logger();
 
+var AvailabilityRESTAPI = require('../controllers/api/availability/rest');
 var LibrariesAPI = require('../controllers/api/libraries');
 var SearchRESTAPI = require('../controllers/api/search/rest');
+var SRURESTAPI = require('../controllers/api/sru/rest');
+var UnAPIRESTAPI = require('../controllers/api/unapi/rest');
 
 var AccountController = require('../controllers/client/nodes/AccountController').AccountController;
 var BlogsController = require('../controllers/client/nodes/BlogsController').BlogsController;
@@ -98,11 +101,19 @@ var registerRoutes = function(app) {
     // API routes //
     ////////////////
 
+    app.get('/api/availability/:api/:extId', AvailabilityRESTAPI.getAvailability);
+    app.post('/api/availability', express.json(), AvailabilityRESTAPI.getAvailabilityForItems);
     app.get('/api/libraries', LibrariesAPI.getLibraries);
     app.get('/api/libraries/:slug', LibrariesAPI.getLibraryBySlug);
     app.get('/api/search', SearchRESTAPI.getResults);
     app.get('/api/search/facets', SearchRESTAPI.getFacetsForResults);
+    app.get('/api/search/suggest', SearchRESTAPI.getSuggestions);
+    app.get('/api/search/cache', SearchRESTAPI.getCacheStats);
+    app.delete('/api/search/cache', SearchRESTAPI.purgeCache);
     app.get('/api/search/:api', SearchRESTAPI.getResultById);
+    app.get('/api/search/:api/cite', SearchRESTAPI.getCitations);
+    app.get('/sru', SRURESTAPI.getResponse);
+    app.get('/unapi', UnAPIRESTAPI.getResponse);
 
     ///////////////////
     // Client routes //
@@ -125,7 +136,13 @@ var registerRoutes = function(app) {
     var resourcesController = new ResourcesController();
     app.get('/find-a-resource', resourcesController.getContent);
     app.get('/find-a-resource/facets', resourcesController.getFacetsForResults);
+    app.get('/find-a-resource/more', resourcesController.getMoreResults);
+    app.get('/find-a-resource/export', resourcesController.exportResults);
+    app.get('/find-a-resource/atom', resourcesController.getAtomFeed);
+    app.get('/find-a-resource/rss', resourcesController.getRSSFeed);
+    app.get('/opensearch.xml', resourcesController.getOpenSearchDescription);
     app.get('/find-a-resource/:api/:id', resourcesController.getResourceDetail);
+    app.get('/find-a-resource/:api/:id/export', resourcesController.exportResource);
 
     // My account
     var accountController = new AccountController();
@@ -0,0 +1,373 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+var citation = require('./citation');
+var libUtil = require('./util');
+
+var AvailabilityAPI = require('../controllers/api/availability');
+
+// The schema.org type of each citation type
+var RESOURCE_TYPES = {
+    'article': 'ScholarlyArticle',
+    'book': 'Book',
+    'generic': 'CreativeWork',
+    'journal': 'Periodical',
+    'manuscript': 'CreativeWork',
+    'thesis': 'Thesis'
+};
+
+// The schema.org availability of each availability status of a branch
+var AVAILABILITY = {
+    'available': 'http://schema.org/InStock',
+    'on-loan': 'http://schema.org/OutOfStock',
+    'unavailable': 'http://schema.org/InStoreOnly'
+};
+
+// The days of the week, as they are abbreviated in the opening hours
+var DAYS = {
+    'mon': 'Monday',
+    'tue': 'Tuesday',
+    'wed': 'Wednesday',
+    'thu': 'Thursday',
+    'fri': 'Friday',
+    'sat': 'Saturday',
+    'sun': 'Sunday'
+};
+
+// A day of the week (e.g. `Mon`, `Tues.`, `Thursday`)
+var DAY = /\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?/gi;
+
+// A range of opening hours (e.g. `9am - 5.30pm`, `09:00-17:30`, `9.00 to 1.00`)
+var TIME_RANGE = /(\d{1,2})(?:[.:](\d{2}))?\s*(am|pm)?\s*(?:-|\u2013|to)\s*(\d{1,2})(?:[.:](\d{2}))?\s*(am|pm)?/i;
+
+// A UK postcode (e.g. `CB3 9DR`)
+var POSTCODE = /\b([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})\b/;
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that describes a library as a schema.org `Library`
+ *
+ * @see http://schema.org/Library
+ *
+ * @param  {Library}    library     The library
+ * @return {Object}                 The JSON-LD description of the library
+ */
+var createLibraryData = module.exports.createLibraryData = function(library) {
+    var data = {
+        '@context': 'http://schema.org',
+        '@type': 'Library',
+        '@id': libUtil.getServerUrl('/find-a-library/' + library.url),
+        'name': library.name,
+        'url': libUtil.getServerUrl('/find-a-library/' + library.url),
+        'address': _createPostalAddress(library.address),
+        'geo': null,
+        'telephone': _first(library.telephone),
+        'faxNumber': _first(library.fax),
+        'email': _first(library.email),
+        'openingHoursSpecification': parseOpeningHours(library.opening_hours),
+        'sameAs': _.compact(_.flatten([library.web, _.map(library.twitter, _getTwitterUrl), library.facebook]))
+    };
+
+    if (library.coords && library.coords.lat && library.coords.lng) {
+        data.geo = {
+            '@type': 'GeoCoordinates',
+            'latitude': parseFloat(library.coords.lat),
+            'longitude': parseFloat(library.coords.lng)
+        };
+    }
+
+    return _compact(data);
+};
+
+/**
+ * Function that describes a resource as a schema.org `Book`, `ScholarlyArticle`, `Periodical` or other creative work.
+ * Each library that holds the resource is listed as an offer to lend it.
+ *
+ * @see http://schema.org/Book
+ * @see http://www.w3.org/community/schemabibex/wiki/Holdings_via_Offer
+ *
+ * @param  {Result}     result      The resource
+ * @return {Object}                 The JSON-LD description of the resource
+ */
+var createResourceData = module.exports.createResourceData = function(result) {
+    var data = citation.getCitationData(result);
+
+    var resource = {
+        '@context': 'http://schema.org',
+        '@type': RESOURCE_TYPES[data.type],
+        '@id': data.url,
+        'url': data.url,
+        'name': data.title,
+        'author': _.map(data.authors, function(author) {
+            if (author.literal) {
+                return {'@type': 'Organization', 'name': author.literal};
+            }
+            return {'@type': 'Person', 'name': _.compact([author.given, author.family]).join(' '), 'familyName': author.family, 'givenName': author.given};
+        }),
+        'datePublished': _getDate(data),
+        'publisher': data.publisher ? {'@type': 'Organization', 'name': data.publisher} : null,
+        'description': data.abstract,
+        'keywords': data.keywords.join(', '),
+        'image': _first(result.thumbnails),
+        'sameAs': data.doi ? 'http://dx.doi.org/' + data.doi : null,
+        'offers': _createOffers(result.availability)
+    };
+
+    if (data.type === 'article') {
+        resource.isPartOf = data.containerTitle ? {'@type': 'Periodical', 'name': data.containerTitle, 'issn': data.issn[0]} : null;
+        resource.pageStart = data.startPage;
+        resource.pageEnd = data.endPage;
+    } else if (data.type === 'journal') {
+        resource.issn = data.issn[0];
+    } else if (data.type === 'book') {
+        resource.isbn = data.isbn.length > 1 ? data.isbn : data.isbn[0];
+    }
+
+    return _compact(resource);
+};
+
+/**
+ * Function that parses the opening hours of a library into opening hours specifications. Lines that don't
+ * mention a day and a range of hours (e.g. `Closed on bank holidays`) are ignored.
+ *
+ * @see http://schema.org/OpeningHoursSpecification
+ *
+ * @param  {String}     openingHours    The opening hours as HTML (e.g. `Mon - Fri: 9am - 5.30pm<br>Sat: 9am - 12.30pm`)
+ * @return {Object[]}                   Collection of opening hours specifications
+ */
+var parseOpeningHours = module.exports.parseOpeningHours = function(openingHours) {
+    var lines = String(openingHours || '')
+        .replace(/<br\s*\/?>|<\/(p|li|div|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&ndash;|&mdash;/g, '-')
+        .replace(/&amp;/g, '&')
+        .split(/\n/);
+
+    return _.compact(_.map(lines, function(line) {
+        var time = line.match(TIME_RANGE);
+        if (!time) {
+            return null;
+        }
+
+        var days = _parseDays(line.substr(0, time.index));
+        if (!days.length) {
+            return null;
+        }
+
+        var opens = _parseTime(time[1], time[2], time[3]);
+        var closes = _parseTime(time[4], time[5], time[6] || (time[3] && time[3].toLowerCase() === 'pm' ? 'pm' : null));
+
+        // Closing times without an indication of the morning or the afternoon are in the afternoon (e.g. `9.00 - 5.30`)
+        if (!time[6] && closes <= opens) {
+            closes = _parseTime(parseInt(time[4], 10) + 12, time[5]);
+        }
+
+        return {
+            '@type': 'OpeningHoursSpecification',
+            'dayOfWeek': _.map(days, function(day) { return 'http://schema.org/' + day; }),
+            'opens': opens,
+            'closes': closes
+        };
+    }));
+};
+
+/**
+ * Function that serializes JSON-LD data so it can be embedded in a `<script type="application/ld+json">` element
+ *
+ * @param  {Object}     data        The JSON-LD data
+ * @return {String}                 The serialized data, in which the characters that could end the script element are escaped
+ */
+var serialize = module.exports.serialize = function(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c').replace(/>/g, '\\u003e').replace(/&/g, '\\u0026');
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that removes the properties without a value
+ *
+ * @param  {Object}     data        The JSON-LD data
+ * @return {Object}                 The data without the empty properties
+ * @api private
+ */
+var _compact = function(data) {
+    return _.omit(data, function(value) {
+        return value === null || value === undefined || value === '' || (_.isArray(value) && !value.length);
+    });
+};
+
+/**
+ * Function that returns the first value of a property that can either be a single value or a collection
+ *
+ * @param  {String|String[]}    value       The value of the property
+ * @return {String}                         The first value, `null` if there is none
+ * @api private
+ */
+var _first = function(value) {
+    value = _.isArray(value) ? _.compact(value)[0] : value;
+    return value ? String(value).trim() : null;
+};
+
+/**
+ * Function that returns the date of publication as an ISO 8601 date
+ *
+ * @param  {Object}     data        The normalised citation data of the resource
+ * @return {String}                 The date of publication (e.g. `1859`, `2001-05` or `2001-05-03`), `null` if it's unknown
+ * @api private
+ */
+var _getDate = function(data) {
+    if (!data.year) {
+        return null;
+    }
+    var parts = [String(data.year)];
+    if (data.month) {
+        parts.push(_pad(data.month));
+        if (data.day) {
+            parts.push(_pad(data.day));
+        }
+    }
+    return parts.join('-');
+};
+
+/**
+ * Function that pads a number with a leading zero
+ *
+ * @param  {Number}     value       The number (e.g. 5)
+ * @return {String}                 The padded number (e.g. `05`)
+ * @api private
+ */
+var _pad = function(value) {
+    return value < 10 ? '0' + value : String(value);
+};
+
+/**
+ * Function that creates the postal address of a library. The postcode is taken from the address lines, the rest is the street address.
+ *
+ * @param  {String[]}   address     The address lines of the library (e.g. `['West Road', 'Cambridge CB3 9DR']`)
+ * @return {Object}                 The postal address, `null` if the library has no address
+ * @api private
+ */
+var _createPostalAddress = function(address) {
+    var lines = _.compact(_.flatten([address]));
+    if (!lines.length) {
+        return null;
+    }
+
+    var text = lines.join(', ');
+    var postcode = text.match(POSTCODE);
+    if (postcode) {
+        text = text.replace(postcode[0], '');
+    }
+
+    return _compact({
+        '@type': 'PostalAddress',
+        'streetAddress': text.replace(/\s+,/g, ',').replace(/^[\s,]+|[\s,]+$/g, '').replace(/\s+/g, ' '),
+        'postalCode': postcode ? postcode[1] : null
+    });
+};
+
+/**
+ * Function that returns the profile url of a Twitter account
+ *
+ * @param  {String}     twitter     The Twitter account (e.g. `@CamUniLib` or `https://twitter.com/CamUniLib`)
+ * @return {String}                 The profile url (e.g. `https://twitter.com/CamUniLib`)
+ * @api private
+ */
+var _getTwitterUrl = function(twitter) {
+    if (!twitter || /^https?:\/\//.test(twitter)) {
+        return twitter || null;
+    }
+    return 'https://twitter.com/' + String(twitter).replace(/^@/, '').trim();
+};
+
+/**
+ * Function that returns the days a line of opening hours applies to
+ *
+ * @param  {String}     text        The part of the line before the opening hours (e.g. `Mon - Fri:` or `Saturday & Sunday`)
+ * @return {String[]}               The days (e.g. `['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']`)
+ * @api private
+ */
+var _parseDays = function(text) {
+    var keys = _.keys(DAYS);
+    var days = [];
+    var previous = null;
+    var match = null;
+
+    DAY.lastIndex = 0;
+    while ((match = DAY.exec(text))) {
+        var index = _.indexOf(keys, match[1].toLowerCase());
+
+        // Expand the ranges of days (e.g. `Mon - Fri` or `Monday to Friday`)
+        var separator = previous ? text.substring(previous.end, match.index) : '';
+        if (previous && /^\s*(-|\u2013|to)\s*$/i.test(separator)) {
+            for (var day = previous.index + 1; day < index; day++) {
+                days.push(DAYS[keys[day]]);
+            }
+        }
+
+        days.push(DAYS[keys[index]]);
+        previous = {'index': index, 'end': match.index + match[0].length};
+    }
+    return _.uniq(days);
+};
+
+/**
+ * Function that formats a time of the opening hours as `HH:MM`
+ *
+ * @param  {String}     hours       The hours (e.g. `9`)
+ * @param  {String}     [minutes]   The minutes (e.g. `30`). Optional, defaults to `00`
+ * @param  {String}     [meridiem]  Whether the time is in the morning or the afternoon (am|pm). Optional
+ * @return {String}                 The formatted time (e.g. `09:30`)
+ * @api private
+ */
+var _parseTime = function(hours, minutes, meridiem) {
+    hours = parseInt(hours, 10) % 24;
+    if (meridiem && meridiem.toLowerCase() === 'pm' && hours < 12) {
+        hours += 12;
+    } else if (meridiem && meridiem.toLowerCase() === 'am' && hours === 12) {
+        hours = 0;
+    }
+    return _pad(hours) + ':' + (minutes || '00');
+};
+
+/**
+ * Function that lists the libraries that hold a resource as offers to lend it
+ *
+ * @param  {Branches}   availability    The branches that hold the resource
+ * @return {Object[]}                   Collection of offers
+ * @api private
+ */
+var _createOffers = function(availability) {
+    var branches = (availability && availability.branches) || [];
+    return _.map(branches, function(branch) {
+        var status = AvailabilityAPI.summariseAvailability({'totalBranches': 1, 'branches': [branch]}).status;
+        return _compact({
+            '@type': 'Offer',
+            'businessFunction': 'http://purl.org/goodrelations/v1#LeaseOut',
+            'availability': AVAILABILITY[status] || null,
+            'availableAtOrFrom': branch.location ? {'@type': 'Library', 'name': branch.location} : null,
+            'sku': branch.sublocation || null,
+            'inventoryLevel': parseInt(branch.itemCount, 10) > 0 ? {'@type': 'QuantitativeValue', 'value': parseInt(branch.itemCount, 10)} : null
+        });
+    });
+};
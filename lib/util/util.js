@@ -105,3 +105,89 @@ var putInArrayIfNotNull = module.exports.putInArrayIfNotNull = function(value) {
     }
     return value;
 };
+
+/**
+ * Function that returns the absolute url of a page on the gateway
+ *
+ * @param  {String}     path        The path of the page (e.g. `/find-a-resource`)
+ * @return {String}                 The absolute url (e.g. `http://localhost:5000/find-a-resource`)
+ */
+var getServerUrl = module.exports.getServerUrl = function(path) {
+    return config.server.protocol + '://' + config.server.host + ':' + config.server.port + (path || '');
+};
+
+/**
+ * Function that sends an error returned by one of the APIs. When a search engine is unavailable,
+ * the client is told when it can retry the request.
+ *
+ * @param  {Response}   res     The REST response object
+ * @param  {Object}     err     Object containing the error code, the error message and an optional `retryAfter`
+ */
+var sendError = module.exports.sendError = function(res, err) {
+    if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+    return res.send(err.code || 500, err.msg);
+};
+
+/**
+ * Function that escapes the characters that have a special meaning in XML
+ *
+ * @param  {String}     value       The value that needs to be escaped
+ * @return {String}                 The escaped value
+ */
+var escapeXML = module.exports.escapeXML = function(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+/**
+ * Function that calls an asynchronous function for every item in a collection, with a maximum number of calls running at the same time
+ *
+ * @param  {Array}      collection          The items that need to be processed
+ * @param  {Number}     limit               The maximum number of calls that can run at the same time
+ * @param  {Function}   iterator            Function that processes a single item. It receives the item and a standard callback function
+ * @param  {Function}   callback            Function that is invoked when all the items have been processed
+ * @param  {Array}      callback.results    The results of every call as `{'error': error, 'result': result}` objects, in the order of the collection
+ */
+var mapLimit = module.exports.mapLimit = function(collection, limit, iterator, callback) {
+    var results = new Array(collection.length);
+    var next = 0;
+    var running = 0;
+    var done = 0;
+
+    if (!collection.length) {
+        return callback(results);
+    }
+
+    /**
+     * Internal function that starts processing items until the limit has been reached
+     *
+     * @api private
+     */
+    var _startNext = function() {
+        while (running < limit && next < collection.length) {
+            _process(next++);
+        }
+    };
+
+    /**
+     * Internal function that processes a single item
+     *
+     * @param  {Number}     index       The index of the item in the collection
+     * @api private
+     */
+    var _process = function(index) {
+        running++;
+        iterator(collection[index], function(error, result) {
+            results[index] = {'error': error || null, 'result': result};
+            running--;
+            done++;
+            if (done === collection.length) {
+                return callback(results);
+            }
+            _startNext();
+        });
+    };
+
+    _startNext();
+};
@@ -16,6 +16,10 @@
 define([], function() {
     'use strict';
     return {
+        'availability': {
+            'maxItems': 50,
+            'url': '/api/availability'
+        },
         'constants': {
             'milesToMetres': 1609.344,
             'streetViewRadius': 50
@@ -23,6 +27,11 @@ define([], function() {
         'imagePaths': {
             'directionsMarker': '/public/images/directions-icon.png'
         },
+        'loadMore': {
+            'offset': 400,
+            'throttle': 200,
+            'url': '/find-a-resource/more'
+        },
         'localStorage': {
             'facetCollapse': 'cambridge_libraries_hidden_facets'
         },
@@ -33,6 +42,11 @@ define([], function() {
             'library-profile',
             'resource-detail',
             'using-our-libraries'
-        ]
+        ],
+        'searchSuggestions': {
+            'debounce': 250,
+            'minLength': 2,
+            'url': '/api/search/suggest'
+        }
     };
 });
@@ -0,0 +1,80 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+define([
+    'jquery',
+    'lodash',
+    'config'
+], function($, _, config) {
+    'use strict';
+
+    var AvailabilityBadges = function(options) {
+        this.$el = $(options.el);
+        this.initialize();
+    };
+
+    _.extend(AvailabilityBadges.prototype, {
+        'initialize': function() {
+            _.bindAll(this);
+            this.fetchAvailability();
+        },
+
+        'fetchAvailability': function() {
+            // Every engine is asked for the availability of its own records
+            var badgesByApi = _.groupBy(this.$el.toArray(), function(badge) {
+                return $(badge).data('api');
+            });
+
+            _.each(badgesByApi, function(badges, api) {
+                var ids = _.uniq(_.map(badges, function(badge) {
+                    return String($(badge).data('ext-id'));
+                }));
+
+                // Don't exceed the number of records that can be looked up at once
+                for (var i = 0; i < ids.length; i += config.availability.maxItems) {
+                    this.requestAvailability(api, ids.slice(i, i + config.availability.maxItems));
+                }
+            }, this);
+        },
+
+        'requestAvailability': function(api, ids) {
+            $.ajax({
+                'url': config.availability.url,
+                'type': 'POST',
+                'contentType': 'application/json',
+                'dataType': 'json',
+                'data': JSON.stringify({'api': api, 'ids': ids}),
+                'success': this.onAvailabilityReceived
+            });
+        },
+
+        'onAvailabilityReceived': function(response) {
+            _.each(response.items, function(item) {
+                // Records without a live status keep their static holdings only
+                if (!item.summary || !item.summary.label) {
+                    return;
+                }
+
+                this.$el.filter(function() {
+                    return $(this).data('api') === response.api && String($(this).data('ext-id')) === item.extId;
+                }).text(item.summary.label)
+                  .addClass('lg-availability-' + item.summary.status)
+                  .removeClass('hidden');
+            }, this);
+        }
+    });
+
+    return AvailabilityBadges;
+});
@@ -0,0 +1,104 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+define([
+    'jquery',
+    'lodash',
+    'config',
+    'view/availability-badges'
+], function($, _, config, AvailabilityBadges) {
+    'use strict';
+
+    var LoadMore = function(options) {
+        this.$el = $(options.el);
+        this.initialize();
+    };
+
+    _.extend(LoadMore.prototype, {
+        'initialize': function() {
+            _.bindAll(this);
+            if (!this.$el.length) {
+                return;
+            }
+
+            this.cursor = this.$el.data('cursor');
+            this.isLoading = false;
+
+            // The results are loaded while scrolling, so the pages aren't needed anymore
+            $('.js-pagination').addClass('hidden');
+            this.bindEvents();
+        },
+
+        'bindEvents': function() {
+            this.$el.on('click', '.js-load-more-btn', this.loadMore);
+            $(window).on('scroll', _.throttle(this.onScroll, config.loadMore.throttle));
+        },
+
+        'onScroll': function() {
+            // Only load the next results when the bottom of the list comes into view
+            var offset = this.$el.offset().top - $(window).scrollTop() - $(window).height();
+            if (offset < config.loadMore.offset) {
+                this.loadMore();
+            }
+        },
+
+        'loadMore': function() {
+            if (this.isLoading || !this.cursor) {
+                return;
+            }
+
+            this.isLoading = true;
+            this.$el.addClass('lg-loading');
+            $.ajax({
+                'url': config.loadMore.url + window.location.search,
+                'data': {'cursor': this.cursor},
+                'dataType': 'html',
+                'success': this.onResultsReceived,
+                'error': this.onResultsError
+            });
+        },
+
+        'onResultsReceived': function(response) {
+            // The results are rendered by the server, the same way as the results on the page
+            var $response = $($.parseHTML(response)).filter('.js-more-results');
+            var $results = $response.children();
+            $('.js-result-list').append($results);
+
+            // The availability of the new results is looked up like the availability of the results on the page
+            this.availabilityBadges = new AvailabilityBadges({
+                'el': $results.find('.js-availability-badge')
+            });
+
+            this.cursor = $response.data('cursor') || null;
+            this.isLoading = false;
+            this.$el.removeClass('lg-loading');
+
+            // Remove the button once the engine can't return any more results
+            if (!this.cursor) {
+                this.$el.remove();
+            }
+        },
+
+        'onResultsError': function() {
+            // Fall back on the pages, they still work
+            this.isLoading = false;
+            this.cursor = null;
+            this.$el.remove();
+            $('.js-pagination').removeClass('hidden');
+        }
+    });
+
+    return LoadMore;
+});
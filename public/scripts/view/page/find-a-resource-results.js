@@ -17,9 +17,12 @@ define([
     'lodash',
     'jquery',
     'config',
+    'view/availability-badges',
+    'view/load-more',
     'view/search-type-selector',
+    'view/search-suggestions',
     'bootstrap-collapse'
-], function(_, $, config, TypeSelector) {
+], function(_, $, config, AvailabilityBadges, LoadMore, TypeSelector, SearchSuggestions) {
     'use strict';
 
     var ResultsPage = function() {
@@ -29,6 +32,15 @@ define([
         'initialize': function() {
             _.bindAll(this);
             this.typeSelector = new TypeSelector();
+            this.searchSuggestions = new SearchSuggestions({
+                'el': '.js-search-suggestions'
+            });
+            this.availabilityBadges = new AvailabilityBadges({
+                'el': '.js-availability-badge'
+            });
+            this.loadMore = new LoadMore({
+                'el': '.js-load-more'
+            });
             this.collapseHiddenFacets();
             this.bindEvents();
         },
@@ -14,8 +14,23 @@
  */
 
 define([
-    'view/search-type-selector'
-], function(TypeSelector) {
+    'lodash',
+    'view/search-type-selector',
+    'view/search-suggestions'
+], function(_, TypeSelector, SearchSuggestions) {
     'use strict';
-    return TypeSelector;
+
+    var FindAResourcePage = function() {
+        this.initialize();
+    };
+    _.extend(FindAResourcePage.prototype, {
+        'initialize': function() {
+            this.typeSelector = new TypeSelector();
+            this.searchSuggestions = new SearchSuggestions({
+                'el': '.js-search-suggestions'
+            });
+        }
+    });
+
+    return FindAResourcePage;
 });
@@ -0,0 +1,161 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+define([
+    'jquery',
+    'lodash',
+    'config'
+], function($, _, config) {
+    'use strict';
+
+    var KEYS = {
+        'enter': 13,
+        'escape': 27,
+        'up': 38,
+        'down': 40
+    };
+
+    var SearchSuggestions = function(options) {
+        if (options.el) {
+            this.$el = $(options.el);
+        }
+        this.initialize();
+    };
+
+    _.extend(SearchSuggestions.prototype, {
+        'initialize': function() {
+            _.bindAll(this);
+            this.$input = this.$el.find('.js-suggestions-input');
+            this.$list = this.$el.find('.js-suggestions');
+            this.activeIndex = -1;
+            this.requestedQuery = null;
+            // Only ask for suggestions when the user stops typing
+            this.fetchSuggestions = _.debounce(this.fetchSuggestions, config.searchSuggestions.debounce);
+            this.bindEvents();
+        },
+
+        'bindEvents': function() {
+            this.$input.on('keydown', this.onKeyDown);
+            this.$input.on('input', this.onInput);
+            this.$input.on('blur', this.onBlur);
+            this.$list.on('mousedown', '.js-suggestion', this.onSuggestionClick);
+        },
+
+        'onInput': function() {
+            var query = $.trim(this.$input.val());
+            if (query.length < config.searchSuggestions.minLength) {
+                return this.hide();
+            }
+            this.fetchSuggestions(query);
+        },
+
+        'onKeyDown': function(event) {
+            if (!this.isVisible()) {
+                return;
+            }
+
+            switch (event.which) {
+                case KEYS.down:
+                    event.preventDefault();
+                    this.setActive(this.activeIndex + 1);
+                    break;
+                case KEYS.up:
+                    event.preventDefault();
+                    this.setActive(this.activeIndex - 1);
+                    break;
+                case KEYS.escape:
+                    this.hide();
+                    break;
+                case KEYS.enter:
+                    // Only take over the submit when a suggestion has been selected
+                    if (this.activeIndex >= 0) {
+                        event.preventDefault();
+                        this.select(this.$list.find('.js-suggestion').eq(this.activeIndex));
+                    }
+                    break;
+            }
+        },
+
+        'onBlur': function() {
+            this.hide();
+        },
+
+        'onSuggestionClick': function(event) {
+            event.preventDefault();
+            this.select($(event.currentTarget));
+        },
+
+        'fetchSuggestions': function(query) {
+            this.requestedQuery = query;
+            $.getJSON(config.searchSuggestions.url, {'q': query}, _.bind(function(suggestions) {
+                // Ignore the responses for queries the user already typed past
+                if (query === this.requestedQuery && query === $.trim(this.$input.val())) {
+                    this.render(suggestions.suggestedItems);
+                }
+            }, this));
+        },
+
+        'render': function(suggestedItems) {
+            this.$list.empty();
+            this.activeIndex = -1;
+            if (!suggestedItems || !suggestedItems.length) {
+                return this.hide();
+            }
+
+            _.each(suggestedItems, function(suggestion) {
+                var $link = $('<a href="#" class="js-suggestion" role="option"></a>').text(suggestion.label).data('value', suggestion.label);
+                this.$list.append($('<li></li>').append($link));
+            }, this);
+            this.show();
+        },
+
+        'setActive': function(index) {
+            var $suggestions = this.$list.find('.js-suggestion');
+            // Wrap around when moving past the first or the last suggestion
+            if (index >= $suggestions.length) {
+                index = 0;
+            } else if (index < 0) {
+                index = $suggestions.length - 1;
+            }
+
+            this.activeIndex = index;
+            this.$list.find('li').removeClass('active').eq(index).addClass('active');
+            this.$input.val($suggestions.eq(index).data('value'));
+        },
+
+        'select': function($suggestion) {
+            this.$input.val($suggestion.data('value'));
+            this.hide();
+            this.$input.closest('form').submit();
+        },
+
+        'isVisible': function() {
+            return this.$el.hasClass('open');
+        },
+
+        'show': function() {
+            this.$el.addClass('open');
+            this.$input.attr('aria-expanded', 'true');
+        },
+
+        'hide': function() {
+            this.activeIndex = -1;
+            this.$el.removeClass('open');
+            this.$input.attr('aria-expanded', 'false');
+        }
+    });
+
+    return SearchSuggestions;
+});
@@ -0,0 +1,76 @@
+var _ = require('underscore');
+var assert = require('assert');
+var request = require('request');
+
+var config = require('../../../config');
+
+var AvailabilityAPI = require('../../../lib/controllers/api/availability');
+
+describe('Availability API', function() {
+
+    var url = config.server.protocol + '://' + config.server.host + ':' + config.server.port + '/api/availability';
+    var validId = '|cambrdgedb|2099538';
+
+    /**
+     * Test that verifies that the availability is summarised per library
+     */
+    it('verify that the availability of a resource is summarised.', function() {
+        var branches = function(statuses) {
+            return {'totalBranches': statuses.length, 'branches': _.map(statuses, function(status, index) {
+                return {'location': 'Library ' + (index % 2), 'status': status};
+            })};
+        };
+
+        assert.equal(AvailabilityAPI.summariseAvailability(null).status, 'unknown');
+        assert.equal(AvailabilityAPI.summariseAvailability(branches(['Available', 'On loan', 'Available'])).label, 'Available at 1 library');
+        assert.equal(AvailabilityAPI.summariseAvailability(branches(['Available', 'Available'])).label, 'Available at 2 libraries');
+        assert.equal(AvailabilityAPI.summariseAvailability(branches(['On loan', 'Due 12/05/2014'])).label, 'All copies on loan');
+        assert.equal(AvailabilityAPI.summariseAvailability(branches(['On loan', 'Missing'])).status, 'unavailable');
+    });
+
+    /**
+     * Test that verifies that the availability of a single resource is returned as a branches model
+     */
+    it('verify that the availability of a resource can be fetched.', function(callback) {
+        request(url + '/aquabrowser/' + encodeURIComponent(validId), function(error, response, body) {
+            assert.ok(!error);
+            assert.equal(response.statusCode, 200);
+            body = JSON.parse(body);
+            assert.ok(_.isNumber(body.totalBranches));
+            _.each(body.branches, function(branch) {
+                assert.ok(_.has(branch, 'location'));
+                assert.ok(_.isNumber(branch.itemCount));
+            });
+
+            // Engines that don't know the availability of their resources return an error
+            request(url + '/summon/' + encodeURIComponent(validId), function(error, response, body) {
+                assert.ok(!error);
+                assert.equal(response.statusCode, 400);
+                callback();
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that the availability of multiple resources can be fetched at once
+     */
+    it('verify that the availability of multiple resources can be fetched at once.', function(callback) {
+        request.post({'url': url, 'json': {'ids': [validId, validId]}}, function(error, response, body) {
+            assert.ok(!error);
+            assert.equal(response.statusCode, 200);
+            assert.equal(body.api, 'aquabrowser');
+            assert.equal(body.items.length, 1);
+            assert.equal(body.items[0].extId, validId);
+            assert.ok(body.items[0].availability);
+            assert.ok(body.items[0].summary);
+
+            // Requesting too many resources at once returns an error
+            var ids = _.map(_.range(config.nodes['find-a-resource'].settings.availability.maxItems + 1), function(index) { return '|cambrdgedb|' + index; });
+            request.post({'url': url, 'json': {'ids': ids}}, function(error, response, body) {
+                assert.ok(!error);
+                assert.equal(response.statusCode, 400);
+                callback();
+            });
+        });
+    });
+});
@@ -0,0 +1,115 @@
+var _ = require('underscore');
+var assert = require('assert');
+var express = require('express');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var querystring = require('querystring');
+
+var config = require('../../../config');
+
+var ResolverAPI = require('../../../lib/controllers/api/resolver');
+var SearchCache = require('../../../lib/controllers/api/search/cache');
+var standIn = require('../../stand-in/server');
+
+describe('Resolver API', function() {
+
+    var fixtures = path.join(os.tmpdir(), 'resolver-' + Date.now());
+    var resolver = _.clone(config.constants.resolver);
+
+    var article = {
+        'id': 'FETCH-456',
+        'engine': 'summon',
+        'titles': ['Natural selection & evolution'],
+        'published': {
+            'publicationTitle': ['Nature'],
+            'volume': ['411'],
+            'issue': '6833',
+            'publicationPage': {'startPage': '12', 'endPage': '15'}
+        },
+        'issn': ['0028-0836'],
+        'doi': ['10.1038/35077223'],
+        'contentType': 'Journal Article'
+    };
+
+    /**
+     * Function that restores the resolver settings and removes the recorded fixtures
+     */
+    after(function() {
+        config.constants.resolver = resolver;
+        _.each(fs.readdirSync(fixtures), function(engine) {
+            _.each(fs.readdirSync(path.join(fixtures, engine)), function(file) {
+                fs.unlinkSync(path.join(fixtures, engine, file));
+            });
+            fs.rmdirSync(path.join(fixtures, engine));
+        });
+        fs.rmdirSync(fixtures);
+    });
+
+    /**
+     * Test that verifies that the full text targets are fetched from the link resolver through the stand-in server
+     */
+    it('verify that the full text targets of a resource are resolved.', function(callback) {
+
+        // Create a server that acts as the real link resolver
+        var upstream = express();
+        upstream.use(function(req, res) {
+            var ctx = querystring.parse(req.url.split('?')[1]);
+            assert.equal(ctx['rft.issn'], '0028-0836');
+            assert.deepEqual(ctx.rft_id, ['http://' + config.server.host + ':' + config.server.port + '/find-a-resource/summon/FETCH-456', 'info:doi/10.1038/35077223']);
+            res.status(200).json({'targets': [
+                {'name': 'Nature Journals Online', 'url': 'http://www.nature.com/nature', 'coverage': 'Available from 1869', 'service': 'getFullTxt'},
+                {'name': 'Nature Journals Online', 'url': 'http://www.nature.com/', 'service': 'getFullTxt'},
+                {'name': 'Ulrich\'s', 'url': 'http://ulrichsweb.serialssolutions.com', 'service': 'getHolding'}
+            ]});
+        });
+        var upstreamServer = upstream.listen(0, function() {
+            var options = {
+                'mode': 'record',
+                'port': 0,
+                'fixtures': fixtures,
+                'upstream': {'resolver': 'http://localhost:' + upstreamServer.address().port}
+            };
+
+            standIn.createServer(options, function(err, recorder) {
+                assert.ok(!err);
+
+                // Point the resolver at the stand-in server
+                config.constants.resolver = _.extend({}, resolver, {'uri_targets': 'http://localhost:' + recorder.address().port + '/sfx_local/targets.json'});
+                ResolverAPI.getFullTextTargets(article, function(err, targets) {
+                    assert.ok(!err);
+                    assert.equal(targets.length, 1);
+                    assert.deepEqual(targets[0], {'name': 'Nature Journals Online', 'url': 'http://www.nature.com/nature', 'coverage': 'Available from 1869'});
+                    recorder.close();
+                    upstreamServer.close();
+
+                    // The targets are cached, so the link resolver isn't asked again
+                    ResolverAPI.getFullTextTargets(article, function(err, cachedTargets) {
+                        assert.ok(!err);
+                        assert.deepEqual(cachedTargets, targets);
+                        SearchCache.purge('resolver');
+
+                        // Replay the resolver response without the real resolver
+                        standIn.createServer({'mode': 'replay', 'port': 0, 'fixtures': fixtures}, function(err, replayer) {
+                            assert.ok(!err);
+
+                            config.constants.resolver.uri_targets = 'http://localhost:' + replayer.address().port + '/sfx_local/targets.json';
+                            ResolverAPI.getFullTextTargets(article, function(err, replayedTargets) {
+                                assert.ok(!err);
+                                assert.deepEqual(replayedTargets, targets);
+
+                                // Books without an ISSN or a DOI aren't resolved
+                                ResolverAPI.getFullTextTargets({'id': '123', 'titles': ['On the origin of species'], 'contentType': 'Book'}, function(err, bookTargets) {
+                                    assert.ok(!err);
+                                    assert.deepEqual(bookTargets, []);
+                                    replayer.close();
+                                    callback();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -1,5 +1,6 @@
 var _ = require('underscore');
 var assert = require('assert');
+var querystring = require('querystring');
 var request = require('request');
 
 var config = require('../../../../config');
@@ -128,4 +129,44 @@ describe('Aquabrowser API', function() {
             callback();
         });
     });
+
+    /**
+     * Test that verifies that the publication years are counted in the buckets of the year facet
+     */
+    it('verify that the publication year facet is created from the refine data.', function(callback) {
+        aquabrowser.getResults(true, {'q': validString}, function(err, results) {
+            assert.ok(!err);
+            var yearFacet = _.findWhere(results.facets, {'rawLabel': 'year'});
+            assert.ok(yearFacet);
+            assert.equal(yearFacet.label, 'Publication year');
+            _.each(yearFacet.facets, function(facet) {
+                assert.ok(/^(Before \d{4}|\d{4}s)$/.test(facet.label));
+                assert.ok(facet.numItems > 0);
+                assert.ok(facet.url.indexOf('yearfrom=') > -1);
+            });
+            callback();
+        });
+    });
+
+    /**
+     * Test that verifies that the libraries can be chosen from the branch refine data, one library at a time
+     */
+    it('verify that the library facet is created from the branch refine data.', function(callback) {
+        aquabrowser.getResults(true, {'q': validString, 'branch': 'University Library'}, function(err, results) {
+            assert.ok(!err);
+            var branchFacet = _.findWhere(results.facets, {'rawLabel': 'branch'});
+            assert.ok(branchFacet);
+            assert.equal(branchFacet.label, 'Library');
+
+            assert.ok(branchFacet.facets.length > 1);
+
+            // Choosing a library replaces the library that was chosen before, and it can't be excluded
+            _.each(branchFacet.facets, function(facet) {
+                assert.equal(querystring.parse(facet.url).branch, facet.label);
+                assert.equal(querystring.parse(facet.url).q, validString);
+                assert.ok(!facet.excludeUrl);
+            });
+            callback();
+        });
+    });
 });
@@ -0,0 +1,109 @@
+var _ = require('underscore');
+var assert = require('assert');
+var request = require('request');
+
+var config = require('../../../../config');
+
+var FacetModel = require('../../../../lib/models/search/facet');
+var FederatedSearch = require('../../../../lib/controllers/api/search/federated');
+var SearchEngineRegistry = require('../../../../lib/controllers/api/search/registry');
+
+describe('Federated search API', function() {
+
+    var validString = 'Darwin';
+
+    /**
+     * Test that verifies that the results of all the engines are merged into a single results model
+     */
+    it('verify that fetching resources from all the engines returns a single merged results model.', function(callback) {
+
+        // Request options object
+        var options = {
+            'url': config.server.protocol + '://' + config.server.host + ':' + config.server.port + '/api/search?api=all&q=' + validString
+        };
+
+        // Perform a request to the search API
+        request(options, function(error, response, body) {
+            assert.ok(!error, JSON.stringify(error));
+            body = JSON.parse(body);
+            assert.ok(_.isObject(body));
+            assert.ok(_.isObject(body.results));
+            assert.ok(_.isNumber(body.results.rowCount));
+            assert.ok(_.isArray(body.results.facets));
+            assert.ok(_.isArray(body.results.facetsOverview));
+            assert.ok(_.isArray(body.results.items));
+            assert(body.results.pagination);
+            assert.equal(body.query.api, 'all');
+
+            // Every item should be tagged with the engine it was found in
+            _.each(body.results.items, function(item) {
+                assert.ok(_.contains(['aquabrowser', 'summon'], item.engine));
+            });
+
+            // Items with the same ISBN should only be returned once
+            var isbns = _.compact(_.flatten(_.pluck(body.results.items, 'isbn')));
+            assert.equal(isbns.length, _.uniq(isbns).length);
+            callback();
+        });
+    });
+
+    /**
+     * Test that verifies that duplicates are removed and facets are combined without contacting the engines
+     */
+    it('verify that duplicates are removed and facets are merged.', function(callback) {
+        var responses = {
+            'aquabrowser': {
+                'rowCount': 2,
+                'items': [
+                    {'id': 'a1', 'engine': 'aquabrowser', 'isbn': ['0521825881 (hbk.)']},
+                    {'id': 'a2', 'engine': 'aquabrowser', 'isbn': null}
+                ],
+                'facets': [
+                    new FacetModel.FacetType('Language', 'Language', 1, 0, null, [new FacetModel.Facet('English', 5, 'url', 'excludeUrl')]),
+                    new FacetModel.FacetType('Library', 'Branch', 1, 0, null, [new FacetModel.Facet('Darwin College', 2, 'url', null)])
+                ]
+            },
+            'summon': {
+                'rowCount': 2,
+                'items': [
+                    {'id': 's1', 'engine': 'summon', 'isbn': ['0-521-82588-1']},
+                    {'id': 's2', 'engine': 'summon', 'isbn': null}
+                ],
+                'facets': [
+                    new FacetModel.FacetType('Language', 'Language', 1, 0, null, [new FacetModel.Facet('English', 3, 'url', 'excludeUrl')])
+                ]
+            }
+        };
+
+        // Stand in for the engines, the original handlers are put back afterwards
+        var originals = {};
+        _.each(responses, function(results, name) {
+            var engine = SearchEngineRegistry.getEngine(name);
+            originals[name] = engine.search;
+            engine.search = function(isExplicit, parameters, done) {
+                return done(null, results);
+            };
+        });
+
+        FederatedSearch.getResults(true, {'q': validString}, function(error, results) {
+            _.each(originals, function(search, name) {
+                SearchEngineRegistry.getEngine(name).search = search;
+            });
+
+            assert.ok(!error);
+
+            // The ISBN is only written differently
+            assert.deepEqual(_.pluck(results.items, 'id'), ['a1', 'a2', 's2']);
+            assert.equal(results.rowCount, 3);
+
+            var language = _.findWhere(results.facets, {'rawLabel': 'Language'});
+            assert.equal(language.facets[0].numItems, 8);
+            assert.ok(language.facets[0].excludeUrl);
+
+            // The library can't be excluded
+            var library = _.findWhere(results.facets, {'rawLabel': 'Branch'});
+            assert.equal(library.facets[0].excludeUrl, null);
+            callback();
+        });
+    });
+});
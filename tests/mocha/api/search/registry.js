@@ -0,0 +1,68 @@
+var _ = require('underscore');
+var assert = require('assert');
+
+var SearchEngineRegistry = require('../../../../lib/controllers/api/search/registry');
+
+describe('Search engine registry', function() {
+
+    /**
+     * Test that verifies that the engines are looked up by their name, regardless of its case
+     */
+    it('verify that an engine is returned by its name.', function() {
+        var engine = SearchEngineRegistry.getEngine('aquabrowser');
+        assert.ok(engine);
+        assert.ok(_.isFunction(engine.search));
+        assert.equal(SearchEngineRegistry.getEngine('Aquabrowser'), engine);
+
+        // Unknown engines and invalid names don't return an engine
+        assert.equal(SearchEngineRegistry.getEngine('worldcat'), null);
+        assert.equal(SearchEngineRegistry.getEngine(''), null);
+        assert.equal(SearchEngineRegistry.getEngine(null), null);
+        assert.equal(SearchEngineRegistry.getEngine(['aquabrowser']), null);
+    });
+
+    /**
+     * Test that verifies that the engine names are returned in the order of the config, filtered by capability
+     */
+    it('verify that the engine names are filtered by capability.', function() {
+        assert.deepEqual(SearchEngineRegistry.getEngineNames(), ['aquabrowser', 'summon']);
+        assert.deepEqual(SearchEngineRegistry.getEngineNames('search'), ['aquabrowser', 'summon']);
+        assert.deepEqual(SearchEngineRegistry.getEngineNames('availability'), ['aquabrowser']);
+        assert.deepEqual(SearchEngineRegistry.getEngineNames('translation'), []);
+        assert.equal(SearchEngineRegistry.getDefaultEngineName(), 'aquabrowser');
+    });
+
+    /**
+     * Test that verifies that only the capabilities an engine registered are supported
+     */
+    it('verify that the capabilities of an engine can be checked.', function() {
+        assert.ok(SearchEngineRegistry.hasCapability('summon', 'detail'));
+        assert.ok(SearchEngineRegistry.hasCapability('SUMMON', 'search'));
+        assert.ok(!SearchEngineRegistry.hasCapability('summon', 'availability'));
+        assert.ok(!SearchEngineRegistry.hasCapability('summon', 'translation'));
+        assert.ok(!SearchEngineRegistry.hasCapability('worldcat', 'search'));
+        assert.ok(!SearchEngineRegistry.hasCapability(undefined, 'search'));
+    });
+
+    /**
+     * Test that verifies that engines are registered with the capabilities that are known
+     */
+    it('verify that only known capabilities are registered.', function() {
+        var search = function(isExplicit, parameters, callback) {
+            return callback(null, {'rowCount': 0, 'items': []});
+        };
+        SearchEngineRegistry.registerEngine('Stand-in', {'search': search, 'translation': search});
+        assert.ok(SearchEngineRegistry.hasCapability('stand-in', 'search'));
+        assert.ok(!SearchEngineRegistry.hasCapability('stand-in', 'translation'));
+
+        // Engines that aren't listed in the config aren't searched
+        assert.ok(!_.contains(SearchEngineRegistry.getEngineNames(), 'stand-in'));
+
+        assert.throws(function() {
+            SearchEngineRegistry.registerEngine(null, {'search': search});
+        });
+        assert.throws(function() {
+            SearchEngineRegistry.registerEngine('stand-in', {'search': 'not a function'});
+        });
+    });
+});
@@ -0,0 +1,197 @@
+var _ = require('underscore');
+var assert = require('assert');
+
+var SearchAPI = require('../../../../lib/controllers/api/search');
+var SearchEngineRegistry = require('../../../../lib/controllers/api/search/registry');
+
+describe('Search API', function() {
+
+    /**
+     * Test that verifies that a resource is fetched as a copy that knows its engine
+     */
+    it('verify that a resource is fetched by its engine and ID.', function(callback) {
+        var cached = {'id': '123', 'titles': ['On the origin of species']};
+
+        // Stand in for the engine, the original handler is put back afterwards
+        var engine = SearchEngineRegistry.getEngine('aquabrowser');
+        var detail = engine.detail;
+        engine.detail = function(isExplicit, parameters, done) {
+            return done(null, {'rowCount': parameters.id === '123' ? 1 : 0, 'items': parameters.id === '123' ? [cached] : []});
+        };
+
+        SearchAPI.getResource({'api': 'Aquabrowser', 'id': '123'}, function(err, resource) {
+            assert.ok(!err);
+            assert.equal(resource.id, '123');
+            assert.equal(resource.engine, 'aquabrowser');
+
+            // The cached result is shared by every request, so it's left alone
+            assert.ok(!cached.engine);
+
+            SearchAPI.getResource({'api': 'aquabrowser', 'id': '456'}, function(err, resource) {
+                engine.detail = detail;
+                assert.equal(err.code, 404);
+                assert.ok(!resource);
+                callback();
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that a copied resource keeps the engine it already knows
+     */
+    it('verify that a copied resource keeps its own engine.', function() {
+        var item = {'id': 'FETCH-456', 'engine': 'summon'};
+        assert.equal(SearchAPI.copyResource(item, 'all').engine, 'summon');
+        assert.equal(SearchAPI.copyResource(_.omit(item, 'engine'), 'Summon').engine, 'summon');
+        assert.notEqual(SearchAPI.copyResource(item, 'summon'), item);
+    });
+
+    /**
+     * Test that verifies that identifiers are searched in their field, while the query is returned as it was entered
+     */
+    it('verify that identifiers are searched in their field.', function(callback) {
+        var queries = [];
+
+        // Stand in for the engine, which only finds the book by its ISBN
+        var engine = SearchEngineRegistry.getEngine('aquabrowser');
+        var search = engine.search;
+        engine.search = function(isExplicit, parameters, done) {
+            queries.push(parameters.q);
+            var found = (parameters.q === 'isbn:(9780521825887 OR 0521825881)');
+            return done(null, {'rowCount': found ? 1 : 0, 'items': found ? [{'id': '123'}] : [], 'pagination': {'pageCount': 1}});
+        };
+
+        SearchAPI.getResults({'api': 'aquabrowser', 'q': '0-521-82588-1'}, function(err, results) {
+            engine.search = search;
+            assert.ok(!err);
+            assert.deepEqual(queries, ['isbn:(9780521825887 OR 0521825881)']);
+            assert.deepEqual(results.identifier, {'type': 'isbn', 'value': '9780521825887'});
+            assert.equal(results.query.q, '0-521-82588-1');
+            assert.equal(results.results.rowCount, 1);
+            callback();
+        });
+    });
+
+    /**
+     * Test that verifies that queries which only look like an identifier are searched as free text when nothing matches the identifier
+     */
+    it('verify that identifiers without results are searched as free text.', function(callback) {
+        var queries = [];
+
+        // Stand in for the engine, which only finds the year range as free text
+        var engine = SearchEngineRegistry.getEngine('aquabrowser');
+        var search = engine.search;
+        engine.search = function(isExplicit, parameters, done) {
+            queries.push(parameters.q);
+            var found = (parameters.q === '1801-1802');
+            return done(null, {'rowCount': found ? 2 : 0, 'items': found ? [{'id': '123'}, {'id': '456'}] : [], 'pagination': {'pageCount': 1}});
+        };
+
+        // The year range `1801-1802` has a valid ISSN check digit
+        SearchAPI.getResults({'api': 'aquabrowser', 'q': '1801-1802'}, function(err, results) {
+            engine.search = search;
+            assert.ok(!err);
+            assert.deepEqual(queries, ['issn:"1801-1802"', '1801-1802']);
+            assert.strictEqual(results.identifier, null);
+            assert.equal(results.query.q, '1801-1802');
+            assert.equal(results.results.rowCount, 2);
+            callback();
+        });
+    });
+
+    /**
+     * Test that verifies that the next pages are loaded by following the cursors, until the last page has been loaded
+     */
+    it('verify that the results are paged through with a cursor.', function(callback) {
+        var pages = [];
+
+        // Stand in for the engine, which has three pages of results
+        var engine = SearchEngineRegistry.getEngine('aquabrowser');
+        var search = engine.search;
+        engine.search = function(isExplicit, parameters, done) {
+            var page = parseInt(parameters.page, 10);
+            pages.push({'page': page, 'pagesize': parseInt(parameters.pagesize, 10)});
+            return done(null, {'rowCount': 30, 'items': [{'id': String(page)}], 'pagination': {'pageNumber': page, 'pageCount': 3}});
+        };
+
+        SearchAPI.getMoreResults({'api': 'aquabrowser', 'q': 'Darwin', 'pagesize': '10', 'cursor': '*'}, function(err, response) {
+            assert.ok(!err);
+            assert.deepEqual(_.pluck(response.items, 'id'), ['1']);
+            assert.equal(response.rowCount, 30);
+            assert.equal(response.cursor, SearchAPI.createCursor(2, 10));
+            assert.strictEqual(response.limit, null);
+            assert.equal(response.query.q, 'Darwin');
+
+            // The cursor keeps the page size, even when it isn't part of the request
+            SearchAPI.getMoreResults({'api': 'aquabrowser', 'q': 'Darwin', 'cursor': response.cursor}, function(err, response) {
+                assert.ok(!err);
+                assert.deepEqual(_.pluck(response.items, 'id'), ['2']);
+                assert.equal(response.cursor, SearchAPI.createCursor(3, 10));
+
+                // No cursor is handed out after the last page
+                SearchAPI.getMoreResults({'api': 'aquabrowser', 'q': 'Darwin', 'cursor': response.cursor}, function(err, response) {
+                    engine.search = search;
+                    assert.ok(!err);
+                    assert.deepEqual(_.pluck(response.items, 'id'), ['3']);
+                    assert.strictEqual(response.cursor, null);
+                    assert.deepEqual(pages, [{'page': 1, 'pagesize': 10}, {'page': 2, 'pagesize': 10}, {'page': 3, 'pagesize': 10}]);
+                    callback();
+                });
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that cursors which don't point to a page are refused
+     */
+    it('verify that invalid cursors are refused.', function(callback) {
+        SearchAPI.getMoreResults({'api': 'aquabrowser', 'q': 'Darwin', 'cursor': 'not a cursor'}, function(err, response) {
+            assert.equal(err.code, 400);
+            assert.ok(!response);
+
+            SearchAPI.getMoreResults({'api': 'aquabrowser', 'q': 'Darwin', 'cursor': SearchAPI.createCursor(0, 25)}, function(err, response) {
+                assert.equal(err.code, 400);
+
+                SearchAPI.getMoreResults({'api': 'aquabrowser', 'q': 'Darwin'}, function(err, response) {
+                    assert.equal(err.code, 400);
+                    callback();
+                });
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that a notice suggests narrowing the search when there are more results than the engine can page through
+     */
+    it('verify that a notice is returned when not all the results can be shown.', function(callback) {
+        var rowCount = 25000;
+
+        // Stand in for the engine
+        var engine = SearchEngineRegistry.getEngine('aquabrowser');
+        var search = engine.search;
+        engine.search = function(isExplicit, parameters, done) {
+            return done(null, {'rowCount': rowCount, 'items': [{'id': '123'}], 'pagination': {'pageNumber': 1, 'pageCount': 400}});
+        };
+
+        SearchAPI.getResults({'api': 'aquabrowser', 'q': 'Darwin'}, function(err, results) {
+            assert.ok(!err);
+            assert.equal(results.limit.maxRecords, 10000);
+            assert.equal(results.limit.msg, 'Only the first 10000 of 25000 results can be shown. Use the filters to narrow your search.');
+
+            // The notice is also returned with the pages that are loaded with a cursor
+            SearchAPI.getMoreResults({'api': 'aquabrowser', 'q': 'Darwin', 'pagesize': '50', 'cursor': '*'}, function(err, response) {
+                assert.ok(!err);
+                assert.equal(response.limit.maxRecords, 10000);
+
+                // No notice is needed when every result can be shown
+                rowCount = 10000;
+                SearchAPI.getResults({'api': 'aquabrowser', 'q': 'Darwin'}, function(err, results) {
+                    engine.search = search;
+                    assert.ok(!err);
+                    assert.strictEqual(results.limit, null);
+                    callback();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,56 @@
+var _ = require('underscore');
+var assert = require('assert');
+var request = require('request');
+
+var config = require('../../../../config');
+
+var SearchSuggestions = require('../../../../lib/controllers/api/search/suggestions');
+
+describe('Search suggestions API', function() {
+
+    var url = config.server.protocol + '://' + config.server.host + ':' + config.server.port + '/api/search/suggest';
+
+    /**
+     * Test that verifies that the queries users searched for are suggested, most popular first
+     */
+    it('verify that popular queries complete the entered query.', function() {
+        SearchSuggestions.recordQuery('Darwin evolution');
+        SearchSuggestions.recordQuery('  darwin   EVOLUTION ');
+        SearchSuggestions.recordQuery('Charles Darwin');
+        SearchSuggestions.recordQuery('Wallace');
+
+        var popular = SearchSuggestions.getPopularQueries('Darw');
+        assert.deepEqual(_.pluck(popular, 'query'), ['darwin evolution', 'charles darwin']);
+        assert.equal(popular[0].count, 2);
+    });
+
+    /**
+     * Test that verifies that a query is required
+     */
+    it('verify that requesting suggestions without a query returns an error.', function(callback) {
+        request(url, function(error, response, body) {
+            assert.ok(!error);
+            assert.equal(response.statusCode, 400);
+            callback();
+        });
+    });
+
+    /**
+     * Test that verifies that the suggestions are returned as a suggestions model
+     */
+    it('verify that requesting suggestions returns a collection of suggested queries.', function(callback) {
+        request(url + '?q=darw', function(error, response, body) {
+            assert.ok(!error);
+            assert.equal(response.statusCode, 200);
+            body = JSON.parse(body);
+            assert.equal(body.originalQuery, 'darw');
+            assert.ok(_.isArray(body.suggestedItems));
+            assert.ok(body.suggestedItems.length <= config.nodes['find-a-resource'].settings.suggestions.limit);
+            _.each(body.suggestedItems, function(suggestion) {
+                assert.ok(suggestion.label);
+                assert.ok(suggestion.url);
+            });
+            callback();
+        });
+    });
+});
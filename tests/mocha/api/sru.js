@@ -0,0 +1,231 @@
+var _ = require('underscore');
+var assert = require('assert');
+var xml2js = require('xml2js');
+
+var SearchAPI = require('../../../lib/controllers/api/search');
+var SearchEngineRegistry = require('../../../lib/controllers/api/search/registry');
+var SRU = require('../../../lib/controllers/api/sru');
+var SRURecords = require('../../../lib/controllers/api/sru/records');
+
+describe('SRU API', function() {
+
+    // The number of results the stand-in engine returns, in pages of 10
+    var numberOfResults = 25;
+    var pageSize = 10;
+
+    var book = {
+        'id': '123',
+        'engine': 'aquabrowser',
+        'titles': ['On the origin of species'],
+        'authors': [{'fullname': 'Darwin, Charles, 1809-1882'}],
+        'published': {
+            'publicationTitle': ['London : John Murray,'],
+            'publicationDate': {'year': '1859.'}
+        },
+        'isbn': ['0521825881'],
+        'contentType': 'Book'
+    };
+
+    var article = {
+        'id': 'FETCH-456',
+        'engine': 'summon',
+        'titles': ['Natural selection & evolution'],
+        'authors': [{'fullname': 'Wallace, Alfred Russel'}],
+        'published': {
+            'publicationTitle': ['Nature'],
+            'publicationDate': {'year': '2001'},
+            'volume': ['411'],
+            'issue': '6833',
+            'publicationPage': {'startPage': '12', 'endPage': '15'}
+        },
+        'issn': ['0028-0836'],
+        'contentType': 'Journal Article'
+    };
+
+    var originalSearch = null;
+    var originalSuggestions = null;
+
+    /**
+     * Function that puts a stand-in for the Aquabrowser search and the suggestions in place, so the engines aren't contacted
+     */
+    before(function() {
+        var engine = SearchEngineRegistry.getEngine('aquabrowser');
+        originalSearch = engine.search;
+        engine.search = function(isExplicit, parameters, callback) {
+            var page = parseInt(parameters.page, 10) || 1;
+            var items = _.map(_.range((page - 1) * pageSize, Math.min(page * pageSize, numberOfResults)), function(index) {
+                return _.extend({}, book, {'id': String(index + 1)});
+            });
+            return callback(null, {
+                'rowCount': numberOfResults,
+                'facets': [],
+                'items': items,
+                'pagination': {'pageCount': Math.ceil(numberOfResults / pageSize)}
+            });
+        };
+
+        originalSuggestions = SearchAPI.getSuggestions;
+        SearchAPI.getSuggestions = function(parameters, callback) {
+            return callback(null, {
+                'originalQuery': parameters.q,
+                'suggestedItems': _.map(['darwin', 'darwinism', 'darwin evolution'], function(label) {
+                    return {'label': label, 'url': 'q=' + label};
+                })
+            });
+        };
+    });
+
+    /**
+     * Function that restores the Aquabrowser search and the suggestions
+     */
+    after(function() {
+        SearchEngineRegistry.getEngine('aquabrowser').search = originalSearch;
+        SearchAPI.getSuggestions = originalSuggestions;
+    });
+
+    /**
+     * Function that executes an SRU request and parses the response
+     *
+     * @param  {Object}     parameters          The request parameters
+     * @param  {Function}   callback            Standard callback function
+     * @param  {Object}     callback.response   The parsed response document
+     */
+    var _request = function(parameters, callback) {
+        SRU.handleRequest(parameters, function(err, response) {
+            assert.ok(!err);
+            xml2js.parseString(response, {'explicitArray': false}, function(err, response) {
+                assert.ok(!err);
+                return callback(response);
+            });
+        });
+    };
+
+    /**
+     * Test that verifies that resources are described in Dublin Core and MODS
+     */
+    it('verify that records are created in every record schema.', function() {
+        var dc = SRURecords.createRecord(book, 'dc')['srw_dc:dc'];
+        assert.equal(dc['dc:title'], 'On the origin of species');
+        assert.deepEqual(dc['dc:creator'], ['Darwin, Charles, 1809-1882']);
+        assert.equal(dc['dc:date'], '1859');
+        assert.deepEqual(dc['dc:type'], ['Book']);
+        assert.equal(dc['dc:identifier'][0], 'ISBN: 0521825881');
+        assert.ok(/\/find-a-resource\/aquabrowser\/123$/.test(_.last(dc['dc:identifier'])));
+
+        var mods = SRURecords.createRecord(book, 'mods').mods;
+        assert.equal(mods.titleInfo.title, 'On the origin of species');
+        assert.equal(mods.name[0].$.type, 'personal');
+        assert.deepEqual(mods.name[0].namePart[0], {'_': 'Darwin', '$': {'type': 'family'}});
+        assert.equal(mods.originInfo.dateIssued, '1859');
+        assert.deepEqual(mods.identifier, [{'_': '0521825881', '$': {'type': 'isbn'}}]);
+        assert.equal(mods.recordInfo.recordIdentifier, '123');
+
+        // Articles are described as a part of the journal they were published in
+        mods = SRURecords.createRecord(article, 'mods').mods;
+        assert.ok(!mods.originInfo);
+        assert.equal(mods.relatedItem.$.type, 'host');
+        assert.equal(mods.relatedItem.titleInfo.title, 'Nature');
+        assert.deepEqual(mods.relatedItem.part.extent, {'$': {'unit': 'pages'}, 'start': '12', 'end': '15'});
+
+        assert.equal(SRURecords.getSchemaName('info:srw/schema/1/mods-v3.5'), 'mods');
+        assert.equal(SRURecords.getSchemaName('marcxml'), null);
+    });
+
+    /**
+     * Test that verifies that the records are embedded in the searchRetrieve response in the requested schema
+     */
+    it('verify that searchRetrieve returns the records in the requested schema.', function(callback) {
+        _request({'operation': 'searchRetrieve', 'query': 'dc.creator=darwin', 'x-api': 'aquabrowser', 'recordSchema': 'mods', 'maximumRecords': '1'}, function(response) {
+            response = response['srw:searchRetrieveResponse'];
+            assert.equal(response['srw:numberOfRecords'], String(numberOfResults));
+
+            var record = response['srw:records']['srw:record'];
+            assert.equal(record['srw:recordSchema'], 'info:srw/schema/1/mods-v3.5');
+            assert.equal(record['srw:recordData'].mods.titleInfo.title, 'On the origin of species');
+
+            // Records can be embedded as an escaped string as well
+            _request({'operation': 'searchRetrieve', 'query': 'darwin', 'x-api': 'aquabrowser', 'recordPacking': 'string', 'maximumRecords': '1'}, function(response) {
+                var record = response['srw:searchRetrieveResponse']['srw:records']['srw:record'];
+                assert.equal(record['srw:recordPacking'], 'string');
+                assert.equal(record['srw:recordData'].indexOf('<srw_dc:dc'), 0);
+                callback();
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that the records can be paged through by their position, across the pages of the engine
+     */
+    it('verify that searchRetrieve pages through the records by their position.', function(callback) {
+        _request({'operation': 'searchRetrieve', 'query': 'darwin', 'x-api': 'aquabrowser', 'startRecord': '8', 'maximumRecords': '5'}, function(response) {
+            response = response['srw:searchRetrieveResponse'];
+            var records = response['srw:records']['srw:record'];
+            assert.deepEqual(_.pluck(records, 'srw:recordPosition'), ['8', '9', '10', '11', '12']);
+            assert.ok(/\/aquabrowser\/8$/.test(_.last(records[0]['srw:recordData']['srw_dc:dc']['dc:identifier'])));
+            assert.ok(/\/aquabrowser\/12$/.test(_.last(records[4]['srw:recordData']['srw_dc:dc']['dc:identifier'])));
+            assert.equal(response['srw:nextRecordPosition'], '13');
+
+            // The last records don't have a next position
+            _request({'operation': 'searchRetrieve', 'query': 'darwin', 'x-api': 'aquabrowser', 'startRecord': '21', 'maximumRecords': '10'}, function(response) {
+                response = response['srw:searchRetrieveResponse'];
+                assert.deepEqual(_.pluck(response['srw:records']['srw:record'], 'srw:recordPosition'), ['21', '22', '23', '24', '25']);
+                assert.ok(!response['srw:nextRecordPosition']);
+
+                // Starting after the last record returns a diagnostic
+                _request({'operation': 'searchRetrieve', 'query': 'darwin', 'x-api': 'aquabrowser', 'startRecord': '26'}, function(response) {
+                    response = response['srw:searchRetrieveResponse'];
+                    assert.equal(response['srw:numberOfRecords'], '0');
+                    assert.equal(response['srw:diagnostics']['diag:diagnostic']['diag:uri'], 'info:srw/diagnostic/1/61');
+
+                    // Only the number of records is returned when no records are requested
+                    _request({'operation': 'searchRetrieve', 'query': 'darwin', 'x-api': 'aquabrowser', 'maximumRecords': '0'}, function(response) {
+                        response = response['srw:searchRetrieveResponse'];
+                        assert.equal(response['srw:numberOfRecords'], String(numberOfResults));
+                        assert.ok(!response['srw:records']);
+                        callback();
+                    });
+                });
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that invalid requests are answered with a diagnostic
+     */
+    it('verify that invalid searchRetrieve requests return a diagnostic.', function(callback) {
+        _request({'operation': 'searchRetrieve', 'query': 'dc.date>=1850'}, function(response) {
+            var diagnostic = response['srw:searchRetrieveResponse']['srw:diagnostics']['diag:diagnostic'];
+            assert.equal(diagnostic['diag:uri'], 'info:srw/diagnostic/1/48');
+
+            _request({'operation': 'searchRetrieve', 'query': 'darwin', 'recordSchema': 'marcxml'}, function(response) {
+                var diagnostic = response['srw:searchRetrieveResponse']['srw:diagnostics']['diag:diagnostic'];
+                assert.equal(diagnostic['diag:uri'], 'info:srw/diagnostic/1/66');
+                assert.equal(diagnostic['diag:details'], 'marcxml');
+                callback();
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that the terms of a scan are the suggestions for the term
+     */
+    it('verify that scan lists the suggested terms.', function(callback) {
+        _request({'operation': 'scan', 'scanClause': 'cql.serverChoice = darw', 'maximumTerms': '2'}, function(response) {
+            var terms = response['srw:scanResponse']['srw:terms']['srw:term'];
+            assert.deepEqual(_.pluck(terms, 'srw:value'), ['darwin', 'darwinism']);
+
+            // Only the indexes that search all fields can be scanned
+            _request({'operation': 'scan', 'scanClause': 'dc.title = darw'}, function(response) {
+                var diagnostic = response['srw:scanResponse']['srw:diagnostics']['diag:diagnostic'];
+                assert.equal(diagnostic['diag:uri'], 'info:srw/diagnostic/1/16');
+                assert.equal(diagnostic['diag:details'], 'dc.title');
+
+                _request({'operation': 'scan'}, function(response) {
+                    var diagnostic = response['srw:scanResponse']['srw:diagnostics']['diag:diagnostic'];
+                    assert.equal(diagnostic['diag:uri'], 'info:srw/diagnostic/1/7');
+                    callback();
+                });
+            });
+        });
+    });
+});
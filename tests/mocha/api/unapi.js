@@ -0,0 +1,180 @@
+var _ = require('underscore');
+var assert = require('assert');
+var xml2js = require('xml2js');
+
+var SearchEngineRegistry = require('../../../lib/controllers/api/search/registry');
+var UnAPI = require('../../../lib/controllers/api/unapi');
+var UnAPIRest = require('../../../lib/controllers/api/unapi/rest');
+
+describe('UnAPI', function() {
+
+    var book = {
+        'id': '123',
+        'titles': ['On the origin of species'],
+        'authors': [{'fullname': 'Darwin, Charles, 1809-1882'}],
+        'published': {
+            'publicationTitle': ['London : John Murray,'],
+            'publicationDate': {'year': '1859.'}
+        },
+        'isbn': ['0521825881'],
+        'contentType': 'Book'
+    };
+
+    var originalDetail = null;
+
+    /**
+     * Function that puts a stand-in for the Aquabrowser detail in place, which only knows the book
+     */
+    before(function() {
+        var engine = SearchEngineRegistry.getEngine('aquabrowser');
+        originalDetail = engine.detail;
+        engine.detail = function(isExplicit, parameters, callback) {
+            var found = (parameters.id === book.id);
+            return callback(null, {'rowCount': found ? 1 : 0, 'items': found ? [book] : []});
+        };
+    });
+
+    /**
+     * Function that restores the Aquabrowser detail
+     */
+    after(function() {
+        SearchEngineRegistry.getEngine('aquabrowser').detail = originalDetail;
+    });
+
+    /**
+     * Function that executes an unAPI request with a stand-in for the response object
+     *
+     * @param  {Object}     query               The query parameters of the request
+     * @param  {Function}   callback            Standard callback function
+     * @param  {Object}     callback.response   Object containing the `code`, the `headers` and the `body` of the response
+     */
+    var _request = function(query, callback) {
+        var headers = {};
+        var res = {
+            'set': function(name, value) {
+                headers[name] = value;
+            },
+            'send': function(code, body) {
+                return callback({'code': code, 'headers': headers, 'body': body});
+            }
+        };
+        UnAPIRest.getResponse({'query': query}, res);
+    };
+
+    /**
+     * Test that verifies that every format is listed, and that the formats of a resource are only listed when it exists
+     */
+    it('verify that the formats are listed.', function(callback) {
+        UnAPI.getFormats(null, function(err, formats) {
+            assert.ok(!err);
+            xml2js.parseString(formats, function(err, formats) {
+                assert.ok(!err);
+                assert.ok(!formats.formats.$);
+                assert.deepEqual(_.map(formats.formats.format, function(format) { return format.$.name; }), ['ris', 'mods', 'dc']);
+                assert.equal(formats.formats.format[0].$.type, 'application/x-research-info-systems');
+
+                UnAPI.getFormats('aquabrowser:123', function(err, formats) {
+                    assert.ok(!err);
+                    xml2js.parseString(formats, function(err, formats) {
+                        assert.ok(!err);
+                        assert.equal(formats.formats.$.id, 'aquabrowser:123');
+                        assert.equal(formats.formats.format.length, 3);
+
+                        UnAPI.getFormats('aquabrowser:456', function(err, formats) {
+                            assert.equal(err.code, 404);
+                            assert.ok(!formats);
+                            callback();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that the formats of a resource are returned with a 300, as the unAPI specification requires
+     */
+    it('verify that the formats of a resource are returned with multiple choices.', function(callback) {
+        _request({}, function(response) {
+            assert.equal(response.code, 200);
+            assert.equal(response.headers['Content-Type'], 'application/xml; charset=utf-8');
+
+            _request({'id': 'aquabrowser:123'}, function(response) {
+                assert.equal(response.code, 300);
+                assert.ok(/<formats id="aquabrowser:123">/.test(response.body));
+
+                // A record can't be requested without an identifier
+                _request({'format': 'ris'}, function(response) {
+                    assert.equal(response.code, 400);
+                    callback();
+                });
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that the records are returned in every format
+     */
+    it('verify that the record of a resource is returned in every format.', function(callback) {
+        UnAPI.getRecord('Aquabrowser:123', 'ris', function(err, record) {
+            assert.ok(!err);
+            assert.equal(record.contentType, 'application/x-research-info-systems');
+            assert.equal(record.body.indexOf('TY  - BOOK\r\n'), 0);
+            assert.ok(/TI  - On the origin of species\r\n/.test(record.body));
+
+            UnAPI.getRecord('aquabrowser:123', 'mods', function(err, record) {
+                assert.ok(!err);
+                assert.equal(record.contentType, 'application/xml');
+                xml2js.parseString(record.body, {'explicitArray': false}, function(err, mods) {
+                    assert.ok(!err);
+                    assert.equal(mods.mods.titleInfo.title, 'On the origin of species');
+                    assert.equal(mods.mods.recordInfo.recordIdentifier, '123');
+
+                    UnAPI.getRecord('aquabrowser:123', 'dc', function(err, record) {
+                        assert.ok(!err);
+                        assert.equal(record.contentType, 'application/xml');
+                        xml2js.parseString(record.body, {'explicitArray': false}, function(err, dc) {
+                            assert.ok(!err);
+                            assert.equal(dc['srw_dc:dc']['dc:title'], 'On the origin of species');
+                            assert.equal(dc['srw_dc:dc']['dc:date'], '1859');
+                            callback();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that invalid formats and identifiers are refused
+     */
+    it('verify that invalid formats and identifiers are refused.', function(callback) {
+        UnAPI.getRecord('aquabrowser:123', 'marcxml', function(err, record) {
+            assert.equal(err.code, 406);
+            assert.ok(!record);
+
+            UnAPI.getRecord('aquabrowser:123', ['ris', 'dc'], function(err, record) {
+                assert.equal(err.code, 406);
+
+                // Identifiers without an engine or without an ID can't be looked up
+                UnAPI.getRecord('123', 'ris', function(err, record) {
+                    assert.equal(err.code, 404);
+
+                    UnAPI.getRecord('aquabrowser:', 'ris', function(err, record) {
+                        assert.equal(err.code, 404);
+
+                        // Repeated identifiers (e.g. `?id=a&id=b`) are passed in as an array
+                        _request({'id': ['aquabrowser:123', 'aquabrowser:456'], 'format': 'ris'}, function(response) {
+                            assert.equal(response.code, 404);
+
+                            _request({'id': ['aquabrowser:123', 'aquabrowser:456']}, function(response) {
+                                assert.equal(response.code, 404);
+                                callback();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -3,9 +3,22 @@ var assert = require('assert');
 var config = require('../../config');
 
 var server = require('../../lib/util/server');
+var standIn = require('../stand-in/server');
 
 describe('Server', function() {
 
+    /**
+     * Test that verifies if the stand-in server for the search engines can be spun up correctly
+     */
+    if (config.standIn.enabled) {
+        it('verify if the stand-in server can be spun up.', function(callback) {
+            standIn.createServer(null, function(err, server) {
+                assert.ok(!err);
+                callback();
+            });
+        });
+    }
+
     /**
      * Test that verifies if a new webserver can be spun up correctly
      */
@@ -0,0 +1,35 @@
+var assert = require('assert');
+
+// The controllers are loaded through the server, which they depend on
+require('../../../lib/util/server');
+
+var ResourcesController = require('../../../lib/controllers/client/nodes/ResourcesController').ResourcesController;
+var SearchEngineRegistry = require('../../../lib/controllers/api/search/registry');
+
+describe('Resources controller', function() {
+
+    /**
+     * Test that verifies that the user is taken straight to the resource when the identifier they entered matches a single one
+     */
+    it('verify that an identifier that matches a single resource redirects to it.', function(callback) {
+
+        // Stand in for the engine, the original handler is put back afterwards
+        var engine = SearchEngineRegistry.getEngine('aquabrowser');
+        var search = engine.search;
+        engine.search = function(isExplicit, parameters, done) {
+            var found = (parameters.q === 'isbn:(9780521825887 OR 0521825881)');
+            return done(null, {'rowCount': found ? 1 : 0, 'items': found ? [{'id': '12/3'}] : [], 'pagination': {'pageCount': 1}});
+        };
+
+        var controller = new ResourcesController();
+        var req = {'query': {'api': 'aquabrowser', 'q': 'ISBN 0-521-82588-1'}};
+        var res = {
+            'redirect': function(url) {
+                engine.search = search;
+                assert.equal(url, '/find-a-resource/aquabrowser/12%2F3');
+                callback();
+            }
+        };
+        controller.getContent(req, res);
+    });
+});
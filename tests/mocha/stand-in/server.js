@@ -0,0 +1,119 @@
+var _ = require('underscore');
+var assert = require('assert');
+var express = require('express');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var request = require('request');
+
+var config = require('../../../config');
+
+var standIn = require('../../stand-in/server');
+var summonUtil = require('../../../lib/controllers/api/search/summon/util/util');
+
+describe('Stand-in server', function() {
+
+    var fixtures = path.join(os.tmpdir(), 'stand-in-' + Date.now());
+
+    /**
+     * Function that removes the recorded fixtures
+     */
+    after(function() {
+        _.each(fs.readdirSync(fixtures), function(engine) {
+            _.each(fs.readdirSync(path.join(fixtures, engine)), function(file) {
+                fs.unlinkSync(path.join(fixtures, engine, file));
+            });
+            fs.rmdirSync(path.join(fixtures, engine));
+        });
+        fs.rmdirSync(fixtures);
+    });
+
+    /**
+     * Test that verifies that responses are recorded and can be replayed afterwards
+     */
+    it('verify that recorded responses are replayed.', function(callback) {
+
+        // Create a server that acts as the real Aquabrowser API
+        var upstream = express();
+        upstream.use(function(req, res) {
+            res.status(200).set('Content-Type', 'text/xml').send('<root><feedbacks><noresults/></feedbacks></root>');
+        });
+        var upstreamServer = upstream.listen(0, function() {
+
+            var options = {
+                'mode': 'record',
+                'port': 0,
+                'fixtures': fixtures,
+                'upstream': {'aquabrowser': 'http://localhost:' + upstreamServer.address().port}
+            };
+
+            standIn.createServer(options, function(err, recorder) {
+                assert.ok(!err);
+
+                request('http://localhost:' + recorder.address().port + '/result.ashx?q=Darwin&cmd=find', function(error, response, body) {
+                    assert.ok(!error);
+                    assert.equal(response.statusCode, 200);
+                    assert.equal(body, '<root><feedbacks><noresults/></feedbacks></root>');
+                    recorder.close();
+                    upstreamServer.close();
+
+                    // Replay the response without the real API, the order of the parameters shouldn't matter and
+                    // the publication date ranges, which depend on the current year, are left out of the key
+                    standIn.createServer({'mode': 'replay', 'port': 0, 'fixtures': fixtures}, function(err, replayer) {
+                        assert.ok(!err);
+
+                        request('http://localhost:' + replayer.address().port + '/result.ashx?cmd=find&q=Darwin&s.rff=PublicationDate%2C2030%3A2039', function(error, response, body) {
+                            assert.ok(!error);
+                            assert.equal(response.statusCode, 200);
+                            assert.equal(response.headers['content-type'].indexOf('text/xml'), 0);
+                            assert.equal(body, '<root><feedbacks><noresults/></feedbacks></root>');
+
+                            // Requests that haven't been recorded should return a 404
+                            request('http://localhost:' + replayer.address().port + '/result.ashx?q=Wallace', function(error, response, body) {
+                                assert.ok(!error);
+                                assert.equal(response.statusCode, 404);
+                                replayer.close();
+                                callback();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that Summon requests need to be signed
+     */
+    it('verify that Summon requests with an invalid signature are refused.', function(callback) {
+        standIn.createServer({'mode': 'replay', 'port': 0, 'fixtures': fixtures}, function(err, server) {
+            assert.ok(!err);
+
+            var host = 'localhost:' + server.address().port;
+            var headers = {
+                'Accept': 'application/json',
+                'x-summon-date': new Date().toUTCString(),
+                'Host': host,
+                'Version': config.constants.engines.summon.version
+            };
+            var queryString = 's.ps=25&s.q=Darwin';
+            headers['Authorization'] = summonUtil.createAuthorizationHeader(headers, queryString);
+
+            // A correctly signed request passes the signature check, but hasn't been recorded
+            request({'url': 'http://' + host + headers['Version'] + '?' + queryString, 'headers': headers}, function(error, response, body) {
+                assert.ok(!error);
+                assert.equal(response.statusCode, 404);
+
+                // Tamper with the query
+                request({'url': 'http://' + host + headers['Version'] + '?s.ps=25&s.q=Wallace', 'headers': headers}, function(error, response, body) {
+                    assert.ok(!error);
+                    assert.equal(response.statusCode, 401);
+                    body = JSON.parse(body);
+                    assert.equal(body.errors[0].code, 'auth.invalid.digest');
+                    server.close();
+                    callback();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,58 @@
+var assert = require('assert');
+
+var Cache = require('../../../lib/util/cache').Cache;
+
+describe('Cache', function() {
+
+    /**
+     * Test that verifies that the least recently used entry is evicted when the cache is full
+     */
+    it('verify that the least recently used entry is evicted when the cache is full.', function() {
+        var cache = new Cache(2);
+        cache.set('a', 1, 1000);
+        cache.set('b', 2, 1000);
+
+        // Use `a`, so `b` becomes the least recently used entry
+        assert.equal(cache.get('a').value, 1);
+        cache.set('c', 3, 1000);
+
+        assert.equal(cache.size(), 2);
+        assert.equal(cache.get('b'), null);
+        assert.equal(cache.get('a').value, 1);
+        assert.equal(cache.get('c').value, 3);
+    });
+
+    /**
+     * Test that verifies that expired entries are served as stale until their stale time to live has passed
+     */
+    it('verify that expired entries are served as stale.', function(callback) {
+        var cache = new Cache(10);
+        cache.set('fresh', 1, 1000, 1000);
+        cache.set('stale', 2, 0, 1000);
+        cache.set('expired', 3, 0, 0);
+
+        setTimeout(function() {
+            assert.equal(cache.get('fresh').stale, false);
+            assert.equal(cache.get('stale').stale, true);
+            assert.equal(cache.get('stale').value, 2);
+            assert.equal(cache.get('expired'), null);
+            assert.equal(cache.size(), 2);
+            callback();
+        }, 5);
+    });
+
+    /**
+     * Test that verifies that entries can be purged by prefix
+     */
+    it('verify that entries can be purged by their key prefix.', function() {
+        var cache = new Cache(10);
+        cache.set('summon:search:1', 1, 1000);
+        cache.set('summon:search:2', 2, 1000);
+        cache.set('aquabrowser:search:1', 3, 1000);
+
+        assert.equal(cache.purge('summon:'), 2);
+        assert.equal(cache.size(), 1);
+        assert.equal(cache.purge(), 1);
+        assert.equal(cache.size(), 0);
+    });
+});
@@ -0,0 +1,74 @@
+var assert = require('assert');
+
+var config = require('../../../config');
+
+var CircuitBreaker = require('../../../lib/util/circuit-breaker').CircuitBreaker;
+var SearchBreaker = require('../../../lib/controllers/api/search/breaker');
+
+describe('Circuit breaker', function() {
+
+    /**
+     * Test that verifies that the breaker opens after the threshold of consecutive failures has been reached
+     */
+    it('verify that the breaker opens after a number of consecutive failures.', function() {
+        var breaker = new CircuitBreaker(3, 10000);
+        breaker.recordFailure();
+        breaker.recordFailure();
+        assert.ok(!breaker.isOpen());
+        assert.equal(breaker.getRetryAfter(), 0);
+
+        breaker.recordFailure();
+        assert.ok(breaker.isOpen());
+        assert.equal(breaker.getRetryAfter(), 10);
+    });
+
+    /**
+     * Test that verifies that a successful request resets the failure count
+     */
+    it('verify that a successful request resets the breaker.', function() {
+        var breaker = new CircuitBreaker(2, 10000);
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+        assert.ok(!breaker.isOpen());
+    });
+
+    /**
+     * Test that verifies that requests are let through again once the cool-down has passed
+     */
+    it('verify that the breaker closes after the cool-down period.', function(callback) {
+        var breaker = new CircuitBreaker(1, 0);
+        breaker.recordFailure();
+
+        setTimeout(function() {
+            assert.ok(!breaker.isOpen());
+            callback();
+        }, 5);
+    });
+
+    /**
+     * Test that verifies that failing suggestions don't open the breaker of an engine, nor are they stopped by it
+     */
+    it('verify that suggestions are kept out of the breaker of an engine.', function() {
+        config.constants.engines.flaky = {'circuitBreaker': {'threshold': 1, 'cooldown': 60000}};
+        var fail = function(parameters, callback) {
+            return callback({'code': 500, 'msg': 'The engine failed'});
+        };
+        var search = SearchBreaker.wrap('flaky', 'search', fail);
+        var suggestions = SearchBreaker.wrap('flaky', 'suggestions', fail);
+
+        suggestions({}, function(err) {
+            assert.equal(err.code, 500);
+        });
+        assert.ok(SearchBreaker.isAvailable('flaky'));
+
+        search({}, function(err) {
+            assert.equal(err.code, 500);
+        });
+        assert.ok(!SearchBreaker.isAvailable('flaky'));
+        suggestions({}, function(err) {
+            assert.equal(err.code, 500);
+        });
+        delete config.constants.engines.flaky;
+    });
+});
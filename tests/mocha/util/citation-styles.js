@@ -0,0 +1,64 @@
+var _ = require('underscore');
+var assert = require('assert');
+
+var citationStyles = require('../../../lib/util/citation-styles');
+
+describe('Citation styles', function() {
+
+    var book = {
+        'id': '123',
+        'engine': 'aquabrowser',
+        'titles': ['On the origin of species'],
+        'authors': [{'fullname': 'Darwin, Charles, 1809-1882'}],
+        'published': {
+            'publicationTitle': ['London : John Murray,'],
+            'publicationDate': {'year': '1859.'}
+        },
+        'contentType': 'Book'
+    };
+
+    var article = {
+        'id': 'FETCH-456',
+        'engine': 'summon',
+        'titles': ['Natural selection?'],
+        'authors': [{'fullname': 'Wallace, Alfred Russel'}, {'fullname': 'Bates, Henry Walter'}, {'fullname': 'Royal Society (Great Britain)'}],
+        'published': {
+            'publicationTitle': ['Nature'],
+            'publicationDate': {'year': '2001'},
+            'volume': ['411'],
+            'issue': '6833',
+            'publicationPage': {'startPage': '12', 'endPage': '15'}
+        },
+        'contentType': 'Journal Article'
+    };
+
+    /**
+     * Test that verifies that books and articles are formatted according to every style
+     */
+    it('verify that resources are formatted in every style.', function() {
+        var citations = _.indexBy(citationStyles.formatCitations(book), 'style');
+        assert.equal(citations.apa.text, 'Darwin, C. (1859). On the origin of species. John Murray.');
+        assert.equal(citations.apa.html, 'Darwin, C. (1859). <i>On the origin of species</i>. John Murray.');
+        assert.equal(citations.mla.text, 'Darwin, Charles. On the origin of species. John Murray, 1859.');
+        assert.equal(citations.chicago.text, 'Darwin, Charles. On the origin of species. London: John Murray, 1859.');
+        assert.equal(citations.harvard.text, 'Darwin, C. (1859) On the origin of species. London: John Murray.');
+
+        citations = _.indexBy(citationStyles.formatCitations(article), 'style');
+        assert.equal(citations.apa.html, 'Wallace, A. R., Bates, H. W., &amp; Royal Society (Great Britain). (2001). Natural selection? <i>Nature</i>, <i>411</i>(6833), 12–15.');
+        assert.equal(citations.mla.text, 'Wallace, Alfred Russel, et al. “Natural selection?” Nature, vol. 411, no. 6833, 2001, pp. 12–15.');
+        assert.equal(citations.chicago.text, 'Wallace, Alfred Russel, Henry Walter Bates, and Royal Society (Great Britain). “Natural selection?” Nature 411, no. 6833 (2001): 12–15.');
+        assert.equal(citations.harvard.text, 'Wallace, A. R., Bates, H. W. and Royal Society (Great Britain) (2001) ‘Natural selection?’, Nature, 411(6833), pp. 12–15.');
+    });
+
+    /**
+     * Test that verifies that resources without an author or a date are formatted according to the style rules
+     */
+    it('verify that resources without an author or a date are formatted.', function() {
+        var resource = {'id': '789', 'titles': ['Beowulf'], 'published': {'publicationTitle': ['Oxford : Clarendon Press']}};
+        assert.equal(citationStyles.formatCitation(resource, 'apa').text, 'Beowulf. (n.d.). Clarendon Press.');
+        assert.equal(citationStyles.formatCitation(resource, 'chicago').text, 'Beowulf. Oxford: Clarendon Press, n.d.');
+        assert.equal(citationStyles.formatCitation(resource, 'harvard').text, 'Beowulf (no date) Oxford: Clarendon Press.');
+        assert.equal(citationStyles.formatCitation(resource, 'mla').text, 'Beowulf. Clarendon Press.');
+        assert.equal(citationStyles.formatCitation(resource, 'vancouver'), null);
+    });
+});
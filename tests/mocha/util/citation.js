@@ -0,0 +1,96 @@
+var assert = require('assert');
+
+var citation = require('../../../lib/util/citation');
+
+describe('Citation utilities', function() {
+
+    var book = {
+        'id': '123',
+        'engine': 'aquabrowser',
+        'titles': ['On the origin of species'],
+        'authors': [{'fullname': 'Darwin, Charles, 1809-1882'}],
+        'published': {
+            'publicationTitle': ['London : John Murray,'],
+            'publicationDate': {'year': '1859.'}
+        },
+        'isbn': ['0521825881'],
+        'contentType': 'Book'
+    };
+
+    var article = {
+        'id': 'FETCH-456',
+        'engine': 'summon',
+        'titles': ['Natural selection & {evolution}'],
+        'authors': [{'fullname': 'Wallace, Alfred Russel'}, {'fullname': 'Royal Society (Great Britain)'}],
+        'published': {
+            'publicationTitle': ['Nature'],
+            'publicationDate': {'year': '2001', 'month': '5', 'day': '3'},
+            'volume': ['411'],
+            'issue': '6833',
+            'publicationPage': {'startPage': '12', 'endPage': '15'}
+        },
+        'issn': ['0028-0836'],
+        'contentType': 'Journal Article'
+    };
+
+    /**
+     * Test that verifies that the citation data is normalised from the different engines
+     */
+    it('verify that the citation data is normalised.', function() {
+        var data = citation.getCitationData(book);
+        assert.equal(data.type, 'book');
+        assert.deepEqual(data.authors, [{'family': 'Darwin', 'given': 'Charles'}]);
+        assert.equal(data.year, 1859);
+        assert.equal(data.place, 'London');
+        assert.equal(data.publisher, 'John Murray');
+        assert.equal(data.containerTitle, null);
+
+        data = citation.getCitationData(article);
+        assert.equal(data.type, 'article');
+        assert.deepEqual(data.authors[1], {'literal': 'Royal Society (Great Britain)'});
+        assert.equal(data.containerTitle, 'Nature');
+        assert.equal(data.publisher, null);
+
+        assert.equal(citation.getCitationType({'contentType': ['Dissertation']}), 'thesis');
+        assert.equal(citation.getCitationType({'contentType': 'Manuscript'}), 'manuscript');
+        assert.equal(citation.getCitationType({}), 'generic');
+    });
+
+    /**
+     * Test that verifies that resources are exported in every format
+     */
+    it('verify that resources are exported in every format.', function() {
+        var ris = citation.exportResults([book, article], 'ris');
+        assert.ok(ris.indexOf('TY  - BOOK\r\n') === 0);
+        assert.ok(ris.indexOf('AU  - Darwin, Charles\r\n') > -1);
+        assert.ok(ris.indexOf('TY  - JOUR\r\n') > -1);
+        assert.ok(ris.indexOf('T2  - Nature\r\n') > -1);
+        assert.equal(ris.match(/ER {2}- \r\n/g).length, 2);
+
+        var bibtex = citation.exportResults([book, book, article], 'bibtex');
+        assert.ok(bibtex.indexOf('@book{darwin1859origin,') === 0);
+        assert.ok(bibtex.indexOf('@book{darwin1859origina,') > -1);
+        assert.ok(bibtex.indexOf('author = {Wallace, Alfred Russel and {Royal Society (Great Britain)}}') > -1);
+        assert.ok(bibtex.indexOf('title = {Natural selection \\& \\{evolution\\}}') > -1);
+        assert.ok(bibtex.indexOf('pages = {12--15}') > -1);
+
+        // Backslashes are written as a command, of which the braces aren't escaped
+        bibtex = citation.exportResults([{'id': '789', 'titles': ['C:\\Users 50% off_'], 'authors': [], 'published': {}}], 'bibtex');
+        assert.ok(bibtex.indexOf('title = {C:\\textbackslash{}Users 50\\% off\\_}') > -1);
+
+        var endnote = citation.exportResults([article], 'endnote');
+        assert.ok(endnote.indexOf('<ref-type name="Journal Article">17</ref-type>') > -1);
+        assert.ok(endnote.indexOf('<title>Natural selection &amp; {evolution}</title>') > -1);
+
+        var csl = JSON.parse(citation.exportResults([book, article], 'csljson'));
+        assert.equal(csl[0].type, 'book');
+        assert.equal(csl[0]['publisher-place'], 'London');
+        assert.deepEqual(csl[0].issued, {'date-parts': [[1859]]});
+        assert.equal(csl[1].type, 'article-journal');
+        assert.deepEqual(csl[1].issued, {'date-parts': [[2001, 5, 3]]});
+        assert.equal(csl[1].page, '12-15');
+        assert.ok(csl[1].URL.indexOf('/find-a-resource/summon/FETCH-456') > -1);
+
+        assert.equal(citation.exportResults([book], 'marc'), null);
+    });
+});
@@ -0,0 +1,34 @@
+var assert = require('assert');
+
+var cql = require('../../../lib/util/cql');
+
+describe('CQL utilities', function() {
+
+    /**
+     * Test that verifies that CQL queries are translated into the search parameters of the gateway
+     */
+    it('verify that CQL queries are translated into search parameters.', function() {
+        assert.deepEqual(cql.translate('darwin not wallace'), {'q': 'darwin NOT wallace'});
+        assert.deepEqual(cql.translate('dc.title="natural selection"'), {'q': 'title:"natural selection"'});
+        assert.deepEqual(cql.translate('dc.title any "origin species" and dc.creator=darwin'), {'q': '(title:origin OR title:species) author:darwin'});
+        assert.deepEqual(cql.translate('dc.subject all "darwin evolution"'), {'q': 'subject:darwin subject:evolution'});
+        assert.deepEqual(cql.translate('dc.date>=1850 and dc.date<1900 and evolution'), {'q': 'evolution', 'yearfrom': 1850, 'yearto': 1899});
+        assert.deepEqual(cql.translate('bath.isbn=9780140432053 sortby dc.date/sort.descending'), {'q': 'isbn:9780140432053', 'sort': 'newest'});
+    });
+
+    /**
+     * Test that verifies that unsupported queries are answered with an SRU diagnostic
+     */
+    it('verify that unsupported queries return a diagnostic.', function() {
+        assert.equal(cql.translate('dc.title=(a or b').error.code, 10);
+        assert.equal(cql.translate('foo.bar=x').error.code, 16);
+        assert.equal(cql.translate('foo.bar=x').error.details, 'foo.bar');
+        assert.equal(cql.translate('dc.title within x').error.code, 19);
+        assert.equal(cql.translate('"natural selection" prox evolution').error.code, 37);
+        assert.equal(cql.translate('dc.date>=1850').error.code, 48);
+        assert.equal(cql.translate('dc.date>=1850 and dc.date<1900').error.code, 48);
+
+        assert.deepEqual(cql.parseScanClause('cql.serverChoice = darw'), {'index': 'cql.serverchoice', 'field': null, 'term': 'darw'});
+        assert.ok(cql.parseScanClause('dc.title < darw').error);
+    });
+});
@@ -0,0 +1,36 @@
+var assert = require('assert');
+
+var editions = require('../../../lib/util/editions');
+
+describe('Editions utilities', function() {
+
+    var items = [
+        {'id': '1', 'engine': 'aquabrowser', 'titles': ['On the origin of species : by means of natural selection / Charles Darwin'], 'authors': [{'fullname': 'Darwin, Charles, 1809-1882'}], 'isbn': ['0140432051 (pbk.)']},
+        {'id': '2', 'engine': 'aquabrowser', 'titles': ['Darwin and his critics'], 'authors': [{'fullname': 'Hull, David L.'}]},
+        {'id': '3', 'engine': 'summon', 'titles': ['The Origin of Species'], 'authors': [{'fullname': 'Darwin, Charles'}], 'eisbn': ['9780140432053']},
+        {'id': '4', 'engine': 'aquabrowser', 'titles': ['Origin of species'], 'uniformTitle': ['On the origin of species'], 'authors': [{'fullname': 'Charles Darwin'}]},
+        {'id': '5', 'engine': 'aquabrowser', 'titles': ['On the origin of species'], 'authors': [{'fullname': 'Smith, John'}]}
+    ];
+
+    /**
+     * Test that verifies that the editions and formats of a work are grouped under the most relevant one
+     */
+    it('verify that editions are grouped on title, uniform title and ISBN.', function() {
+        var groups = editions.groupEditions(items);
+        assert.deepEqual(groups.map(function(group) { return group.id; }), ['1', '2', '5']);
+        assert.deepEqual(groups[0].editions.map(function(edition) { return edition.id; }), ['3', '4']);
+        assert.equal(groups[1].editions.length, 0);
+
+        // The results themselves are left alone, they might be cached
+        assert.ok(!items[0].editions);
+    });
+
+    /**
+     * Test that verifies that the other editions of a resource are found and searched for
+     */
+    it('verify that the other editions of a resource are found.', function() {
+        assert.deepEqual(editions.findEditions(items[3], items).map(function(edition) { return edition.id; }), ['1', '3']);
+        assert.equal(editions.createQuery(items[0]), 'title:"On the origin of species" author:"Darwin"');
+        assert.equal(editions.createQuery({'id': '6'}), null);
+    });
+});
@@ -0,0 +1,63 @@
+var assert = require('assert');
+var xml2js = require('xml2js');
+
+var feed = require('../../../lib/util/feed');
+
+describe('Feed utilities', function() {
+
+    var results = {
+        'rowCount': 52,
+        'items': [
+            {'id': '123', 'engine': 'aquabrowser', 'titles': ['On the origin of species'], 'authors': [{'fullname': 'Darwin, Charles'}], 'published': {'publicationDate': {'label': '1859'}}},
+            {'id': 'FETCH-456', 'engine': 'summon', 'titles': ['Natural selection & <evolution>'], 'description': ['An article.']}
+        ],
+        'pagination': {'pageCount': 3}
+    };
+    var query = {'q': 'darwin %26 wallace', 'api': 'all', 'sort': 'newest', 'page': 2};
+
+    /**
+     * Test that verifies that search results are published as Atom and RSS feeds with the OpenSearch elements
+     */
+    it('verify that search results are published as Atom and RSS feeds.', function(callback) {
+        xml2js.parseString(feed.createFeed(results, query, 'atom', new Date(0)), function(err, atom) {
+            assert.ok(!err);
+            assert.equal(atom.feed.title[0], 'Cambridge Libraries: darwin & wallace');
+            assert.equal(atom.feed['opensearch:totalResults'][0], '52');
+            assert.equal(atom.feed['opensearch:startIndex'][0], '3');
+            assert.equal(atom.feed['opensearch:itemsPerPage'][0], '2');
+            assert.equal(atom.feed.updated[0], '1970-01-01T00:00:00.000Z');
+            assert.equal(atom.feed.entry.length, 2);
+            assert.equal(atom.feed.entry[1].title[0], 'Natural selection & <evolution>');
+            assert.ok(/\/find-a-resource\/summon\/FETCH-456$/.test(atom.feed.entry[1].id[0]));
+
+            var next = atom.feed.link.filter(function(link) { return link.$.rel === 'next'; })[0];
+            assert.ok(/\/find-a-resource\/atom\?.*page=3$/.test(next.$.href));
+
+            xml2js.parseString(feed.createFeed(results, query, 'rss'), function(err, rss) {
+                assert.ok(!err);
+                var channel = rss.rss.channel[0];
+                assert.equal(channel['opensearch:totalResults'][0], '52');
+                assert.equal(channel.item[0]['dc:creator'][0], 'Darwin, Charles');
+                assert.equal(channel.item[0].description[0], '1859');
+                assert.equal(feed.createFeed(results, query, 'json'), null);
+                callback();
+            });
+        });
+    });
+
+    /**
+     * Test that verifies that the OpenSearch description links to the html and feed searches
+     */
+    it('verify that the OpenSearch description lists every search url.', function(callback) {
+        xml2js.parseString(feed.createOpenSearchDescription(), function(err, description) {
+            assert.ok(!err);
+            var urls = description.OpenSearchDescription.Url;
+            assert.equal(description.OpenSearchDescription.ShortName[0], 'Cambridge Libraries');
+            assert.equal(urls[0].$.type, 'text/html');
+            assert.ok(/\/find-a-resource\?q=\{searchTerms\}/.test(urls[0].$.template));
+            assert.equal(urls[1].$.type, 'application/atom+xml');
+            assert.equal(urls[2].$.type, 'application/rss+xml');
+            callback();
+        });
+    });
+});
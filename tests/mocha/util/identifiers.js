@@ -0,0 +1,41 @@
+var assert = require('assert');
+
+var identifiers = require('../../../lib/util/identifiers');
+
+describe('Identifier utilities', function() {
+
+    /**
+     * Test that verifies that ISBNs, ISSNs, DOIs and classmarks are recognised and normalised
+     */
+    it('verify that identifiers are detected and normalised.', function() {
+        assert.deepEqual(identifiers.detectIdentifier('0-306-40615-2'), {'type': 'isbn', 'value': '9780306406157'});
+        assert.deepEqual(identifiers.detectIdentifier(' ISBN 978-0-306-40615-7 '), {'type': 'isbn', 'value': '9780306406157'});
+        assert.deepEqual(identifiers.detectIdentifier('ISSN 00280836'), {'type': 'issn', 'value': '0028-0836'});
+        assert.deepEqual(identifiers.detectIdentifier('https://dx.doi.org/10.1038/171737a0'), {'type': 'doi', 'value': '10.1038/171737a0'});
+        assert.deepEqual(identifiers.detectIdentifier('doi:10.1038/171737a0'), {'type': 'doi', 'value': '10.1038/171737a0'});
+        assert.deepEqual(identifiers.detectIdentifier('QH365.O2  1859'), {'type': 'classmark', 'value': 'QH365.O2 1859'});
+        assert.deepEqual(identifiers.detectIdentifier('Syn.7.85.12'), {'type': 'classmark', 'value': 'Syn.7.85.12'});
+
+        // Identifiers with the wrong check digit and ordinary queries are searched as free text
+        assert.strictEqual(identifiers.detectIdentifier('0-306-40615-3'), null);
+        assert.strictEqual(identifiers.detectIdentifier('9780306406158'), null);
+        assert.strictEqual(identifiers.detectIdentifier('0028-0837'), null);
+        assert.strictEqual(identifiers.detectIdentifier('origin of species'), null);
+        assert.strictEqual(identifiers.detectIdentifier('1859'), null);
+        assert.strictEqual(identifiers.detectIdentifier('U.S.A.'), null);
+        assert.strictEqual(identifiers.detectIdentifier(undefined), null);
+    });
+
+    /**
+     * Test that verifies that identifiers are searched in their field
+     */
+    it('verify that identifier queries are created.', function() {
+        assert.equal(identifiers.toISBN10('9780306406157'), '0306406152');
+        assert.strictEqual(identifiers.toISBN10('9791090636071'), null);
+
+        assert.equal(identifiers.createQuery({'type': 'isbn', 'value': '9780306406157'}), 'isbn:(9780306406157 OR 0306406152)');
+        assert.equal(identifiers.createQuery({'type': 'isbn', 'value': '9791090636071'}), 'isbn:9791090636071');
+        assert.equal(identifiers.createQuery({'type': 'issn', 'value': '0028-0836'}), 'issn:"0028-0836"');
+        assert.equal(identifiers.createQuery({'type': 'doi', 'value': '10.1002/(SICI)1097-4571(199806)49:8<693'}), 'doi:"10.1002/(SICI)1097-4571(199806)49:8<693"');
+    });
+});
@@ -0,0 +1,106 @@
+var assert = require('assert');
+var querystring = require('querystring');
+
+var config = require('../../../config');
+
+var citation = require('../../../lib/util/citation');
+var openurl = require('../../../lib/util/openurl');
+
+describe('OpenURL utilities', function() {
+
+    var book = {
+        'id': '123',
+        'engine': 'aquabrowser',
+        'titles': ['On the origin of species'],
+        'authors': [{'fullname': 'Darwin, Charles, 1809-1882'}],
+        'published': {
+            'publicationTitle': ['London : John Murray,'],
+            'publicationDate': {'year': '1859.'}
+        },
+        'isbn': ['0521825881'],
+        'contentType': 'Book'
+    };
+
+    var article = {
+        'id': 'FETCH-456',
+        'engine': 'summon',
+        'titles': ['Natural selection & evolution'],
+        'authors': [{'fullname': 'Wallace, Alfred Russel'}, {'fullname': 'Royal Society (Great Britain)'}],
+        'published': {
+            'publicationTitle': ['Nature'],
+            'publicationDate': {'year': '2001', 'month': '5', 'day': '3'},
+            'volume': ['411'],
+            'issue': '6833',
+            'publicationPage': {'startPage': '12', 'endPage': '15'}
+        },
+        'issn': ['0028-0836'],
+        'contentType': 'Journal Article'
+    };
+
+    /**
+     * Test that verifies that books and articles are described as a ContextObject in the matching metadata format
+     */
+    it('verify that resources are described as an OpenURL ContextObject.', function() {
+        var ctx = querystring.parse(openurl.createContextObject(book));
+        assert.equal(ctx.ctx_ver, 'Z39.88-2004');
+        assert.equal(ctx.rft_val_fmt, 'info:ofi/fmt:kev:mtx:book');
+        assert.equal(ctx['rft.genre'], 'book');
+        assert.equal(ctx['rft.btitle'], 'On the origin of species');
+        assert.equal(ctx['rft.aulast'], 'Darwin');
+        assert.equal(ctx['rft.aufirst'], 'Charles');
+        assert.equal(ctx['rft.pub'], 'John Murray');
+        assert.equal(ctx['rft.place'], 'London');
+        assert.equal(ctx['rft.date'], '1859');
+        assert.equal(ctx['rft.isbn'], '0521825881');
+        assert.ok(/\/find-a-resource\/aquabrowser\/123$/.test(ctx.rft_id));
+
+        ctx = querystring.parse(openurl.createContextObject(article));
+        assert.equal(ctx.rft_val_fmt, 'info:ofi/fmt:kev:mtx:journal');
+        assert.equal(ctx['rft.genre'], 'article');
+        assert.equal(ctx['rft.atitle'], 'Natural selection & evolution');
+        assert.equal(ctx['rft.jtitle'], 'Nature');
+        assert.equal(ctx['rft.volume'], '411');
+        assert.equal(ctx['rft.spage'], '12');
+        assert.equal(ctx['rft.epage'], '15');
+        assert.equal(ctx['rft.issn'], '0028-0836');
+        assert.equal(ctx['rft.date'], '2001-05-03');
+        assert.deepEqual(ctx['rft.au'], ['Wallace, Alfred Russel', 'Royal Society (Great Britain)']);
+        assert.ok(!ctx['rft.btitle']);
+    });
+
+    /**
+     * Test that verifies that only articles, journals and resources with an ISSN or a DOI link to the link resolver
+     */
+    it('verify that link resolver links are created for articles and journals.', function() {
+        var url = openurl.getResolverUrl(article);
+        assert.equal(url.indexOf(config.constants.resolver.uri + '?url_ver=Z39.88-2004&'), 0);
+        assert.equal(querystring.parse(url.split('?')[1])['rft.jtitle'], 'Nature');
+
+        assert.ok(!openurl.isResolvable(book));
+        assert.equal(openurl.getResolverUrl(book), null);
+        assert.ok(openurl.isResolvable({'id': '789', 'titles': ['Nature'], 'issn': ['0028-0836']}));
+        assert.ok(openurl.isResolvable({'id': '789', 'titles': ['An ebook'], 'doi': ['10.1017/CBO9780511694295']}));
+    });
+
+    /**
+     * Test that verifies that the Highwire Press meta tags are generated from the same citation data
+     */
+    it('verify that the Highwire Press meta tags are generated.', function() {
+        var tags = citation.getMetaTags(article);
+        var content = function(name) {
+            return tags.filter(function(tag) { return tag.name === name; }).map(function(tag) { return tag.content; });
+        };
+        assert.deepEqual(content('citation_title'), ['Natural selection & evolution']);
+        assert.deepEqual(content('citation_author'), ['Wallace, Alfred Russel', 'Royal Society (Great Britain)']);
+        assert.deepEqual(content('citation_publication_date'), ['2001/5/3']);
+        assert.deepEqual(content('citation_journal_title'), ['Nature']);
+        assert.deepEqual(content('citation_firstpage'), ['12']);
+        assert.deepEqual(content('citation_issn'), ['0028-0836']);
+        assert.deepEqual(content('citation_publisher'), []);
+
+        tags = citation.getMetaTags(book);
+        assert.deepEqual(content('citation_publisher'), ['John Murray']);
+        assert.deepEqual(content('citation_isbn'), ['0521825881']);
+        assert.deepEqual(content('citation_journal_title'), []);
+    });
+});
@@ -0,0 +1,52 @@
+var _ = require('underscore');
+var assert = require('assert');
+var url = require('url');
+
+var queryNormaliser = require('../../../lib/util/query-normaliser');
+var summonUtil = require('../../../lib/controllers/api/search/summon/util/util');
+
+describe('Query normaliser', function() {
+
+    /**
+     * Test that verifies that queries are brought into their canonical form and romanised
+     */
+    it('verify that queries are normalised, folded and romanised.', function() {
+        assert.equal(queryNormaliser.normalise(' ｄａｒｗｉｎ\u200b  %26   wallace '), 'darwin & wallace');
+        assert.equal(queryNormaliser.normalise('évolution'), 'évolution');
+        assert.equal(queryNormaliser.normalise(undefined), '');
+
+        assert.equal(queryNormaliser.fold('Dostoevskiĭ'), 'Dostoevskii');
+        assert.equal(queryNormaliser.fold('Łódź'), 'Lodz');
+        assert.equal(queryNormaliser.fold('がっこう'), 'がっこう');
+
+        assert.deepEqual(queryNormaliser.getVariants('Щедрин'), ['Щедрин', 'Shchedrin']);
+        assert.deepEqual(queryNormaliser.getVariants('Ἰλιάς'), ['Ἰλιάς', 'Ilias']);
+        assert.deepEqual(queryNormaliser.getVariants('كِتَاب'), ['كِتَاب', 'كتاب']);
+        assert.deepEqual(queryNormaliser.getVariants('红楼梦'), ['红楼梦']);
+        assert.deepEqual(queryNormaliser.getVariants('darwin'), ['darwin']);
+    });
+
+    /**
+     * Test that verifies that the reserved characters of each engine are escaped
+     */
+    it('verify that reserved characters are escaped for every engine.', function() {
+        assert.equal(queryNormaliser.escapeSummon('C++ (Title:x)'), 'C\\+\\+ \\(Title\\:x\\)');
+        assert.equal(queryNormaliser.escapeSummon('evolut*'), 'evolut*');
+        assert.equal(queryNormaliser.escapeSummon('say "hi" (now)', true), 'say \\"hi\\" (now)');
+        assert.equal(queryNormaliser.escapeAquabrowser('Nature (London): x'), 'Nature London x');
+        assert.equal(queryNormaliser.escapeAquabrowser('say "hi" (now)', true), 'say hi (now)');
+    });
+
+    /**
+     * Test that verifies that Summon requests are signed the way Summon decodes them
+     */
+    it('verify that Summon requests with non-Latin queries are signed correctly.', function() {
+        var options = summonUtil.constructRequestOptions(null, true, {'q': 'Война и мир %26 C++', 'language': 'Русский'}, [], ['s.ps=25']);
+        var query = url.parse(options.url).query;
+
+        // Every character outside of the URL syntax has been encoded once
+        assert.ok(/^[\w.~!*'()%=&-]+$/.test(query));
+        assert.ok(decodeURIComponent(query).indexOf('s.q=(Война OR Voina) (и OR i) (мир OR mir) \\& C\\+\\+') > -1);
+        assert.equal(options.headers['Authorization'], summonUtil.createAuthorizationHeader(_.omit(options.headers, 'Authorization'), decodeURIComponent(query)));
+    });
+});
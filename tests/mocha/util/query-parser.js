@@ -0,0 +1,66 @@
+var _ = require('underscore');
+var assert = require('assert');
+
+var queryParser = require('../../../lib/util/query-parser');
+
+describe('Query parser', function() {
+
+    /**
+     * Function that writes a term the way it was entered
+     */
+    var formatTerm = function(term) {
+        var value = term.isPhrase ? '"' + term.value + '"' : term.value;
+        return term.field ? term.field + ':' + value : value;
+    };
+
+    /**
+     * Test that verifies that fields, phrases and boolean operators are parsed into a query tree
+     */
+    it('verify that fielded boolean queries are parsed correctly.', function() {
+        var tree = queryParser.parse('title:"origin of species" AND (author:darwin OR author:wallace) -evolution');
+        assert.equal(tree.type, 'operator');
+        assert.equal(tree.operator, 'AND');
+        assert.equal(tree.operands.length, 3);
+
+        assert.equal(tree.operands[0].type, 'term');
+        assert.equal(tree.operands[0].field, 'title');
+        assert.equal(tree.operands[0].value, 'origin of species');
+        assert.ok(tree.operands[0].isPhrase);
+
+        assert.equal(tree.operands[1].operator, 'OR');
+        assert.deepEqual(_.pluck(tree.operands[1].operands, 'field'), ['author', 'author']);
+
+        assert.equal(tree.operands[2].operator, 'NOT');
+        assert.equal(tree.operands[2].operands[0].value, 'evolution');
+        assert.equal(tree.operands[2].operands[0].field, null);
+    });
+
+    /**
+     * Test that verifies that AND binds stronger than OR and that fields apply to groups
+     */
+    it('verify that operator precedence and field groups are respected.', function() {
+        assert.equal(queryParser.serialize(queryParser.parse('a OR b c'), formatTerm), 'a OR (b c)');
+        assert.equal(queryParser.serialize(queryParser.parse('title:(origin species) NOT year:1859'), formatTerm), 'title:origin title:species NOT year:1859');
+    });
+
+    /**
+     * Test that verifies that free text queries and malformed queries are handled without errors
+     */
+    it('verify that free text and malformed queries are parsed leniently.', function() {
+        assert.equal(queryParser.serialize(queryParser.parse('Charles Darwin'), formatTerm), 'Charles Darwin');
+        assert.equal(queryParser.serialize(queryParser.parse('Darwin: a life'), formatTerm), 'Darwin: a life');
+        assert.equal(queryParser.serialize(queryParser.parse('((darwin) evolution'), formatTerm), 'darwin evolution');
+        assert.equal(queryParser.serialize(queryParser.parse('"origin of'), formatTerm), '"origin of"');
+        assert.equal(queryParser.parse(''), null);
+        assert.equal(queryParser.parse('NOT'), null);
+    });
+
+    /**
+     * Test that verifies that the rows of the advanced search form are composed into a query from left to right
+     */
+    it('verify that the advanced search rows are composed into a query.', function() {
+        assert.equal(queryParser.compose(['title', 'author', 'all'], ['origin of species', 'darwin', 'evolution'], ['AND', 'OR']), '(title:(origin of species) AND author:darwin) OR evolution');
+        assert.equal(queryParser.compose(['title', 'author', 'subject'], ['', 'darwin', 'evolution'], ['OR', 'NOT']), 'author:darwin NOT subject:evolution');
+        assert.equal(queryParser.compose('isbn', '9780521825887'), 'isbn:9780521825887');
+    });
+});
@@ -0,0 +1,163 @@
+var _ = require('underscore');
+var assert = require('assert');
+var querystring = require('querystring');
+var url = require('url');
+
+var aquabrowserUtil = require('../../../lib/controllers/api/search/aquabrowser/util/util');
+var searchUtil = require('../../../lib/util/search');
+var summonUtil = require('../../../lib/controllers/api/search/summon/util/util');
+
+describe('Search utilities', function() {
+
+    /**
+     * Test that verifies that the sort url keeps the query and starts from the first page
+     */
+    it('verify that the sort url keeps the query and resets the page.', function() {
+        var url = searchUtil.createSortUrl({'q': 'Darwin', 'api': 'summon', 'page': 3, 'language': 'English'}, 'newest');
+        assert.deepEqual(querystring.parse(url), {'q': 'Darwin', 'api': 'summon', 'language': 'English', 'sort': 'newest'});
+    });
+
+    /**
+     * Test that verifies that the page size is limited by the engine and determines the last page that can be requested
+     */
+    it('verify that the page size and the page limit depend on the engine.', function() {
+        assert.equal(searchUtil.getPageSize({}, 'aquabrowser'), 25);
+        assert.equal(searchUtil.getPageSize({'pagesize': '100'}, 'aquabrowser'), 100);
+        assert.equal(searchUtil.getPageSize({'pagesize': '100'}, 'summon'), 50);
+        assert.equal(searchUtil.getPageSize({'pagesize': '100'}), 50);
+        assert.equal(searchUtil.getPageSize({'pagesize': '7'}, 'summon'), 25);
+
+        assert.equal(searchUtil.getPageLimit({}, 'summon'), 100);
+        assert.equal(searchUtil.getPageLimit({}, 'aquabrowser'), 400);
+        assert.equal(searchUtil.getPageLimit({'pagesize': '100'}, 'aquabrowser'), 100);
+        assert.equal(searchUtil.getPageLimit({'pagesize': '100'}, 'summon'), 50);
+
+        var url = searchUtil.createPageSizeUrl({'q': 'Darwin', 'page': 3}, 50);
+        assert.deepEqual(querystring.parse(url), {'q': 'Darwin', 'pagesize': '50'});
+        assert.equal(searchUtil.createFacetOverview({'q': 'Darwin', 'pagesize': 50}).length, 0);
+    });
+
+    /**
+     * Test that verifies that the sort is kept when paging and refining, but isn't shown as a facet
+     */
+    it('verify that the sort is kept in the pagination and facet urls.', function() {
+        var parameters = {'q': 'Darwin', 'api': 'aquabrowser', 'sort': 'oldest'};
+
+        var pagination = searchUtil.createPaginationModel(parameters, 1, 3, 1, 3);
+        assert.equal(querystring.parse(pagination.nextPage.url).sort, 'oldest');
+        assert.equal(querystring.parse(searchUtil.createFacetUrl(parameters, 'Language', 'English')).sort, 'oldest');
+        assert.equal(searchUtil.createFacetOverview(parameters).length, 0);
+    });
+
+    /**
+     * Test that verifies that the publication year facet counts the results per decade
+     */
+    it('verify that the publication year facet is created from the bucket counts.', function() {
+        var buckets = searchUtil.getYearBuckets();
+        assert.equal(buckets[0].label, 'Before 1800');
+        assert.equal(buckets[1].from, 1800);
+        assert.equal(buckets[1].to, 1809);
+
+        var counts = _.map(buckets, function(bucket) { return 0; });
+        counts[0] = 4;
+        counts[6] = 12;
+
+        var facet = searchUtil.createYearFacet({'q': 'Darwin', 'page': 2}, counts);
+        assert.equal(facet.rawLabel, searchUtil.YEAR_FACET);
+        assert.equal(facet.facets.length, 2);
+        assert.equal(facet.facets[1].label, '1850s');
+        assert.equal(facet.facets[1].numItems, 12);
+        assert.deepEqual(querystring.parse(facet.facets[1].url), {'q': 'Darwin', 'yearfrom': '1850', 'yearto': '1859'});
+
+        assert.equal(searchUtil.createYearFacet({'q': 'Darwin'}, []), null);
+    });
+
+    /**
+     * Test that verifies that open-ended year ranges are completed and shown as a single filter
+     */
+    it('verify that year ranges are completed and shown as a single filter.', function() {
+        assert.equal(searchUtil.getYearRange({'q': 'Darwin'}), null);
+        assert.deepEqual(searchUtil.getYearRange({'yearfrom': 1850}), {'from': 1850, 'to': new Date().getFullYear()});
+        assert.deepEqual(searchUtil.getYearRange({'yearto': 1900}), {'from': 1, 'to': 1900});
+
+        var overview = searchUtil.createFacetOverview({'q': 'Darwin', 'yearfrom': 1850, 'yearto': 1900});
+        assert.equal(overview.length, 1);
+        assert.equal(overview[0].label, '1850 - 1900');
+        assert.deepEqual(querystring.parse(overview[0].url), {'q': 'Darwin'});
+    });
+
+    /**
+     * Test that verifies that multiple values of a facet can be selected and excluded
+     */
+    it('verify that facet values are added to the selection and can be excluded.', function() {
+        var parameters = {'q': 'Darwin', 'language': 'English', 'page': 3};
+
+        // Selecting another value keeps the existing one
+        var params = querystring.parse(searchUtil.createFacetUrl(parameters, 'Language', 'French'));
+        assert.deepEqual(params.language, ['English', 'French']);
+        assert.equal(params.page, 1);
+
+        // Excluding a selected value replaces the selection of that value
+        params = querystring.parse(searchUtil.createFacetExcludeUrl(params, 'language', 'French'));
+        assert.deepEqual(params.language, ['English', '-French']);
+        assert.deepEqual(searchUtil.getFacetValues(params, 'language'), {'include': ['English'], 'exclude': ['French']});
+
+        // Every value is shown and can be removed on its own
+        var overview = searchUtil.createFacetOverview(params);
+        assert.equal(overview.length, 2);
+        assert.equal(overview[1].label, 'Not: French');
+        assert.ok(overview[1].isExcluded);
+        assert.deepEqual(querystring.parse(overview[1].url), {'q': 'Darwin', 'language': 'English'});
+        assert.deepEqual(querystring.parse(overview[0].url), {'q': 'Darwin', 'language': '-French'});
+    });
+
+    /**
+     * Test that verifies that the checked filters are shown by their label and applied to Summon requests
+     */
+    it('verify that filters are shown in the overview and sent to Summon.', function() {
+        var params = {'q': 'Darwin', 'api': 'summon', 'page': 2, 'peerreviewed': 'true', 'discipline': 'Medicine'};
+
+        var overview = searchUtil.createFacetOverview(params);
+        assert.equal(overview.length, 2);
+        assert.equal(overview[0].label, 'Peer-reviewed');
+        assert.deepEqual(querystring.parse(overview[0].url), {'q': 'Darwin', 'api': 'summon', 'discipline': 'Medicine'});
+        assert.equal(overview[1].label, 'Medicine');
+
+        var options = summonUtil.constructRequestOptions(null, true, params, [], summonUtil.getFacetParameters('and'));
+        var query = decodeURIComponent(url.parse(options.url).query).split('&');
+        assert.ok(_.contains(query, 's.fvf=IsPeerReviewed,true,false'));
+        assert.ok(_.contains(query, 's.fvf=Discipline,Medicine,false'));
+        assert.ok(_.contains(query, 's.ff=Author,and,1,100'));
+        assert.ok(!_.contains(query, 's.fvf=IsFullText,true,false'));
+    });
+
+    /**
+     * Test that verifies that the selected facets apply to the whole Aquabrowser query
+     */
+    it('verify that the facets apply to every term of an Aquabrowser query.', function() {
+        var params = {'q': 'darwin OR wallace', 'language': 'English', 'yearfrom': '1850', 'yearto': '1900'};
+        var options = aquabrowserUtil.constructRequestOptions('http://search.lib.cam.ac.uk/result.ashx', true, params, []);
+        var query = querystring.parse(url.parse(options.url).query).q;
+        assert.equal(query, '(darwin OR wallace) year:[1850 TO 1900] language:"English"');
+
+        // A single term doesn't need the parentheses
+        options = aquabrowserUtil.constructRequestOptions('http://search.lib.cam.ac.uk/result.ashx', true, {'q': 'darwin', 'language': 'English'}, []);
+        assert.equal(querystring.parse(url.parse(options.url).query).q, 'darwin language:"English"');
+    });
+
+    /**
+     * Test that verifies that a search can be scoped to the collection of a library
+     */
+    it('verify that searches are scoped to the branch of a library.', function() {
+        assert.equal(aquabrowserUtil.getBranchName({'code': 'AFR', 'name': 'African Studies', 'dbase': 'cambrdgedb'}), 'Centre of African Studies');
+        assert.equal(aquabrowserUtil.getBranchName({'code': 'UL', 'name': 'University Library', 'dbase': 'cambrdgedb'}), 'University Library');
+
+        // Every library with a catalogued collection can be searched, the libraries that aren't configured by their name
+        assert.equal(aquabrowserUtil.getBranchName({'code': 'ZZ', 'name': 'Darwin College', 'dbase': 'cambrdgedb'}), 'Darwin College');
+        assert.equal(aquabrowserUtil.getBranchName({'code': 'AFR', 'name': 'African Studies', 'dbase': null}), null);
+
+        var options = aquabrowserUtil.constructRequestOptions('http://search.lib.cam.ac.uk/result.ashx', true, {'q': 'darwin', 'branch': ['University Library', '-Centre of African Studies']}, []);
+        assert.ok(options.url.indexOf('branch=' + encodeURIComponent('"University Library"')) > -1);
+        assert.equal(options.url.indexOf('African'), -1);
+    });
+});
@@ -0,0 +1,92 @@
+var _ = require('underscore');
+var assert = require('assert');
+
+var structuredData = require('../../../lib/util/structured-data');
+
+var fixtures = require('./fixtures/structured-data.json');
+
+describe('Structured data utilities', function() {
+
+    /**
+     * Function that validates a JSON-LD description against the properties each schema.org type requires
+     *
+     * @param  {Object}     data        The JSON-LD description
+     * @param  {String[]}   types       The types the description is allowed to have
+     * @param  {String[]}   required    The properties the description should have
+     */
+    var validate = function(data, types, required) {
+        var parsed = JSON.parse(structuredData.serialize(data));
+        assert.deepEqual(parsed, data);
+        assert.equal(parsed['@context'], 'http://schema.org');
+        assert.ok(_.contains(types, parsed['@type']), 'Unexpected type ' + parsed['@type']);
+        _.each(required, function(property) {
+            assert.ok(parsed[property], 'Missing property ' + property);
+        });
+
+        // Empty values shouldn't be published
+        var _checkValues = function(value) {
+            assert.ok(value !== null && value !== undefined && value !== '');
+            if (_.isArray(value)) {
+                assert.ok(value.length);
+                _.each(value, _checkValues);
+            } else if (_.isObject(value)) {
+                _.each(value, _checkValues);
+            }
+        };
+        _checkValues(parsed);
+    };
+
+    /**
+     * Test that verifies that library profiles are described as a schema.org Library
+     */
+    it('verify that library profiles are described as a Library.', function() {
+        var library = structuredData.createLibraryData(fixtures.libraries[0]);
+        validate(library, ['Library'], ['@id', 'name', 'url', 'address', 'geo', 'telephone', 'openingHoursSpecification', 'sameAs']);
+
+        assert.deepEqual(library.address, {'@type': 'PostalAddress', 'streetAddress': 'West Road, Cambridge', 'postalCode': 'CB3 9DR'});
+        assert.deepEqual(library.geo, {'@type': 'GeoCoordinates', 'latitude': 52.205337, 'longitude': 0.108623});
+        assert.equal(library.telephone, '01223 333000');
+        assert.deepEqual(library.sameAs, ['http://www.lib.cam.ac.uk/', 'https://twitter.com/theUL', 'https://www.facebook.com/CambridgeUniversityLibrary']);
+        assert.equal(library.openingHoursSpecification.length, 2);
+        assert.equal(library.openingHoursSpecification[0].dayOfWeek.length, 5);
+        assert.equal(library.openingHoursSpecification[0].opens, '09:00');
+        assert.equal(library.openingHoursSpecification[0].closes, '19:00');
+        assert.deepEqual(library.openingHoursSpecification[1].dayOfWeek, ['http://schema.org/Saturday']);
+        assert.equal(library.openingHoursSpecification[1].closes, '16:30');
+
+        // Libraries without contact details only have a name
+        validate(structuredData.createLibraryData(fixtures.libraries[1]), ['Library'], ['@id', 'name', 'url']);
+    });
+
+    /**
+     * Test that verifies that resources are described as a Book, ScholarlyArticle or Periodical
+     */
+    it('verify that resources are described as a creative work with offers.', function() {
+        var book = structuredData.createResourceData(fixtures.resources[0]);
+        validate(book, ['Book'], ['@id', 'name', 'author', 'isbn', 'datePublished', 'offers']);
+        assert.deepEqual(book.author, [{'@type': 'Person', 'name': 'Charles Darwin', 'familyName': 'Darwin', 'givenName': 'Charles'}]);
+        assert.deepEqual(book.isbn, ['0521825881', '9780521825887']);
+        assert.equal(book.datePublished, '1859');
+        assert.equal(book.publisher.name, 'John Murray');
+        assert.equal(book.offers.length, 2);
+        assert.equal(book.offers[0].availability, 'http://schema.org/InStock');
+        assert.deepEqual(book.offers[0].availableAtOrFrom, {'@type': 'Library', 'name': 'University Library'});
+        assert.equal(book.offers[0].sku, 'Syn.8.85.9');
+        assert.equal(book.offers[1].availability, 'http://schema.org/OutOfStock');
+
+        var article = structuredData.createResourceData(fixtures.resources[1]);
+        validate(article, ['ScholarlyArticle'], ['@id', 'name', 'author', 'datePublished', 'isPartOf']);
+        assert.equal(article.datePublished, '2001-05-03');
+        assert.deepEqual(article.author[1], {'@type': 'Organization', 'name': 'Royal Society (Great Britain)'});
+        assert.deepEqual(article.isPartOf, {'@type': 'Periodical', 'name': 'Nature', 'issn': '0028-0836'});
+        assert.equal(article.pageStart, '12');
+        assert.equal(article.sameAs, 'http://dx.doi.org/10.1038/35077223');
+        assert.ok(!article.offers);
+
+        // The serialized data can't end the script element it's embedded in
+        assert.equal(structuredData.serialize(article).indexOf('</script>'), -1);
+
+        var journal = structuredData.createResourceData(fixtures.resources[2]);
+        validate(journal, ['Periodical'], ['@id', 'name', 'issn']);
+    });
+});
@@ -0,0 +1,58 @@
+var _ = require('underscore');
+var assert = require('assert');
+
+var libUtil = require('../../../lib/util/util');
+
+describe('Util', function() {
+
+    /**
+     * Test that verifies that no more than the limit of calls run at the same time and the results keep their order
+     */
+    it('verify that mapLimit bounds the number of concurrent calls.', function(callback) {
+        var running = 0;
+        var maxRunning = 0;
+
+        libUtil.mapLimit([1, 2, 3, 4, 5], 2, function(item, done) {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            setTimeout(function() {
+                running--;
+                if (item === 3) {
+                    return done({'code': 500, 'msg': 'Failed'});
+                }
+                return done(null, item * 10);
+            }, 6 - item);
+        }, function(results) {
+            assert.equal(maxRunning, 2);
+            assert.deepEqual(_.pluck(results, 'result'), [10, 20, undefined, 40, 50]);
+            assert.equal(results[2].error.code, 500);
+            callback();
+        });
+    });
+
+    /**
+     * Test that verifies that errors are sent with their code and that the client is told when it can retry
+     */
+    it('verify that sendError sends the error code and the retry time.', function() {
+        var sent = null;
+        var headers = {};
+        var res = {
+            'set': function(name, value) {
+                headers[name] = value;
+            },
+            'send': function(code, body) {
+                sent = {'code': code, 'body': body};
+            }
+        };
+
+        libUtil.sendError(res, {'code': 503, 'msg': 'The summon search is temporarily unavailable', 'retryAfter': 60});
+        assert.deepEqual(sent, {'code': 503, 'body': 'The summon search is temporarily unavailable'});
+        assert.strictEqual(headers['Retry-After'], '60');
+
+        // Errors without a code are sent as internal errors
+        headers = {};
+        libUtil.sendError(res, {'msg': 'An error occurred while fetching Aquabrowser data'});
+        assert.deepEqual(sent, {'code': 500, 'body': 'An error occurred while fetching Aquabrowser data'});
+        assert.ok(!headers['Retry-After']);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,279 @@
+/*!
+ * Copyright 2014 Digital Services, University of Cambridge Licensed
+ * under the Educational Community License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the
+ * License. You may obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/**
+ * A local server that stands in for the Aquabrowser and Summon APIs and the link resolver, so the search can be used without network access.
+ *
+ * In `replay` mode the recorded responses in `config.standIn.fixtures` are returned. In `record` mode the requests are
+ * passed on to the real APIs and their responses are stored as fixtures. Summon requests need to be signed the same way
+ * the real API expects them to be.
+ *
+ * Set the `STAND_IN` environment variable to point the engines at the stand-in server and run it using:
+ *
+ *     STAND_IN=replay node tests/stand-in/server.js [replay|record]
+ */
+
+var _ = require('underscore');
+var crypto = require('crypto');
+var express = require('express');
+var fs = require('fs');
+var path = require('path');
+var querystring = require('querystring');
+var request = require('request');
+var url = require('url');
+var util = require('util');
+
+var config = require('../../config');
+var log = require('../../lib/util/logger').logger();
+var summonUtil = require('../../lib/controllers/api/search/summon/util/util');
+
+// The endpoints that are served by the stand-in server and the engine they belong to
+var ENDPOINTS = {
+    '/result.ashx': 'aquabrowser',
+    '/availability.ashx': 'aquabrowser',
+    '/RefinePanel.ashx': 'aquabrowser',
+    '/AquaServer.ashx': 'aquabrowser'
+};
+ENDPOINTS[config.constants.engines.summon.version] = 'summon';
+
+// The query parameters that are left out of the fixture key, because they change over time. The publication date ranges
+// Summon is asked to count the results in go up to the current decade
+var VOLATILE_PARAMETERS = ['s.rff'];
+
+// The link resolver is served at the location of the SFX targets service, even when no targets service is configured
+ENDPOINTS['/sfx_local/targets.json'] = 'resolver';
+if (config.constants.resolver.uri_targets) {
+    ENDPOINTS[url.parse(config.constants.resolver.uri_targets).pathname] = 'resolver';
+}
+
+////////////////////////
+//  PUBLIC FUNCTIONS  //
+////////////////////////
+
+/**
+ * Function that creates a new stand-in server
+ *
+ * @param  {Object}     [options]               Object overriding the stand-in settings in `config.standIn`
+ * @param  {String}     [options.mode]          Whether recorded responses are replayed or real responses are recorded (replay|record)
+ * @param  {Number}     [options.port]          The network port the stand-in server listens on. Use `0` for a random port
+ * @param  {String}     [options.fixtures]      The directory containing the recorded responses
+ * @param  {Object}     [options.upstream]      Object containing the location of the real API for each engine (e.g. {'summon': 'http://api.summon.serialssolutions.com'})
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and error message
+ * @param  {Server}     callback.server         The HTTP server object
+ */
+var createServer = module.exports.createServer = function(options, callback) {
+    options = _.defaults({}, options, {'upstream': config.standIn.upstream || {}}, config.standIn);
+    callback = callback || function() {};
+
+    if (!_.contains(['replay', 'record'], options.mode)) {
+        return callback({'code': 400, 'msg': util.format('Invalid stand-in mode "%s"', options.mode)});
+    }
+
+    var app = express();
+    app.use(function(req, res) {
+        _handleRequest(options, req, res);
+    });
+
+    // Listen to the specified port
+    var server = app.listen(options.port);
+
+    // Invoke the callback when the server is spun up successful
+    server.once('listening', function() {
+        server.removeAllListeners('error');
+        log().info(util.format('Stand-in server started in %s mode at http://%s:%s', options.mode, config.standIn.host, server.address().port));
+        return callback(null, server);
+    });
+
+    // Return an error if spinning up the server failed
+    server.once('error', function(err) {
+        server.removeAllListeners('listening');
+        log().error(err);
+        return callback({'code': 500, 'msg': 'Error while spinning up the stand-in server'});
+    });
+};
+
+//////////////////////////
+//  INTERNAL FUNCTIONS  //
+//////////////////////////
+
+/**
+ * Function that handles a request to one of the stand-in endpoints
+ *
+ * @param  {Object}     options     The stand-in settings
+ * @param  {Request}    req         The REST request
+ * @param  {Response}   res         The REST response
+ * @api private
+ */
+var _handleRequest = function(options, req, res) {
+    var parsedUrl = url.parse(req.url);
+    var query = parsedUrl.query || '';
+
+    var engine = ENDPOINTS[parsedUrl.pathname];
+    if (!engine) {
+        return res.status(404).send(util.format('The stand-in server doesn\'t serve %s', parsedUrl.pathname));
+    }
+
+    // Summon only answers requests that have been signed with the application key
+    if (engine === 'summon' && !_isValidSignature(req, parsedUrl.pathname, query)) {
+        return res.status(401).set('Content-Type', 'application/json').send(JSON.stringify({
+            'errors': [{'code': 'auth.invalid.digest', 'message': 'The request signature is invalid'}]
+        }));
+    }
+
+    var fixturePath = _getFixturePath(options.fixtures, engine, parsedUrl.pathname, query);
+
+    // Return the recorded response
+    if (options.mode === 'replay') {
+        return fs.readFile(fixturePath, 'utf8', function(err, fixture) {
+            if (err) {
+                log().warn(util.format('No recorded response for %s?%s', parsedUrl.pathname, query));
+                return res.status(404).send(util.format('No recorded response for %s?%s', parsedUrl.pathname, query));
+            }
+
+            fixture = JSON.parse(fixture);
+            return res.status(fixture.statusCode).set('Content-Type', fixture.contentType).send(fixture.body);
+        });
+    }
+
+    // Pass the request on to the real API and record its response
+    _record(options, engine, parsedUrl.pathname, query, fixturePath, function(err, fixture) {
+        if (err) {
+            return res.status(err.code).send(err.msg);
+        }
+        return res.status(fixture.statusCode).set('Content-Type', fixture.contentType).send(fixture.body);
+    });
+};
+
+/**
+ * Function that returns the location of the fixture for a request. The query parameters are sorted,
+ * so the same request always maps onto the same fixture. Parameters that change over time aren't part of the key.
+ *
+ * @param  {String}     fixtures    The directory containing the recorded responses
+ * @param  {String}     engine      The name of the engine (e.g. 'aquabrowser')
+ * @param  {String}     pathname    The requested endpoint (e.g. /result.ashx)
+ * @param  {String}     query       The query string of the request
+ * @return {String}                 The path of the fixture (e.g. tests/stand-in/fixtures/aquabrowser/5d41402a....json)
+ * @api private
+ */
+var _getFixturePath = function(fixtures, engine, pathname, query) {
+    var parameters = _.omit(querystring.parse(query), VOLATILE_PARAMETERS);
+    var normalised = _.map(_.keys(parameters).sort(), function(key) {
+        return [key, parameters[key]];
+    });
+
+    var hash = crypto.createHash('sha1').update(pathname + JSON.stringify(normalised)).digest('hex');
+    return path.join(fixtures, engine, hash + '.json');
+};
+
+/**
+ * Function that checks if a Summon request has been signed correctly
+ *
+ * @param  {Request}    req         The REST request
+ * @param  {String}     pathname    The requested endpoint (e.g. /2.0.0/search)
+ * @param  {String}     query       The query string of the request
+ * @return {Boolean}                Whether the `Authorization` header matches the request
+ * @api private
+ */
+var _isValidSignature = function(req, pathname, query) {
+    var headers = {
+        'Accept': req.headers['accept'],
+        'x-summon-date': req.headers['x-summon-date'],
+        'Host': req.headers['host'],
+        'Version': pathname
+    };
+    return req.headers['authorization'] === summonUtil.createAuthorizationHeader(headers, decodeURIComponent(query));
+};
+
+/**
+ * Function that passes a request on to the real API and stores the response as a fixture
+ *
+ * @param  {Object}     options                 The stand-in settings
+ * @param  {String}     engine                  The name of the engine
+ * @param  {String}     pathname                The requested endpoint
+ * @param  {String}     query                   The query string of the request
+ * @param  {String}     fixturePath             The location the response should be stored at
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Error}      callback.err            Object containing the error code and error message
+ * @param  {Object}     callback.fixture        The recorded response
+ * @api private
+ */
+var _record = function(options, engine, pathname, query, fixturePath, callback) {
+    var upstream = options.upstream[engine];
+    if (!upstream) {
+        return callback({'code': 500, 'msg': util.format('No upstream location known for %s', engine)});
+    }
+
+    var requestOptions = {
+        'method': 'GET',
+        'url': upstream + pathname + '?' + query,
+        'timeout': (config.constants.engines[engine] || config.constants[engine]).timeout
+    };
+
+    // Summon requests need to be signed again, since the host is part of the signature
+    if (engine === 'summon') {
+        requestOptions.headers = {
+            'Accept': 'application/json',
+            'x-summon-date': new Date().toUTCString(),
+            'Host': url.parse(upstream).host,
+            'Version': pathname
+        };
+        requestOptions.headers['Authorization'] = summonUtil.createAuthorizationHeader(requestOptions.headers, decodeURIComponent(query));
+    }
+
+    request(requestOptions, function(err, response, body) {
+        if (err) {
+            log().error(err);
+            return callback({'code': 502, 'msg': util.format('Error while requesting %s', requestOptions.url)});
+        }
+
+        var fixture = {
+            'request': pathname + '?' + query,
+            'statusCode': response.statusCode,
+            'contentType': response.headers['content-type'],
+            'body': body
+        };
+
+        // Don't record server errors, they would be replayed forever
+        if (response.statusCode >= 500) {
+            return callback(null, fixture);
+        }
+
+        // Create the fixture directories if they don't exist yet
+        _.each([options.fixtures, path.dirname(fixturePath)], function(directory) {
+            if (!fs.existsSync(directory)) {
+                fs.mkdirSync(directory);
+            }
+        });
+        fs.writeFile(fixturePath, JSON.stringify(fixture, null, 4), function(err) {
+            if (err) {
+                log().error(err);
+                return callback({'code': 500, 'msg': 'Error while recording the response'});
+            }
+
+            log().info(util.format('Recorded %s', fixture.request));
+            return callback(null, fixture);
+        });
+    });
+};
+
+// Spin up the server when the file is run directly
+if (require.main === module) {
+    createServer({'mode': process.argv[2] || config.standIn.mode}, function(err) {
+        if (err) {
+            process.exit(1);
+        }
+    });
+}